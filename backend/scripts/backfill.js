@@ -0,0 +1,66 @@
+#!/usr/bin/env node
+
+/**
+ * Backfill the event store from the USGS earthquake catalog
+ *
+ * Run with: npm run backfill -- --start 2024-01-01 --end 2024-04-01 [--min-magnitude 4] [--region asia]
+ * Resume an interrupted backfill with: npm run backfill -- --resume <backfillId>
+ */
+
+require('dotenv').config();
+
+const firebaseConfig = require('../src/config/firebase');
+
+const parseArgs = (argv) => {
+  const args = {};
+  for (let i = 0; i < argv.length; i += 2) {
+    args[argv[i].replace(/^--/, '')] = argv[i + 1];
+  }
+  return args;
+};
+
+async function backfill() {
+  const args = parseArgs(process.argv.slice(2));
+
+  firebaseConfig.initialize();
+  const backfillService = require('../src/services/backfillService');
+
+  let backfillId = args.resume;
+
+  if (!backfillId) {
+    const startTime = new Date(args.start);
+    const endTime = args.end ? new Date(args.end) : new Date();
+
+    if (isNaN(startTime) || isNaN(endTime) || endTime <= startTime) {
+      console.error('❌ Usage: npm run backfill -- --start <date> [--end <date>] [--min-magnitude <m>] [--region <region>]');
+      process.exit(1);
+    }
+
+    const created = await backfillService.createBackfill({
+      startTime,
+      endTime: new Date(Math.min(endTime.getTime(), Date.now())),
+      minMagnitude: args['min-magnitude'] ? parseFloat(args['min-magnitude']) : undefined,
+      region: args.region
+    });
+    backfillId = created.id;
+  }
+
+  console.log(`📥 Running backfill ${backfillId}...`);
+  const result = await backfillService.runBackfill(backfillId);
+
+  if (result.status !== 'completed') {
+    console.error(`❌ Backfill ${backfillId} ${result.status}: ${result.error}`);
+    console.error(`   Resume with: npm run backfill -- --resume ${backfillId}`);
+    process.exit(1);
+  }
+
+  console.log(`✅ Backfill ${backfillId} completed`);
+  console.log(`   Windows: ${result.completedWindows}/${result.totalWindows}`);
+  console.log(`   Events: ${result.fetchedEvents} fetched, ${result.created} created, ${result.updated} updated`);
+  process.exit(0);
+}
+
+backfill().catch(error => {
+  console.error('❌ Backfill failed:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,79 @@
+#!/usr/bin/env node
+
+/**
+ * Record fixtures for offline replay
+ *
+ * Polls every enabled disaster provider and runs each Gemini operation once,
+ * saving the responses under fixtures/ (see src/utils/recorder.js).
+ * Run with: npm run fixtures:record
+ * Then run offline with: npm run start:offline
+ */
+
+require('dotenv').config();
+
+const firebaseConfig = require('../src/config/firebase');
+const { getMode } = require('../src/utils/recorder');
+const disasterService = require('../src/services/disasterService');
+const geminiService = require('../src/services/geminiService');
+
+async function recordFixtures() {
+  if (getMode() !== 'record') {
+    console.error('❌ Set UPSTREAM_MODE=record to record fixtures (npm run fixtures:record)');
+    process.exit(1);
+  }
+
+  // Providers read their regions and locations from the Firestore registry;
+  // without Firebase they fall back to the defaults
+  try {
+    firebaseConfig.initialize();
+  } catch (error) {
+    console.warn(`⚠️  Firebase not initialized (${error.message}), using the default regions and locations`);
+  }
+
+  console.log('📼 Recording disaster provider responses...');
+  const disasters = await disasterService.getAllDisasters({ forceRefresh: true });
+  Object.entries(disasters.sources || {}).forEach(([name, source]) => {
+    console.log(source.success
+      ? `✅ ${name}: ${source.count} events`
+      : `❌ ${name}: ${source.error}`);
+  });
+
+  // Use a recorded event so replayed AI answers match replayed data
+  const sample = disasters.data?.[0] || {
+    type: 'earthquake',
+    location: 'Tokyo, Japan',
+    magnitude: 6.5,
+    time: new Date(),
+    coordinates: { latitude: 35.6762, longitude: 139.6503 }
+  };
+  const location = sample.location || sample.title;
+
+  console.log('\n📼 Recording Gemini responses...');
+  const operations = {
+    analyzeDisaster: () => geminiService.analyzeDisaster({ ...sample, location }),
+    chatWithAI: () => geminiService.chatWithAI('What should I do during an earthquake?'),
+    generateEmergencyPlan: () => geminiService.generateEmergencyPlan(sample.type, location, sample.severity || 'high'),
+    analyzeTrends: () => geminiService.analyzeTrends((disasters.data || []).slice(0, 20)),
+    generateSafetyRecommendations: () => geminiService.generateSafetyRecommendations(sample.type, location),
+    enhanceV2VMessage: () => geminiService.enhanceV2VMessage('Help needed at location', {
+      messageType: 'emergency',
+      region: 'Asia'
+    }),
+    generateV2VResponse: () => geminiService.generateV2VResponse('Emergency vehicle requesting assistance', {
+      region: 'Asia',
+      messageType: 'v2v_communication'
+    })
+  };
+
+  for (const [name, run] of Object.entries(operations)) {
+    const result = await run();
+    console.log(result.success ? `✅ ${name}` : `❌ ${name}: ${result.error}`);
+  }
+
+  console.log('\n🎉 Fixtures recorded in fixtures/');
+}
+
+recordFixtures().catch(error => {
+  console.error('❌ Recording failed:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,62 @@
+// Default monitored locations and regions.
+//
+// These seed the Firestore registry (see services/locationService) the first
+// time it is read while empty; after that the registry is managed through the
+// /api/locations endpoints. Regions are [minLng, minLat, maxLng, maxLat] boxes
+// here, but registered regions can also be GeoJSON polygons.
+//
+// Locations can override the rainfall thresholds (mm) above which the weather
+// provider raises flood and landslide risk; a hazard set to null is not
+// assessed for that location.
+//
+// Coastal locations are the points the tsunami provider estimates wave
+// arrival times for.
+
+// `asia` is the default region of the earthquake, weather and tsunami
+// providers, so it covers every default location, Central Asia included
+const DEFAULT_REGIONS = [
+  {
+    id: 'asia',
+    name: 'Asia',
+    bbox: [46, -10, 180, 56]
+  },
+  {
+    id: 'central_asia',
+    name: 'Central Asia',
+    bbox: [46.5, 35, 87.5, 55.5]
+  }
+];
+
+const DEFAULT_RAINFALL_THRESHOLDS = {
+  flood: { rain24h: 50, rain72h: 100 },
+  landslide: { rain24h: 80, rain72h: 150 }
+};
+
+// Semi-arid mountain cities see mudflows after much less rain
+const MOUNTAIN_THRESHOLDS = { landslide: { rain24h: 40, rain72h: 70 } };
+
+const DEFAULT_LOCATIONS = [
+  { name: 'Tokyo', latitude: 35.6762, longitude: 139.6503, country: 'Japan', coastal: true },
+  { name: 'Seoul', latitude: 37.5665, longitude: 126.9780, country: 'South Korea' },
+  { name: 'Beijing', latitude: 39.9042, longitude: 116.4074, country: 'China' },
+  { name: 'Shanghai', latitude: 31.2304, longitude: 121.4737, country: 'China', coastal: true },
+  { name: 'Mumbai', latitude: 19.0760, longitude: 72.8777, country: 'India', coastal: true, rainfallThresholds: { flood: { rain24h: 150, rain72h: 300 } } },
+  { name: 'Delhi', latitude: 28.7041, longitude: 77.1025, country: 'India' },
+  { name: 'Bangkok', latitude: 13.7563, longitude: 100.5018, country: 'Thailand' },
+  { name: 'Jakarta', latitude: -6.2088, longitude: 106.8456, country: 'Indonesia', coastal: true },
+  { name: 'Manila', latitude: 14.5995, longitude: 120.9842, country: 'Philippines', coastal: true },
+  { name: 'Ho Chi Minh City', latitude: 10.8231, longitude: 106.6297, country: 'Vietnam' },
+  { name: 'Almaty', latitude: 43.2220, longitude: 76.8512, country: 'Kazakhstan', rainfallThresholds: MOUNTAIN_THRESHOLDS },
+  { name: 'Astana', latitude: 51.1694, longitude: 71.4491, country: 'Kazakhstan' },
+  { name: 'Shymkent', latitude: 42.3417, longitude: 69.5901, country: 'Kazakhstan' },
+  { name: 'Bishkek', latitude: 42.8746, longitude: 74.5698, country: 'Kyrgyzstan', rainfallThresholds: MOUNTAIN_THRESHOLDS },
+  { name: 'Tashkent', latitude: 41.2995, longitude: 69.2401, country: 'Uzbekistan' },
+  { name: 'Dushanbe', latitude: 38.5598, longitude: 68.7870, country: 'Tajikistan', rainfallThresholds: MOUNTAIN_THRESHOLDS },
+  { name: 'Ashgabat', latitude: 37.9601, longitude: 58.3261, country: 'Turkmenistan' }
+];
+
+module.exports = {
+  DEFAULT_REGIONS,
+  DEFAULT_LOCATIONS,
+  DEFAULT_RAINFALL_THRESHOLDS
+};
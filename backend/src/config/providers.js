@@ -0,0 +1,85 @@
+// Disaster provider configuration
+//
+// Providers are enabled by default. Set DISASTER_PROVIDERS to a comma-separated
+// list to enable only those providers, or DISABLED_DISASTER_PROVIDERS to switch
+// individual providers off. Poll intervals, cache lifetimes and upstream
+// timeouts are in seconds and can be overridden per provider with
+// <NAME>_POLL_INTERVAL, <NAME>_CACHE_TTL, <NAME>_STALE_TTL and <NAME>_TIMEOUT
+// (e.g. EARTHQUAKE_POLL_INTERVAL=60). <NAME>_RETRIES sets the number of
+// retries for a failed upstream request, and <NAME>_REGION the registered
+// region a provider monitors (see services/locationService).
+// <NAME>_MINUTE_BUDGET and <NAME>_DAILY_BUDGET cap the upstream requests a
+// provider makes per minute and per UTC day (see utils/requestBudget); a
+// provider without a budget is unlimited.
+
+const parseList = (value) => (value || '')
+  .split(',')
+  .map(item => item.trim().toLowerCase())
+  .filter(Boolean);
+
+const enabledProviders = parseList(process.env.DISASTER_PROVIDERS);
+const disabledProviders = parseList(process.env.DISABLED_DISASTER_PROVIDERS);
+
+const isEnabled = (name) => {
+  if (disabledProviders.includes(name)) {
+    return false;
+  }
+  return enabledProviders.length === 0 || enabledProviders.includes(name);
+};
+
+// Read a duration in seconds from the environment, returned in milliseconds
+const seconds = (name, setting, defaultSeconds) => {
+  const value = parseInt(process.env[`${name.toUpperCase()}_${setting}`], 10);
+  return (Number.isFinite(value) && value >= 0 ? value : defaultSeconds) * 1000;
+};
+
+// Read a non-negative integer from the environment
+const count = (name, setting, defaultValue) => {
+  const value = parseInt(process.env[`${name.toUpperCase()}_${setting}`], 10);
+  return Number.isFinite(value) && value >= 0 ? value : defaultValue;
+};
+
+const baseDefaults = { pollInterval: 300, cacheTtl: 60, staleTtl: 300, timeout: 10, retries: 2 };
+
+// Weather makes two requests per city against a metered API key, so it gets a
+// shorter timeout, fewer retries, hourly polls and the free plan's quotas
+const providerDefaults = {
+  earthquake: { pollInterval: 60, cacheTtl: 60, staleTtl: 300, minMagnitude: 4.0, region: 'asia' },
+  weather: {
+    pollInterval: 3600,
+    cacheTtl: 3600,
+    staleTtl: 7200,
+    timeout: 8,
+    retries: 1,
+    minuteBudget: 60,
+    dailyBudget: 1000,
+    region: 'asia'
+  },
+  tsunami: { cacheTtl: 120, staleTtl: 600, minMagnitude: 6.0, oceanDepth: 4000, region: 'asia' },
+  volcanic: { pollInterval: 900, cacheTtl: 900, staleTtl: 3600 },
+  cap: { cacheTtl: 300, staleTtl: 900 },
+  nws: { cacheTtl: 120, staleTtl: 600 },
+  cyclone: { pollInterval: 900, cacheTtl: 600, staleTtl: 3600 },
+  wildfire: { pollInterval: 1800, cacheTtl: 900, staleTtl: 3600, timeout: 30 }
+};
+
+const getProviderConfig = (name) => {
+  const defaults = { ...baseDefaults, ...providerDefaults[name] };
+  return {
+    ...defaults,
+    enabled: isEnabled(name),
+    pollInterval: seconds(name, 'POLL_INTERVAL', defaults.pollInterval),
+    cacheTtl: seconds(name, 'CACHE_TTL', defaults.cacheTtl),
+    staleTtl: seconds(name, 'STALE_TTL', defaults.staleTtl),
+    timeout: seconds(name, 'TIMEOUT', defaults.timeout),
+    retries: count(name, 'RETRIES', defaults.retries),
+    minuteBudget: count(name, 'MINUTE_BUDGET', defaults.minuteBudget ?? null),
+    dailyBudget: count(name, 'DAILY_BUDGET', defaults.dailyBudget ?? null),
+    region: process.env[`${name.toUpperCase()}_REGION`] || defaults.region || null
+  };
+};
+
+module.exports = {
+  getProviderConfig,
+  isEnabled
+};
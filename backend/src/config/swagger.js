@@ -118,6 +118,27 @@ const options = {
                   example: 'asia'
                 }
               }
+            },
+            savedLocations: {
+              type: 'array',
+              description: 'Places the user wants earthquake impact estimates for',
+              items: {
+                type: 'object',
+                properties: {
+                  name: {
+                    type: 'string',
+                    example: 'Home'
+                  },
+                  latitude: {
+                    type: 'number',
+                    example: 35.6895
+                  },
+                  longitude: {
+                    type: 'number',
+                    example: 139.6917
+                  }
+                }
+              }
             }
           }
         },
@@ -200,14 +221,18 @@ const options = {
         },
         Disaster: {
           type: 'object',
+          description: 'Canonical disaster event (schema version 1). Type-specific attributes such as magnitude, alertLevel or windSpeed are included alongside the core fields.',
           properties: {
+            schemaVersion: {
+              type: 'integer',
+              example: 1
+            },
             id: {
               type: 'string',
-              example: 'disaster-123'
+              example: 'us7000abcd'
             },
             type: {
               type: 'string',
-              enum: ['earthquake', 'weather', 'tsunami', 'volcanic'],
               example: 'earthquake'
             },
             severity: {
@@ -217,13 +242,27 @@ const options = {
             },
             title: {
               type: 'string',
-              example: 'Earthquake in Tokyo'
+              example: 'M 6.5 - 20 km SSE of Tokyo, Japan'
             },
             description: {
               type: 'string',
-              example: 'Magnitude 6.5 earthquake detected'
+              example: 'Magnitude 6.5 earthquake at 35 km depth'
             },
-            location: {
+            time: {
+              type: 'string',
+              format: 'date-time',
+              description: 'Same as startTime'
+            },
+            startTime: {
+              type: 'string',
+              format: 'date-time'
+            },
+            endTime: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true
+            },
+            coordinates: {
               type: 'object',
               properties: {
                 latitude: {
@@ -234,9 +273,23 @@ const options = {
                   type: 'number',
                   example: 139.6503
                 },
-                address: {
+                depth: {
+                  type: 'number',
+                  example: 35
+                }
+              }
+            },
+            geometry: {
+              type: 'object',
+              description: 'GeoJSON geometry of the event',
+              properties: {
+                type: {
                   type: 'string',
-                  example: 'Tokyo, Japan'
+                  example: 'Point'
+                },
+                coordinates: {
+                  type: 'array',
+                  items: {}
                 }
               }
             },
@@ -244,26 +297,154 @@ const options = {
               type: 'number',
               example: 6.5
             },
-            timestamp: {
+            sequenceId: {
               type: 'string',
-              format: 'date-time'
+              nullable: true,
+              description: 'Earthquakes only: the aftershock sequence the event belongs to',
+              example: 'seq_us7000abcd'
             },
-            source: {
+            sequenceRole: {
               type: 'string',
-              example: 'USGS'
+              enum: ['mainshock', 'foreshock', 'aftershock'],
+              nullable: true,
+              description: 'Earthquakes only: role within the sequence; events without fore- or aftershocks are mainshocks of their own'
             },
-            affectedArea: {
+            mainshockId: {
+              type: 'string',
+              nullable: true,
+              example: 'us7000abcd'
+            },
+            intensity: {
               type: 'object',
+              nullable: true,
+              description: 'Earthquakes only: estimated shaking (MMI) at the monitored cities within range',
               properties: {
-                radius: {
+                model: {
+                  type: 'string',
+                  example: 'Atkinson & Wald (2007)'
+                },
+                epicentralMmi: {
                   type: 'number',
-                  example: 50
+                  example: 8.4
                 },
-                population: {
-                  type: 'integer',
-                  example: 1000000
+                maxMmi: {
+                  type: 'number',
+                  nullable: true,
+                  description: 'Strongest estimated shaking at a monitored city',
+                  example: 6.1
+                },
+                cities: {
+                  type: 'array',
+                  items: {
+                    $ref: '#/components/schemas/IntensityEstimate'
+                  }
+                }
+              }
+            },
+            contributors: {
+              type: 'array',
+              description: 'Only on events merged from several source records describing the same phenomenon (e.g. a tsunami warning and its earthquake, or a storm across forecast slots): links to each record, earliest first. The merged event takes the id of its most severe record.',
+              items: {
+                type: 'object',
+                properties: {
+                  id: {
+                    type: 'string',
+                    example: 'us7000abcd'
+                  },
+                  type: {
+                    type: 'string',
+                    example: 'earthquake'
+                  },
+                  provider: {
+                    type: 'string',
+                    example: 'earthquake'
+                  },
+                  name: {
+                    type: 'string',
+                    example: 'USGS'
+                  },
+                  url: {
+                    type: 'string',
+                    nullable: true
+                  },
+                  title: {
+                    type: 'string'
+                  },
+                  severity: {
+                    type: 'string',
+                    enum: ['low', 'medium', 'high', 'critical']
+                  },
+                  startTime: {
+                    type: 'string',
+                    format: 'date-time'
+                  },
+                  endTime: {
+                    type: 'string',
+                    format: 'date-time',
+                    nullable: true
+                  }
+                }
+              }
+            },
+            threatRadiusKm: {
+              type: 'number',
+              description: 'Tsunamis only: distance from the epicentre within which hazardous waves are possible (0 when none are expected)',
+              example: 1000
+            },
+            threats: {
+              type: 'array',
+              description: 'Tsunamis only: threatened coastal locations, soonest estimated first-wave arrival first',
+              items: {
+                type: 'object',
+                properties: {
+                  locationId: {
+                    type: 'string',
+                    example: 'tokyo'
+                  },
+                  name: {
+                    type: 'string',
+                    example: 'Tokyo'
+                  },
+                  country: {
+                    type: 'string',
+                    example: 'Japan'
+                  },
+                  distanceKm: {
+                    type: 'number',
+                    example: 372.4
+                  },
+                  travelMinutes: {
+                    type: 'integer',
+                    description: 'Estimated wave travel time from the epicentre',
+                    example: 31
+                  },
+                  eta: {
+                    type: 'string',
+                    format: 'date-time',
+                    description: 'Estimated first-wave arrival'
+                  }
+                }
+              }
+            },
+            source: {
+              type: 'object',
+              properties: {
+                provider: {
+                  type: 'string',
+                  example: 'earthquake'
+                },
+                name: {
+                  type: 'string',
+                  example: 'USGS'
+                },
+                url: {
+                  type: 'string'
                 }
               }
+            },
+            raw: {
+              type: 'object',
+              description: 'Untouched upstream record'
             }
           }
         },
@@ -319,6 +500,421 @@ const options = {
             }
           }
         },
+        QuarantinedRecord: {
+          type: 'object',
+          description: 'Raw upstream record a provider rejected as malformed',
+          properties: {
+            id: {
+              type: 'string'
+            },
+            provider: {
+              type: 'string',
+              example: 'earthquake'
+            },
+            problems: {
+              type: 'array',
+              description: 'Why the record was rejected',
+              items: {
+                type: 'string',
+                example: 'feature.properties.mag must be a number'
+              }
+            },
+            payload: {
+              description: 'The raw record; text cut at 100,000 characters when payloadTruncated is set'
+            },
+            payloadTruncated: {
+              type: 'boolean'
+            },
+            firstSeenAt: {
+              type: 'string',
+              format: 'date-time'
+            },
+            lastSeenAt: {
+              type: 'string',
+              format: 'date-time'
+            },
+            occurrences: {
+              type: 'integer',
+              description: 'Number of polls the record was rejected in'
+            }
+          }
+        },
+        Backfill: {
+          type: 'object',
+          description: 'Historical import of the USGS earthquake catalog into the event store',
+          properties: {
+            id: {
+              type: 'string'
+            },
+            source: {
+              type: 'string',
+              example: 'usgs'
+            },
+            status: {
+              type: 'string',
+              enum: ['pending', 'running', 'completed', 'failed']
+            },
+            startTime: {
+              type: 'string',
+              format: 'date-time'
+            },
+            endTime: {
+              type: 'string',
+              format: 'date-time'
+            },
+            minMagnitude: {
+              type: 'number',
+              example: 4.0
+            },
+            region: {
+              type: 'string',
+              example: 'asia'
+            },
+            windows: {
+              type: 'array',
+              description: 'Query windows, each under the USGS result limit',
+              items: {
+                type: 'object',
+                properties: {
+                  startTime: {
+                    type: 'string',
+                    format: 'date-time'
+                  },
+                  endTime: {
+                    type: 'string',
+                    format: 'date-time'
+                  },
+                  count: {
+                    type: 'integer'
+                  },
+                  status: {
+                    type: 'string',
+                    enum: ['pending', 'completed']
+                  }
+                }
+              }
+            },
+            totalWindows: {
+              type: 'integer'
+            },
+            completedWindows: {
+              type: 'integer'
+            },
+            expectedEvents: {
+              type: 'integer'
+            },
+            fetchedEvents: {
+              type: 'integer'
+            },
+            created: {
+              type: 'integer'
+            },
+            updated: {
+              type: 'integer'
+            },
+            error: {
+              type: 'string',
+              nullable: true
+            },
+            createdAt: {
+              type: 'string',
+              format: 'date-time'
+            },
+            completedAt: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true
+            }
+          }
+        },
+        MonitoredLocation: {
+          type: 'object',
+          description: 'A point monitored by providers, e.g. for severe weather',
+          required: ['name', 'latitude', 'longitude'],
+          properties: {
+            id: {
+              type: 'string',
+              description: 'Slug of the name (a hash of it for names without Latin letters or digits) unless given',
+              example: 'almaty'
+            },
+            name: {
+              type: 'string',
+              example: 'Almaty'
+            },
+            latitude: {
+              type: 'number',
+              example: 43.222
+            },
+            longitude: {
+              type: 'number',
+              example: 76.8512
+            },
+            country: {
+              type: 'string',
+              nullable: true,
+              example: 'Kazakhstan'
+            },
+            active: {
+              type: 'boolean',
+              description: 'Inactive locations are kept but not monitored',
+              example: true
+            },
+            coastal: {
+              type: 'boolean',
+              description: 'Coastal locations get tsunami threat and wave arrival estimates',
+              example: false
+            },
+            rainfallThresholds: {
+              type: 'object',
+              nullable: true,
+              description: 'Forecast rain (mm) over 24 and 72 hours that raises flood or landslide risk here. Unset hazards and amounts use the defaults; a hazard set to null is not assessed.',
+              properties: {
+                flood: {
+                  type: 'object',
+                  nullable: true,
+                  properties: {
+                    rain24h: {
+                      type: 'number',
+                      example: 50
+                    },
+                    rain72h: {
+                      type: 'number',
+                      example: 100
+                    }
+                  }
+                },
+                landslide: {
+                  type: 'object',
+                  nullable: true,
+                  properties: {
+                    rain24h: {
+                      type: 'number',
+                      example: 40
+                    },
+                    rain72h: {
+                      type: 'number',
+                      example: 70
+                    }
+                  }
+                }
+              }
+            }
+          }
+        },
+        Region: {
+          type: 'object',
+          description: 'Named area that bounds provider queries and filters feeds',
+          properties: {
+            id: {
+              type: 'string',
+              example: 'central_asia'
+            },
+            name: {
+              type: 'string',
+              example: 'Central Asia'
+            },
+            bbox: {
+              type: 'array',
+              description: '[minLng, minLat, maxLng, maxLat]',
+              items: {
+                type: 'number'
+              },
+              example: [46.5, 35, 87.5, 55.5]
+            },
+            geometry: {
+              type: 'object',
+              description: 'GeoJSON Polygon or MultiPolygon'
+            }
+          }
+        },
+        CyclonePosition: {
+          type: 'object',
+          description: 'Observed or forecast position of a tropical cyclone',
+          properties: {
+            time: {
+              type: 'string',
+              format: 'date-time'
+            },
+            hours: {
+              type: 'number',
+              description: 'Forecast lead time after the advisory (forecast positions only)',
+              example: 24
+            },
+            latitude: {
+              type: 'number',
+              example: 16.2
+            },
+            longitude: {
+              type: 'number',
+              example: 126.4
+            },
+            maxWind: {
+              type: 'number',
+              description: 'Maximum sustained wind in knots',
+              example: 105
+            },
+            pressure: {
+              type: 'number',
+              nullable: true,
+              description: 'Central pressure in hPa',
+              example: 950
+            },
+            classification: {
+              type: 'string',
+              description: 'Intensity class (observed positions only)',
+              example: 'Typhoon'
+            }
+          }
+        },
+        IntensityEstimate: {
+          type: 'object',
+          description: 'Estimated shaking of an earthquake at a place, from the Atkinson & Wald (2007) intensity prediction equation',
+          properties: {
+            name: {
+              type: 'string',
+              example: 'Tokyo'
+            },
+            latitude: {
+              type: 'number',
+              example: 35.6762
+            },
+            longitude: {
+              type: 'number',
+              example: 139.6503
+            },
+            distanceKm: {
+              type: 'number',
+              description: 'Epicentral distance',
+              example: 84.2
+            },
+            mmi: {
+              type: 'number',
+              description: 'Estimated Modified Mercalli Intensity',
+              example: 6.1
+            },
+            intensity: {
+              type: 'string',
+              example: 'VI'
+            },
+            shaking: {
+              type: 'string',
+              example: 'Strong'
+            },
+            damage: {
+              type: 'string',
+              example: 'Light'
+            }
+          }
+        },
+        EventEnrichment: {
+          type: 'object',
+          description: 'Context of a disaster event for operators',
+          properties: {
+            affectedArea: {
+              type: 'object',
+              description: 'Polygon of the event itself, or a radius around it (for earthquakes, out to estimated MMI V)',
+              properties: {
+                type: {
+                  type: 'string',
+                  enum: ['polygon', 'radius']
+                },
+                radiusKm: {
+                  type: 'number',
+                  example: 131
+                }
+              }
+            },
+            nearestCities: {
+              type: 'array',
+              description: 'Nearest monitored locations, with their distance in km (0 inside the event area)',
+              items: {
+                $ref: '#/components/schemas/MonitoredLocation'
+              }
+            },
+            vehicles: {
+              type: 'array',
+              description: 'Registered vehicles inside the affected area that reported within the last 30 minutes, nearest first (own vehicles; all for admins; empty without authentication)',
+              items: {
+                type: 'object',
+                properties: {
+                  vehicleId: {
+                    type: 'string'
+                  },
+                  userId: {
+                    type: 'string'
+                  },
+                  make: {
+                    type: 'string'
+                  },
+                  model: {
+                    type: 'string'
+                  },
+                  latitude: {
+                    type: 'number'
+                  },
+                  longitude: {
+                    type: 'number'
+                  },
+                  distance: {
+                    type: 'number',
+                    example: 12.4
+                  }
+                }
+              }
+            },
+            relatedEvents: {
+              type: 'array',
+              description: 'Current events within 300 km and 3 days of the event, nearest first',
+              items: {
+                type: 'object',
+                properties: {
+                  id: {
+                    type: 'string'
+                  },
+                  type: {
+                    type: 'string'
+                  },
+                  severity: {
+                    type: 'string'
+                  },
+                  title: {
+                    type: 'string'
+                  },
+                  startTime: {
+                    type: 'string',
+                    format: 'date-time'
+                  },
+                  distance: {
+                    type: 'number',
+                    example: 42.7
+                  }
+                }
+              }
+            },
+            analyses: {
+              type: 'array',
+              description: 'Stored AI analyses of the event, newest first (own analyses; all for admins; empty without authentication)',
+              items: {
+                type: 'object',
+                properties: {
+                  id: {
+                    type: 'string'
+                  },
+                  userId: {
+                    type: 'string'
+                  },
+                  analysis: {
+                    type: 'string'
+                  },
+                  timestamp: {
+                    type: 'string',
+                    format: 'date-time'
+                  }
+                }
+              }
+            }
+          }
+        },
         Analytics: {
           type: 'object',
           properties: {
@@ -333,6 +929,19 @@ const options = {
                   type: 'integer',
                   example: 12
                 },
+                earthquakeSequences: {
+                  type: 'integer',
+                  description: 'Earthquake sequences with fore- or aftershocks; each counts once in the totals, as its mainshock',
+                  example: 2
+                },
+                foreshocks: {
+                  type: 'integer',
+                  example: 1
+                },
+                aftershocks: {
+                  type: 'integer',
+                  example: 23
+                },
                 byType: {
                   type: 'object',
                   properties: {
@@ -351,6 +960,10 @@ const options = {
                     volcanic: {
                       type: 'integer',
                       example: 0
+                    },
+                    wildfire: {
+                      type: 'integer',
+                      example: 4
                     }
                   }
                 }
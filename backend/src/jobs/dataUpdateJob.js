@@ -1,7 +1,10 @@
 const cron = require('node-cron');
 const disasterService = require('../services/disasterService');
 const analyticsService = require('../services/analyticsService');
+const eventStore = require('../services/eventStore');
+const changeFeedService = require('../services/changeFeedService');
 const { getFirestore } = require('../config/firebase');
+const { vehicleStatus } = require('../utils/vehicleStatus');
 const logger = require('../utils/logger');
 
 class DataUpdateJob {
@@ -21,8 +24,8 @@ class DataUpdateJob {
   start() {
     logger.info('Starting data update jobs...');
 
-    // Update disaster data every 5 minutes
-    cron.schedule('*/5 * * * *', async () => {
+    // Poll the providers that are due every minute
+    cron.schedule('* * * * *', async () => {
       await this.updateDisasterData();
     });
 
@@ -44,39 +47,73 @@ class DataUpdateJob {
     logger.info('Data update jobs started successfully');
   }
 
-  // Update disaster data
-  async updateDisasterData() {
+  // Update disaster data from the providers due for a poll. Each provider is
+  // polled every pollInterval, less often while its request budget runs low
+  // (see BaseProvider#scheduleNextPoll); `force` polls every enabled provider.
+  async updateDisasterData({ force = false } = {}) {
     if (this.isRunning) {
       logger.warn('Data update already running, skipping...');
       return;
     }
 
+    const now = Date.now();
+    const providers = disasterService.providers.getEnabled()
+      .filter(provider => force || provider.isDue(now));
+    if (providers.length === 0) {
+      return;
+    }
+
     this.isRunning = true;
     try {
-      logger.info('Starting disaster data update...');
+      logger.info(`Starting disaster data update (${providers.map(provider => provider.name).join(', ')})...`);
+
+      // Poll upstream directly; this also refreshes the provider caches that
+      // serve API requests. The store keeps one event per source record, so
+      // correlated events are not merged here.
+      const disasterData = await disasterService.collectEvents(providers, { forceRefresh: true });
+      providers.forEach(provider => provider.scheduleNextPoll(now));
+
+      // Upsert each event into the event store
+      const result = await eventStore.upsertEvents(disasterData.data);
+
+      // Resolve events that ended or are no longer reported
+      const succeededProviders = Object.keys(disasterData.sources)
+        .filter(name => disasterData.sources[name].success);
+      const resolved = await eventStore.resolveMissing({
+        seenIds: disasterData.data.map(event => event.id),
+        providers: succeededProviders
+      });
 
-      const disasterData = await disasterService.getAllDisasters();
-      
-      if (disasterData.success) {
-        // Store latest disaster data
-        await this.firestore.collection('disaster_updates').add({
-          data: disasterData.data,
-          count: disasterData.count,
-          timestamp: new Date(),
-          type: 'disaster_update'
-        });
+      // Publish lifecycle changes to the change feed and connected clients
+      const changes = changeFeedService.classify(result, resolved);
+      await changeFeedService.publish(changes);
+
+      // Record a summary of this update with the request budget usage of the
+      // polled providers
+      const budgets = Object.fromEntries(providers.map(provider => [provider.name, {
+        ...provider.budget.getUsage(now),
+        interval: provider.schedule.interval,
+        slowedDown: provider.schedule.slowedDown
+      }]));
+      await this.firestore.collection('disaster_updates').add({
+        count: disasterData.count,
+        created: result.created.length,
+        updated: result.updated.length,
+        unchanged: result.unchanged.length,
+        resolved: resolved.length,
+        sources: disasterData.sources,
+        budgets,
+        timestamp: new Date(),
+        type: 'disaster_update'
+      });
 
-        // Update real-time disaster cache
-        await this.firestore.collection('cache').doc('disasters').set({
-          data: disasterData.data,
-          lastUpdated: new Date(),
-          count: disasterData.count
+      logger.info(`Disaster data updated: ${disasterData.count} events (${result.created.length} new, ${result.updated.length} updated, ${resolved.length} resolved)`);
+      providers
+        .filter(provider => provider.budget.perDay !== null)
+        .forEach(provider => {
+          const { day } = budgets[provider.name];
+          logger.info(`${provider.name} request budget: ${day.used}/${day.limit} today, next poll in ${Math.round(provider.schedule.interval / 1000)}s`);
         });
-
-        logger.info(`Disaster data updated: ${disasterData.count} events`);
-      } else {
-        logger.error('Failed to update disaster data:', disasterData.error);
-      }
     } catch (error) {
       logger.error('Error in disaster data update job:', error);
     } finally {
@@ -172,15 +209,7 @@ class DataUpdateJob {
 
       vehiclesSnapshot.docs.forEach(doc => {
         const vehicleData = doc.data();
-        const lastSeen = vehicleData.lastSeen.toDate();
-        const timeDiff = (now - lastSeen) / 1000 / 60; // minutes
-
-        let newStatus = 'active';
-        if (timeDiff > 30) {
-          newStatus = 'inactive';
-        } else if (timeDiff > 10) {
-          newStatus = 'warning';
-        }
+        const newStatus = vehicleStatus(vehicleData.lastSeen.toDate(), now);
 
         if (newStatus !== vehicleData.status) {
           batch.update(doc.ref, {
@@ -203,7 +232,7 @@ class DataUpdateJob {
   // Manual data refresh
   async refreshAllData() {
     logger.info('Manual data refresh initiated...');
-    await this.updateDisasterData();
+    await this.updateDisasterData({ force: true });
     await this.generateAnalytics();
     logger.info('Manual data refresh completed');
   }
@@ -214,11 +243,12 @@ class DataUpdateJob {
       isRunning: this.isRunning,
       lastUpdate: new Date(),
       jobs: {
-        disasterData: '*/5 * * * *',
+        disasterData: '* * * * *',
         analytics: '0 * * * *',
         cleanup: '0 2 * * *',
         vehicleStatus: '* * * * *'
-      }
+      },
+      providers: disasterService.providers.getHealth()
     };
   }
 }
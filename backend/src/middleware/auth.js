@@ -41,8 +41,21 @@ const optionalAuth = async (req, res, next) => {
   }
 };
 
+// Require an authenticated user with the `admin` custom claim.
+// Use after authenticateToken.
+const requireAdmin = (req, res, next) => {
+  if (!req.user || req.user.admin !== true) {
+    return res.status(403).json({
+      success: false,
+      error: 'Admin access required'
+    });
+  }
+  next();
+};
+
 module.exports = {
   authenticateToken,
-  optionalAuth
+  optionalAuth,
+  requireAdmin
 };
 
@@ -46,6 +46,8 @@ const router = express.Router();
  *                 lastUpdated:
  *                   type: string
  *                   format: date-time
+ *                 stale:
+ *                   type: boolean
  *       400:
  *         description: Validation error
  *         content:
@@ -75,7 +77,9 @@ router.get('/disasters', [
 
     const { timeRange = '7d', forceRefresh = false } = req.query;
 
-    const analytics = await analyticsService.generateDisasterAnalytics(timeRange);
+    const analytics = await analyticsService.generateDisasterAnalytics(timeRange, {
+      forceRefresh: forceRefresh === true || forceRefresh === 'true'
+    });
 
     if (!analytics.success) {
       return res.status(500).json({
@@ -87,6 +91,7 @@ router.get('/disasters', [
     res.json({
       success: true,
       data: analytics.data,
+      stale: analytics.stale,
       lastUpdated: analytics.lastUpdated
     });
 
@@ -238,6 +243,8 @@ router.get('/historical', [
  *                     lastUpdated:
  *                       type: string
  *                       format: date-time
+ *                     stale:
+ *                       type: boolean
  *       500:
  *         description: Internal server error
  *         content:
@@ -264,7 +271,8 @@ router.get('/dashboard', optionalAuth, async (req, res) => {
       current: disasterAnalytics.data,
       historical: historicalAnalytics.success ? historicalAnalytics.data : [],
       alerts: generateAlerts(disasterAnalytics.data),
-      lastUpdated: new Date()
+      stale: disasterAnalytics.stale,
+      lastUpdated: disasterAnalytics.lastUpdated
     };
 
     res.json({
@@ -294,7 +302,7 @@ router.get('/dashboard', optionalAuth, async (req, res) => {
  *         name: type
  *         schema:
  *           type: string
- *           enum: [disasters, earthquakes, weather, volcanic]
+ *           enum: [disasters, earthquakes, weather, volcanic, wildfires]
  *           default: disasters
  *         description: Type of trend to analyze
  *         example: earthquakes
@@ -353,6 +361,8 @@ router.get('/dashboard', optionalAuth, async (req, res) => {
  *                 lastUpdated:
  *                   type: string
  *                   format: date-time
+ *                 stale:
+ *                   type: boolean
  *       400:
  *         description: Validation error
  *         content:
@@ -367,7 +377,7 @@ router.get('/dashboard', optionalAuth, async (req, res) => {
  *               $ref: '#/components/schemas/Error'
  */
 router.get('/trends', [
-  query('type').optional().isIn(['disasters', 'earthquakes', 'weather', 'volcanic']).withMessage('Invalid trend type'),
+  query('type').optional().isIn(['disasters', 'earthquakes', 'weather', 'volcanic', 'wildfires']).withMessage('Invalid trend type'),
   query('period').optional().isIn(['7d', '30d', '90d']).withMessage('Invalid period')
 ], optionalAuth, async (req, res) => {
   try {
@@ -393,20 +403,22 @@ router.get('/trends', [
 
     let trendData = analytics.data;
 
-    // Filter by type if specified
+    // Filter by type if specified. Trend types are plural where the event
+    // type is not (earthquakes, wildfires).
     if (type !== 'disasters') {
+      const eventType = type.replace(/s$/, '');
       trendData = {
         ...trendData,
         summary: {
           ...trendData.summary,
-          byType: { [type]: trendData.summary.byType[type] || 0 }
+          byType: { [eventType]: trendData.summary.byType[eventType] || 0 }
         },
         trends: {
           ...trendData.trends,
           daily: Object.fromEntries(
             Object.entries(trendData.trends.daily).map(([date, data]) => [
               date,
-              { total: data.byType[type] || 0, byType: { [type]: data.byType[type] || 0 } }
+              { total: data.byType[eventType] || 0, byType: { [eventType]: data.byType[eventType] || 0 } }
             ])
           )
         }
@@ -422,6 +434,7 @@ router.get('/trends', [
         summary: trendData.summary,
         predictions: trendData.predictions
       },
+      stale: analytics.stale,
       lastUpdated: analytics.lastUpdated
     });
 
@@ -505,6 +518,8 @@ router.get('/trends', [
  *                 lastUpdated:
  *                   type: string
  *                   format: date-time
+ *                 stale:
+ *                   type: boolean
  *       400:
  *         description: Validation error
  *         content:
@@ -566,6 +581,7 @@ router.get('/geographic', [
         hotspots: geographicData.hotspots,
         distribution: geographicData.distribution
       },
+      stale: analytics.stale,
       lastUpdated: analytics.lastUpdated
     });
 
@@ -652,6 +668,8 @@ router.get('/geographic', [
  *                     lastUpdated:
  *                       type: string
  *                       format: date-time
+ *                     stale:
+ *                       type: boolean
  *       400:
  *         description: Validation error
  *         content:
@@ -697,6 +715,7 @@ router.get('/predictions', [
         horizon,
         predictions,
         confidence: calculateConfidence(predictions),
+        stale: analytics.stale,
         lastUpdated: analytics.lastUpdated
       }
     });
@@ -214,6 +214,23 @@ router.get('/profile', authenticateToken, async (req, res) => {
  *                   region:
  *                     type: string
  *                     example: "asia"
+ *               savedLocations:
+ *                 type: array
+ *                 maxItems: 20
+ *                 description: Places (home, work...) to estimate earthquake shaking at; replaces the saved list
+ *                 items:
+ *                   type: object
+ *                   required: [name, latitude, longitude]
+ *                   properties:
+ *                     name:
+ *                       type: string
+ *                       example: "Home"
+ *                     latitude:
+ *                       type: number
+ *                       example: 35.6895
+ *                     longitude:
+ *                       type: number
+ *                       example: 139.6917
  *     responses:
  *       200:
  *         description: Profile updated successfully
@@ -237,7 +254,11 @@ router.get('/profile', authenticateToken, async (req, res) => {
 router.put('/profile', [
   authenticateToken,
   body('name').optional().isLength({ min: 2 }).withMessage('Name must be at least 2 characters'),
-  body('preferences').optional().isObject().withMessage('Preferences must be an object')
+  body('preferences').optional().isObject().withMessage('Preferences must be an object'),
+  body('savedLocations').optional().isArray({ max: 20 }).withMessage('Saved locations must be an array of at most 20 locations'),
+  body('savedLocations.*.name').isString().trim().notEmpty().withMessage('Saved location name is required'),
+  body('savedLocations.*.latitude').isFloat({ min: -90, max: 90 }).toFloat().withMessage('Invalid latitude'),
+  body('savedLocations.*.longitude').isFloat({ min: -180, max: 180 }).toFloat().withMessage('Invalid longitude')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -160,6 +160,10 @@ router.post('/message', [
  *                 type: object
  *                 description: Disaster data to analyze
  *                 properties:
+ *                   id:
+ *                     type: string
+ *                     description: Event id; the analysis is then listed in the event's details
+ *                     example: "us7000abcd"
  *                   type:
  *                     type: string
  *                     example: "earthquake"
@@ -258,6 +262,7 @@ router.post('/analyze-disaster', [
     // Save analysis
     const analysisData = {
       userId: req.user.uid,
+      disasterId: disasterData.id || null,
       disasterData,
       analysis: analysis.analysis,
       timestamp: new Date(),
@@ -1,17 +1,56 @@
 const express = require('express');
-const { query, validationResult } = require('express-validator');
+const { body, query, param, validationResult } = require('express-validator');
 const disasterService = require('../services/disasterService');
-const { optionalAuth } = require('../middleware/auth');
+const changeFeedService = require('../services/changeFeedService');
+const backfillService = require('../services/backfillService');
+const locationService = require('../services/locationService');
+const impactService = require('../services/impactService');
+const enrichmentService = require('../services/enrichmentService');
+const quarantineService = require('../services/quarantineService');
+const { authenticateToken, optionalAuth, requireAdmin } = require('../middleware/auth');
+const { bboxToPolygon, isPolygonGeometry } = require('../utils/geo');
+const { compareSeverity } = require('../utils/severity');
+const { EXPORT_FORMATS, negotiateFormat, sendExport } = require('../utils/exportFormats');
+const { buildCapAlert } = require('../utils/cap');
+const { FEED_PUBLISHER, toCapIndex, toRss } = require('../utils/alertFeeds');
+const { SORT_FIELDS, decodeCursor, paginate, selectFields } = require('../utils/pagination');
 const logger = require('../utils/logger');
 
 const router = express.Router();
 
+// Regions are validated against the location registry
+const isKnownRegion = async (value) => {
+  if (!await locationService.getRegion(value)) {
+    throw new Error('Unknown region');
+  }
+  return true;
+};
+
+const feedValidators = [
+  query('type').optional().custom(value => disasterService.getDisasterTypes().includes(value)).withMessage('Invalid disaster type'),
+  query('severity').optional().isIn(['low', 'medium', 'high', 'critical']).withMessage('Invalid severity level'),
+  query('region').optional().custom(isKnownRegion)
+];
+
+// Current events for the CAP and RSS feeds, most severe first
+const getFeedEvents = async ({ type, severity, region }) => {
+  const disasters = await disasterService.getDisasters({ type, region });
+  if (!disasters.success) {
+    return disasters;
+  }
+
+  const data = disasters.data
+    .filter(disaster => !severity || disaster.severity === severity)
+    .sort((a, b) => compareSeverity(b.severity, a.severity) || new Date(b.startTime) - new Date(a.startTime));
+  return { ...disasters, data };
+};
+
 /**
  * @swagger
  * /api/disasters:
  *   get:
  *     summary: Get all disaster data
- *     description: Retrieves disaster data with optional filtering by type, severity, and time range
+ *     description: Retrieves disaster data with optional filtering by type, severity, and time range, one page at a time. Follow nextCursor to get the next page. With since, returns the stored events created, changed or resolved after that time instead, for incremental sync.
  *     tags: [Disasters]
  *     security: []
  *     parameters:
@@ -19,8 +58,7 @@ const router = express.Router();
  *         name: type
  *         schema:
  *           type: string
- *           enum: [earthquake, weather, tsunami, volcanic]
- *         description: Filter by disaster type
+ *         description: Filter by disaster type. Accepts any type produced by an enabled provider (earthquake, weather, tsunami, volcanic by default)
  *         example: earthquake
  *       - in: query
  *         name: severity
@@ -36,9 +74,47 @@ const router = express.Router();
  *           minimum: 1
  *           maximum: 100
  *           default: 50
- *         description: Maximum number of results to return
+ *         description: Maximum number of results per page
  *         example: 25
  *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: Opaque cursor from the nextCursor of the previous page; only valid with the same sort
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [time, severity, magnitude, distance]
+ *           default: time
+ *         description: Newest first, most severe first, largest magnitude first (events without one last) or nearest to lat/lng first
+ *         example: severity
+ *       - in: query
+ *         name: lat
+ *         schema:
+ *           type: number
+ *         description: Latitude to sort by distance from (required with sort=distance)
+ *         example: 35.6762
+ *       - in: query
+ *         name: lng
+ *         schema:
+ *           type: number
+ *         description: Longitude to sort by distance from (required with sort=distance)
+ *         example: 139.6503
+ *       - in: query
+ *         name: fields
+ *         schema:
+ *           type: string
+ *         description: Comma-separated top-level fields to return (id is always included; JSON only)
+ *         example: type,severity,title,time,coordinates
+ *       - in: query
+ *         name: since
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only return stored events created, changed or resolved after this time (days is then ignored); resolved events have status resolved
+ *         example: '2026-10-18T00:00:00Z'
+ *       - in: query
  *         name: days
  *         schema:
  *           type: integer
@@ -47,6 +123,20 @@ const router = express.Router();
  *           default: 7
  *         description: Number of days to look back for data
  *         example: 7
+ *       - in: query
+ *         name: region
+ *         schema:
+ *           type: string
+ *         description: Only return events inside a registered region (see /api/locations/regions)
+ *         example: central_asia
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [json, geojson, kml, csv]
+ *           default: json
+ *         description: Response format. When omitted, the Accept header is used (application/geo+json, application/vnd.google-earth.kml+xml or text/csv)
+ *         example: geojson
  *     responses:
  *       200:
  *         description: Disaster data retrieved successfully
@@ -64,7 +154,16 @@ const router = express.Router();
  *                     $ref: '#/components/schemas/Disaster'
  *                 count:
  *                   type: integer
+ *                   description: Number of events in this page
  *                   example: 25
+ *                 total:
+ *                   type: integer
+ *                   description: Number of events matching the filters across all pages
+ *                   example: 132
+ *                 nextCursor:
+ *                   type: string
+ *                   nullable: true
+ *                   description: Cursor of the next page, null on the last page
  *                 filters:
  *                   type: object
  *                   properties:
@@ -76,9 +175,35 @@ const router = express.Router();
  *                       type: integer
  *                     days:
  *                       type: integer
+ *                     sort:
+ *                       type: string
+ *                     since:
+ *                       type: string
+ *                     fields:
+ *                       type: string
  *                 lastUpdated:
  *                   type: string
  *                   format: date-time
+ *                 stale:
+ *                   type: boolean
+ *                   description: True when served from cache past its TTL while a refresh runs
+ *                 degradedSources:
+ *                   type: array
+ *                   description: Sources that failed or are serving cached data while their upstream is failing
+ *                   items:
+ *                     type: string
+ *           application/geo+json:
+ *             schema:
+ *               type: object
+ *               description: GeoJSON FeatureCollection of the events
+ *           application/vnd.google-earth.kml+xml:
+ *             schema:
+ *               type: string
+ *               description: KML document with placemarks styled by severity
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *               description: One row per event
  *       400:
  *         description: Validation error
  *         content:
@@ -93,10 +218,18 @@ const router = express.Router();
  *               $ref: '#/components/schemas/Error'
  */
 router.get('/', [
-  query('type').optional().isIn(['earthquake', 'weather', 'tsunami', 'volcanic']).withMessage('Invalid disaster type'),
+  query('type').optional().custom(value => disasterService.getDisasterTypes().includes(value)).withMessage('Invalid disaster type'),
   query('severity').optional().isIn(['low', 'medium', 'high', 'critical']).withMessage('Invalid severity level'),
   query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
-  query('days').optional().isInt({ min: 1, max: 30 }).withMessage('Days must be between 1 and 30')
+  query('days').optional().isInt({ min: 1, max: 30 }).withMessage('Days must be between 1 and 30'),
+  query('region').optional().custom(isKnownRegion),
+  query('sort').optional().isIn(SORT_FIELDS).withMessage(`Sort must be one of ${SORT_FIELDS.join(', ')}`),
+  query('lat').if(query('sort').equals('distance')).isFloat({ min: -90, max: 90 }).withMessage('Latitude between -90 and 90 is required to sort by distance'),
+  query('lng').if(query('sort').equals('distance')).isFloat({ min: -180, max: 180 }).withMessage('Longitude between -180 and 180 is required to sort by distance'),
+  query('cursor').optional().custom((value, { req }) => decodeCursor(value)?.sort === (req.query.sort || 'time')).withMessage('Invalid cursor for this sort'),
+  query('fields').optional().matches(/^[A-Za-z]\w*(,[A-Za-z]\w*)*$/).withMessage('Fields must be a comma-separated list of field names'),
+  query('since').optional().isISO8601().withMessage('Since must be an ISO 8601 timestamp'),
+  query('format').optional().isIn(EXPORT_FORMATS).withMessage('Invalid export format')
 ], optionalAuth, async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -108,26 +241,13 @@ router.get('/', [
       });
     }
 
-    const { type, severity, limit = 50, days = 7 } = req.query;
-    
-    let disasters;
-    
-    if (type === 'earthquake') {
-      const endTime = new Date();
-      const startTime = new Date(endTime.getTime() - days * 24 * 60 * 60 * 1000);
-      disasters = await disasterService.getEarthquakes(
-        startTime.toISOString(),
-        endTime.toISOString()
-      );
-    } else if (type === 'weather') {
-      disasters = await disasterService.getWeatherAlerts();
-    } else if (type === 'tsunami') {
-      disasters = await disasterService.getTsunamiWarnings();
-    } else if (type === 'volcanic') {
-      disasters = await disasterService.getVolcanicActivity();
-    } else {
-      disasters = await disasterService.getAllDisasters();
-    }
+    const { type, severity, limit = 50, days = 7, region, sort = 'time', lat, lng, cursor, fields, since } = req.query;
+
+    // With since, changes are read from the event store instead of the
+    // current provider data
+    const disasters = since
+      ? await disasterService.getDisastersChangedSince(new Date(since), { type, region })
+      : await disasterService.getDisasters({ type, days: parseInt(days), region });
 
     if (!disasters.success) {
       return res.status(500).json({
@@ -143,14 +263,30 @@ router.get('/', [
       filteredData = filteredData.filter(disaster => disaster.severity === severity);
     }
 
-    // Apply limit
-    filteredData = filteredData.slice(0, parseInt(limit));
+    // Sort and cut the page after the cursor
+    const page = paginate(filteredData, {
+      sort,
+      origin: sort === 'distance' ? { latitude: parseFloat(lat), longitude: parseFloat(lng) } : null,
+      cursor,
+      limit: parseInt(limit)
+    });
+
+    const format = negotiateFormat(req);
+    if (format !== 'json') {
+      return sendExport(res, format, page.data, { name: type || 'disasters' });
+    }
+
+    const selected = fields ? fields.split(',') : null;
 
     res.json({
       success: true,
-      data: filteredData,
-      count: filteredData.length,
-      filters: { type, severity, limit, days },
+      data: page.data.map(disaster => selectFields(disaster, selected)),
+      count: page.data.length,
+      total: page.total,
+      nextCursor: page.nextCursor,
+      filters: { type, severity, limit, days, region, sort, since, fields },
+      degradedSources: disasters.degradedSources,
+      stale: disasters.stale,
       lastUpdated: disasters.lastUpdated
     });
 
@@ -187,6 +323,14 @@ router.get('/', [
  *                 lastUpdated:
  *                   type: string
  *                   format: date-time
+ *                 stale:
+ *                   type: boolean
+ *                   description: True when served from cache past its TTL while a refresh runs
+ *                 degradedSources:
+ *                   type: array
+ *                   description: Sources that failed or are serving cached data while their upstream is failing
+ *                   items:
+ *                     type: string
  *       500:
  *         description: Internal server error
  *         content:
@@ -208,6 +352,8 @@ router.get('/stats', optionalAuth, async (req, res) => {
     res.json({
       success: true,
       data: stats.data,
+      degradedSources: stats.degradedSources,
+      stale: stats.stale,
       lastUpdated: stats.lastUpdated
     });
 
@@ -247,6 +393,20 @@ router.get('/stats', optionalAuth, async (req, res) => {
  *           default: 7
  *         description: Number of days to look back for data
  *         example: 7
+ *       - in: query
+ *         name: region
+ *         schema:
+ *           type: string
+ *         description: Only return events inside a registered region (see /api/locations/regions)
+ *         example: central_asia
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [json, geojson, kml, csv]
+ *           default: json
+ *         description: Response format. When omitted, the Accept header is used (application/geo+json, application/vnd.google-earth.kml+xml or text/csv)
+ *         example: geojson
  *     responses:
  *       200:
  *         description: Earthquake data retrieved successfully
@@ -277,6 +437,21 @@ router.get('/stats', optionalAuth, async (req, res) => {
  *                 lastUpdated:
  *                   type: string
  *                   format: date-time
+ *                 stale:
+ *                   type: boolean
+ *                   description: True when served from cache past its TTL while a refresh runs
+ *           application/geo+json:
+ *             schema:
+ *               type: object
+ *               description: GeoJSON FeatureCollection of the events
+ *           application/vnd.google-earth.kml+xml:
+ *             schema:
+ *               type: string
+ *               description: KML document with placemarks styled by severity
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *               description: One row per event
  *       400:
  *         description: Validation error
  *         content:
@@ -292,7 +467,9 @@ router.get('/stats', optionalAuth, async (req, res) => {
  */
 router.get('/earthquakes', [
   query('minMagnitude').optional().isFloat({ min: 0, max: 10 }).withMessage('Min magnitude must be between 0 and 10'),
-  query('days').optional().isInt({ min: 1, max: 30 }).withMessage('Days must be between 1 and 30')
+  query('days').optional().isInt({ min: 1, max: 30 }).withMessage('Days must be between 1 and 30'),
+  query('region').optional().custom(isKnownRegion),
+  query('format').optional().isIn(EXPORT_FORMATS).withMessage('Invalid export format')
 ], optionalAuth, async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -304,14 +481,15 @@ router.get('/earthquakes', [
       });
     }
 
-    const { minMagnitude = 4.0, days = 7 } = req.query;
+    const { minMagnitude = 4.0, days = 7, region } = req.query;
     const endTime = new Date();
     const startTime = new Date(endTime.getTime() - days * 24 * 60 * 60 * 1000);
 
     const earthquakes = await disasterService.getEarthquakes(
       startTime.toISOString(),
       endTime.toISOString(),
-      parseFloat(minMagnitude)
+      parseFloat(minMagnitude),
+      region
     );
 
     if (!earthquakes.success) {
@@ -321,12 +499,18 @@ router.get('/earthquakes', [
       });
     }
 
+    const format = negotiateFormat(req);
+    if (format !== 'json') {
+      return sendExport(res, format, earthquakes.data, { name: 'earthquakes' });
+    }
+
     res.json({
       success: true,
       data: earthquakes.data,
       count: earthquakes.data.length,
-      filters: { minMagnitude, days },
-      lastUpdated: new Date()
+      filters: { minMagnitude, days, region },
+      stale: earthquakes.stale,
+      lastUpdated: earthquakes.lastUpdated
     });
 
   } catch (error) {
@@ -338,6 +522,187 @@ router.get('/earthquakes', [
   }
 });
 
+/**
+ * @swagger
+ * /api/disasters/earthquakes/sequences/{id}:
+ *   get:
+ *     summary: Get an earthquake sequence
+ *     description: A mainshock with its foreshocks and aftershocks, grouped by Gardner-Knopoff space-time windows over the earthquakes of the last `days`. Includes counts, the largest aftershock and the cumulative aftershock count over time.
+ *     tags: [Disasters]
+ *     security: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Sequence id (sequenceId of its events) or the id of any earthquake in the sequence
+ *         example: seq_us7000abcd
+ *       - in: query
+ *         name: days
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 30
+ *           default: 7
+ *         description: Number of days of earthquakes to build sequences from
+ *       - in: query
+ *         name: minMagnitude
+ *         schema:
+ *           type: number
+ *           minimum: 0
+ *           maximum: 10
+ *           default: 4.0
+ *         description: Smallest magnitude included
+ *       - in: query
+ *         name: region
+ *         schema:
+ *           type: string
+ *         description: Only consider earthquakes inside a registered region
+ *     responses:
+ *       200:
+ *         description: Earthquake sequence retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     id:
+ *                       type: string
+ *                       example: seq_us7000abcd
+ *                     mainshock:
+ *                       $ref: '#/components/schemas/Disaster'
+ *                     largestAftershock:
+ *                       allOf:
+ *                         - $ref: '#/components/schemas/Disaster'
+ *                       nullable: true
+ *                     magnitudeGap:
+ *                       type: number
+ *                       nullable: true
+ *                       description: Mainshock magnitude minus the largest aftershock's
+ *                       example: 1.3
+ *                     counts:
+ *                       type: object
+ *                       properties:
+ *                         total:
+ *                           type: integer
+ *                           example: 41
+ *                         foreshocks:
+ *                           type: integer
+ *                           example: 1
+ *                         aftershocks:
+ *                           type: integer
+ *                           example: 39
+ *                     cumulative:
+ *                       type: array
+ *                       description: Running aftershock count, one entry per aftershock
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           time:
+ *                             type: string
+ *                             format: date-time
+ *                           hoursAfterMainshock:
+ *                             type: number
+ *                             example: 5.2
+ *                           magnitude:
+ *                             type: number
+ *                             example: 4.6
+ *                           count:
+ *                             type: integer
+ *                             example: 12
+ *                     window:
+ *                       type: object
+ *                       description: Space-time window of the mainshock
+ *                       properties:
+ *                         distanceKm:
+ *                           type: number
+ *                           example: 70.7
+ *                         days:
+ *                           type: number
+ *                           example: 918.1
+ *                     startTime:
+ *                       type: string
+ *                       format: date-time
+ *                     lastEventTime:
+ *                       type: string
+ *                       format: date-time
+ *                     events:
+ *                       type: array
+ *                       description: Every event of the sequence, oldest first
+ *                       items:
+ *                         $ref: '#/components/schemas/Disaster'
+ *       400:
+ *         description: Invalid parameters
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Earthquake sequence not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/earthquakes/sequences/:id', [
+  query('minMagnitude').optional().isFloat({ min: 0, max: 10 }).withMessage('Min magnitude must be between 0 and 10'),
+  query('days').optional().isInt({ min: 1, max: 30 }).withMessage('Days must be between 1 and 30'),
+  query('region').optional().custom(isKnownRegion)
+], optionalAuth, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { minMagnitude = 4.0, days = 7, region } = req.query;
+
+    const sequence = await disasterService.getEarthquakeSequence(req.params.id, {
+      days: parseInt(days, 10),
+      minMagnitude: parseFloat(minMagnitude),
+      region
+    });
+
+    if (!sequence.success) {
+      return res.status(sequence.notFound ? 404 : 500).json({
+        success: false,
+        error: sequence.error
+      });
+    }
+
+    res.json({
+      success: true,
+      data: sequence.data,
+      stale: sequence.stale,
+      lastUpdated: sequence.lastUpdated
+    });
+
+  } catch (error) {
+    logger.error('Error fetching earthquake sequence:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch earthquake sequence'
+    });
+  }
+});
+
 /**
  * @swagger
  * /api/disasters/weather:
@@ -346,6 +711,21 @@ router.get('/earthquakes', [
  *     description: Retrieves current weather alerts and warnings
  *     tags: [Disasters]
  *     security: []
+ *     parameters:
+ *       - in: query
+ *         name: region
+ *         schema:
+ *           type: string
+ *         description: Only return events inside a registered region (see /api/locations/regions)
+ *         example: central_asia
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [json, geojson, kml, csv]
+ *           default: json
+ *         description: Response format. When omitted, the Accept header is used (application/geo+json, application/vnd.google-earth.kml+xml or text/csv)
+ *         example: geojson
  *     responses:
  *       200:
  *         description: Weather alerts retrieved successfully
@@ -367,6 +747,21 @@ router.get('/earthquakes', [
  *                 lastUpdated:
  *                   type: string
  *                   format: date-time
+ *                 stale:
+ *                   type: boolean
+ *                   description: True when served from cache past its TTL while a refresh runs
+ *           application/geo+json:
+ *             schema:
+ *               type: object
+ *               description: GeoJSON FeatureCollection of the events
+ *           application/vnd.google-earth.kml+xml:
+ *             schema:
+ *               type: string
+ *               description: KML document with placemarks styled by severity
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *               description: One row per event
  *       500:
  *         description: Internal server error
  *         content:
@@ -374,9 +769,21 @@ router.get('/earthquakes', [
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.get('/weather', optionalAuth, async (req, res) => {
+router.get('/weather', [
+  query('region').optional().custom(isKnownRegion),
+  query('format').optional().isIn(EXPORT_FORMATS).withMessage('Invalid export format')
+], optionalAuth, async (req, res) => {
   try {
-    const weatherAlerts = await disasterService.getWeatherAlerts();
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const weatherAlerts = await disasterService.getWeatherAlerts(req.query.region);
 
     if (!weatherAlerts.success) {
       return res.status(500).json({
@@ -385,11 +792,17 @@ router.get('/weather', optionalAuth, async (req, res) => {
       });
     }
 
+    const format = negotiateFormat(req);
+    if (format !== 'json') {
+      return sendExport(res, format, weatherAlerts.data, { name: 'weather' });
+    }
+
     res.json({
       success: true,
       data: weatherAlerts.data,
       count: weatherAlerts.data.length,
-      lastUpdated: new Date()
+      stale: weatherAlerts.stale,
+      lastUpdated: weatherAlerts.lastUpdated
     });
 
   } catch (error) {
@@ -406,9 +819,24 @@ router.get('/weather', optionalAuth, async (req, res) => {
  * /api/disasters/tsunami:
  *   get:
  *     summary: Get tsunami warnings
- *     description: Retrieves current tsunami warnings and alerts
+ *     description: Retrieves tsunami-flagged earthquakes of the last 24 hours, each with the registered coastal locations it threatens (threats), ordered by estimated first-wave arrival
  *     tags: [Disasters]
  *     security: []
+ *     parameters:
+ *       - in: query
+ *         name: region
+ *         schema:
+ *           type: string
+ *         description: Only return tsunamis starting inside a registered region or threatening one of its coasts (defaults to the provider's region)
+ *         example: asia
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [json, geojson, kml, csv]
+ *           default: json
+ *         description: Response format. When omitted, the Accept header is used (application/geo+json, application/vnd.google-earth.kml+xml or text/csv)
+ *         example: geojson
  *     responses:
  *       200:
  *         description: Tsunami warnings retrieved successfully
@@ -430,6 +858,21 @@ router.get('/weather', optionalAuth, async (req, res) => {
  *                 lastUpdated:
  *                   type: string
  *                   format: date-time
+ *                 stale:
+ *                   type: boolean
+ *                   description: True when served from cache past its TTL while a refresh runs
+ *           application/geo+json:
+ *             schema:
+ *               type: object
+ *               description: GeoJSON FeatureCollection of the events
+ *           application/vnd.google-earth.kml+xml:
+ *             schema:
+ *               type: string
+ *               description: KML document with placemarks styled by severity
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *               description: One row per event
  *       500:
  *         description: Internal server error
  *         content:
@@ -437,9 +880,21 @@ router.get('/weather', optionalAuth, async (req, res) => {
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.get('/tsunami', optionalAuth, async (req, res) => {
+router.get('/tsunami', [
+  query('region').optional().custom(isKnownRegion),
+  query('format').optional().isIn(EXPORT_FORMATS).withMessage('Invalid export format')
+], optionalAuth, async (req, res) => {
   try {
-    const tsunamiWarnings = await disasterService.getTsunamiWarnings();
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const tsunamiWarnings = await disasterService.getTsunamiWarnings(req.query.region);
 
     if (!tsunamiWarnings.success) {
       return res.status(500).json({
@@ -448,11 +903,17 @@ router.get('/tsunami', optionalAuth, async (req, res) => {
       });
     }
 
+    const format = negotiateFormat(req);
+    if (format !== 'json') {
+      return sendExport(res, format, tsunamiWarnings.data, { name: 'tsunami' });
+    }
+
     res.json({
       success: true,
       data: tsunamiWarnings.data,
       count: tsunamiWarnings.data.length,
-      lastUpdated: new Date()
+      stale: tsunamiWarnings.stale,
+      lastUpdated: tsunamiWarnings.lastUpdated
     });
 
   } catch (error) {
@@ -472,6 +933,15 @@ router.get('/tsunami', optionalAuth, async (req, res) => {
  *     description: Retrieves current volcanic activity and alerts
  *     tags: [Disasters]
  *     security: []
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [json, geojson, kml, csv]
+ *           default: json
+ *         description: Response format. When omitted, the Accept header is used (application/geo+json, application/vnd.google-earth.kml+xml or text/csv)
+ *         example: geojson
  *     responses:
  *       200:
  *         description: Volcanic activity retrieved successfully
@@ -493,6 +963,21 @@ router.get('/tsunami', optionalAuth, async (req, res) => {
  *                 lastUpdated:
  *                   type: string
  *                   format: date-time
+ *                 stale:
+ *                   type: boolean
+ *                   description: True when served from cache past its TTL while a refresh runs
+ *           application/geo+json:
+ *             schema:
+ *               type: object
+ *               description: GeoJSON FeatureCollection of the events
+ *           application/vnd.google-earth.kml+xml:
+ *             schema:
+ *               type: string
+ *               description: KML document with placemarks styled by severity
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *               description: One row per event
  *       500:
  *         description: Internal server error
  *         content:
@@ -500,8 +985,19 @@ router.get('/tsunami', optionalAuth, async (req, res) => {
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.get('/volcanic', optionalAuth, async (req, res) => {
+router.get('/volcanic', [
+  query('format').optional().isIn(EXPORT_FORMATS).withMessage('Invalid export format')
+], optionalAuth, async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
     const volcanicActivity = await disasterService.getVolcanicActivity();
 
     if (!volcanicActivity.success) {
@@ -511,11 +1007,17 @@ router.get('/volcanic', optionalAuth, async (req, res) => {
       });
     }
 
+    const format = negotiateFormat(req);
+    if (format !== 'json') {
+      return sendExport(res, format, volcanicActivity.data, { name: 'volcanic' });
+    }
+
     res.json({
       success: true,
       data: volcanicActivity.data,
       count: volcanicActivity.data.length,
-      lastUpdated: new Date()
+      stale: volcanicActivity.stale,
+      lastUpdated: volcanicActivity.lastUpdated
     });
 
   } catch (error) {
@@ -527,5 +1029,1717 @@ router.get('/volcanic', optionalAuth, async (req, res) => {
   }
 });
 
-module.exports = router;
-
+/**
+ * @swagger
+ * /api/disasters/cyclones:
+ *   get:
+ *     summary: Get tropical cyclones
+ *     description: Tropical cyclones (typhoons, hurricanes) from the storm advisory feed. Each storm is one event at its latest position, with its observed track, latest forecast and the forecast uncertainty cone as geometry.
+ *     tags: [Disasters]
+ *     security: []
+ *     parameters:
+ *       - in: query
+ *         name: region
+ *         schema:
+ *           type: string
+ *         description: Only return storms currently inside a registered region (see /api/locations/regions)
+ *         example: asia
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [json, geojson, kml, csv]
+ *           default: json
+ *         description: Response format. When omitted, the Accept header is used (application/geo+json, application/vnd.google-earth.kml+xml or text/csv)
+ *         example: geojson
+ *     responses:
+ *       200:
+ *         description: Tropical cyclones retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Disaster'
+ *                 count:
+ *                   type: integer
+ *                   example: 1
+ *                 lastUpdated:
+ *                   type: string
+ *                   format: date-time
+ *                 stale:
+ *                   type: boolean
+ *                   description: True when served from cache past its TTL while a refresh runs
+ *           application/geo+json:
+ *             schema:
+ *               type: object
+ *               description: GeoJSON FeatureCollection of the storms and their cones
+ *           application/vnd.google-earth.kml+xml:
+ *             schema:
+ *               type: string
+ *               description: KML document with placemarks styled by severity
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *               description: One row per storm
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/cyclones', [
+  query('region').optional().custom(isKnownRegion),
+  query('format').optional().isIn(EXPORT_FORMATS).withMessage('Invalid export format')
+], optionalAuth, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const cyclones = await disasterService.getCyclones(req.query.region);
+
+    if (!cyclones.success) {
+      return res.status(500).json({
+        success: false,
+        error: cyclones.error
+      });
+    }
+
+    const format = negotiateFormat(req);
+    if (format !== 'json') {
+      return sendExport(res, format, cyclones.data, { name: 'cyclones' });
+    }
+
+    res.json({
+      success: true,
+      data: cyclones.data,
+      count: cyclones.data.length,
+      stale: cyclones.stale,
+      lastUpdated: cyclones.lastUpdated
+    });
+
+  } catch (error) {
+    logger.error('Error fetching cyclones:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch cyclones'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/disasters/cyclones/{id}/history:
+ *   get:
+ *     summary: Get a cyclone's track
+ *     description: Observed positions and intensity of a storm from its first advisory on, and the forecast of its latest advisory
+ *     tags: [Disasters]
+ *     security: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Event id (cyclone_<storm id>) or storm id
+ *         example: cyclone_wp262026
+ *     responses:
+ *       200:
+ *         description: Cyclone track retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     id:
+ *                       type: string
+ *                       example: cyclone_wp262026
+ *                     stormId:
+ *                       type: string
+ *                       example: wp262026
+ *                     name:
+ *                       type: string
+ *                       example: Kalmaegi
+ *                     basin:
+ *                       type: string
+ *                       example: WP
+ *                     stormStatus:
+ *                       type: string
+ *                       enum: [active, dissipated]
+ *                     classification:
+ *                       type: string
+ *                       example: Typhoon
+ *                     advisoryTime:
+ *                       type: string
+ *                       format: date-time
+ *                     track:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/CyclonePosition'
+ *                     forecast:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/CyclonePosition'
+ *       404:
+ *         description: Cyclone not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/cyclones/:id/history', optionalAuth, async (req, res) => {
+  try {
+    const history = await disasterService.getCycloneHistory(req.params.id);
+
+    if (!history.success) {
+      return res.status(history.notFound ? 404 : 500).json({
+        success: false,
+        error: history.error
+      });
+    }
+
+    res.json({
+      success: true,
+      data: history.data,
+      stale: history.stale,
+      lastUpdated: history.lastUpdated
+    });
+
+  } catch (error) {
+    logger.error('Error fetching cyclone history:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch cyclone history'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/disasters/cyclones/{id}/exposure:
+ *   get:
+ *     summary: Get locations exposed to a cyclone
+ *     description: Monitored locations inside the storm's forecast uncertainty cone, with the closest forecast approach to each, soonest first. Dissipated storms have no cone and expose nothing.
+ *     tags: [Disasters]
+ *     security: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Event id (cyclone_<storm id>) or storm id
+ *         example: cyclone_wp262026
+ *       - in: query
+ *         name: region
+ *         schema:
+ *           type: string
+ *         description: Only consider monitored locations inside a registered region
+ *         example: asia
+ *     responses:
+ *       200:
+ *         description: Exposed locations retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     allOf:
+ *                       - $ref: '#/components/schemas/MonitoredLocation'
+ *                       - type: object
+ *                         properties:
+ *                           closestApproach:
+ *                             type: object
+ *                             properties:
+ *                               distance:
+ *                                 type: number
+ *                                 description: Distance in km between the location and the nearest track position
+ *                                 example: 42.5
+ *                               time:
+ *                                 type: string
+ *                                 format: date-time
+ *                               hours:
+ *                                 type: number
+ *                                 description: Hours after the advisory, 0 for the current position
+ *                                 example: 36
+ *                               maxWind:
+ *                                 type: number
+ *                                 description: Forecast maximum sustained wind in knots at that position
+ *                                 example: 110
+ *                 count:
+ *                   type: integer
+ *                   example: 2
+ *                 cyclone:
+ *                   type: object
+ *                   description: The storm and its cone (null without a forecast)
+ *       400:
+ *         description: Invalid parameters
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Cyclone not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/cyclones/:id/exposure', [
+  query('region').optional().custom(isKnownRegion)
+], optionalAuth, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const exposure = await disasterService.getCycloneExposure(req.params.id, { region: req.query.region });
+
+    if (!exposure.success) {
+      return res.status(exposure.notFound ? 404 : 500).json({
+        success: false,
+        error: exposure.error
+      });
+    }
+
+    res.json({
+      success: true,
+      data: exposure.data,
+      count: exposure.count,
+      cyclone: exposure.cyclone,
+      stale: exposure.stale,
+      lastUpdated: exposure.lastUpdated
+    });
+
+  } catch (error) {
+    logger.error('Error fetching cyclone exposure:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch cyclone exposure'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/disasters/near:
+ *   get:
+ *     summary: Get disasters near a point
+ *     description: Retrieves disasters within a radius of a point, sorted by distance (nearest first)
+ *     tags: [Disasters]
+ *     security: []
+ *     parameters:
+ *       - in: query
+ *         name: lat
+ *         required: true
+ *         schema:
+ *           type: number
+ *           minimum: -90
+ *           maximum: 90
+ *         description: Latitude of the point
+ *         example: 43.2389
+ *       - in: query
+ *         name: lng
+ *         required: true
+ *         schema:
+ *           type: number
+ *           minimum: -180
+ *           maximum: 180
+ *         description: Longitude of the point
+ *         example: 76.8897
+ *       - in: query
+ *         name: radiusKm
+ *         schema:
+ *           type: number
+ *           minimum: 0
+ *           maximum: 5000
+ *           default: 50
+ *         description: Search radius in kilometers
+ *         example: 50
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *         description: Filter by disaster type
+ *       - in: query
+ *         name: days
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 30
+ *           default: 7
+ *         description: Number of days to look back for data
+ *     responses:
+ *       200:
+ *         description: Nearby disasters retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     allOf:
+ *                       - $ref: '#/components/schemas/Disaster'
+ *                       - type: object
+ *                         properties:
+ *                           distance:
+ *                             type: number
+ *                             description: Distance from the point in kilometers
+ *                             example: 12.4
+ *                 count:
+ *                   type: integer
+ *                   example: 3
+ *                 lastUpdated:
+ *                   type: string
+ *                   format: date-time
+ *                 stale:
+ *                   type: boolean
+ *                   description: True when served from cache past its TTL while a refresh runs
+ *                 degradedSources:
+ *                   type: array
+ *                   description: Sources that failed or are serving cached data while their upstream is failing
+ *                   items:
+ *                     type: string
+ *       400:
+ *         description: Validation error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/near', [
+  query('lat').isFloat({ min: -90, max: 90 }).withMessage('Latitude must be between -90 and 90'),
+  query('lng').isFloat({ min: -180, max: 180 }).withMessage('Longitude must be between -180 and 180'),
+  query('radiusKm').optional().isFloat({ min: 0, max: 5000 }).withMessage('Radius must be between 0 and 5000 km'),
+  query('type').optional().custom(value => disasterService.getDisasterTypes().includes(value)).withMessage('Invalid disaster type'),
+  query('days').optional().isInt({ min: 1, max: 30 }).withMessage('Days must be between 1 and 30')
+], optionalAuth, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { lat, lng, radiusKm = 50, type, days = 7 } = req.query;
+
+    const disasters = await disasterService.getDisastersNear(
+      parseFloat(lat),
+      parseFloat(lng),
+      parseFloat(radiusKm),
+      { type, days: parseInt(days) }
+    );
+
+    if (!disasters.success) {
+      return res.status(500).json({
+        success: false,
+        error: disasters.error
+      });
+    }
+
+    res.json({
+      success: true,
+      data: disasters.data,
+      count: disasters.count,
+      filters: { lat, lng, radiusKm, type, days },
+      degradedSources: disasters.degradedSources,
+      stale: disasters.stale,
+      lastUpdated: disasters.lastUpdated
+    });
+
+  } catch (error) {
+    logger.error('Error fetching nearby disasters:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch nearby disasters'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/disasters/within:
+ *   post:
+ *     summary: Get disasters inside an area
+ *     description: Retrieves disasters inside a GeoJSON polygon or bounding box, sorted by distance from the area's centre
+ *     tags: [Disasters]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               geometry:
+ *                 type: object
+ *                 description: GeoJSON Polygon or MultiPolygon (a GeoJSON Feature wrapping one is also accepted)
+ *                 example:
+ *                   type: Polygon
+ *                   coordinates: [[[76.7, 43.1], [77.1, 43.1], [77.1, 43.4], [76.7, 43.4], [76.7, 43.1]]]
+ *               bbox:
+ *                 type: array
+ *                 description: Bounding box as [minLng, minLat, maxLng, maxLat]
+ *                 items:
+ *                   type: number
+ *                 example: [46.5, 40.5, 87.3, 55.5]
+ *               type:
+ *                 type: string
+ *                 description: Filter by disaster type
+ *               days:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 30
+ *                 default: 7
+ *     responses:
+ *       200:
+ *         description: Disasters inside the area retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     allOf:
+ *                       - $ref: '#/components/schemas/Disaster'
+ *                       - type: object
+ *                         properties:
+ *                           distance:
+ *                             type: number
+ *                             description: Distance from the area's centre in kilometers
+ *                             example: 84.2
+ *                 count:
+ *                   type: integer
+ *                   example: 5
+ *                 lastUpdated:
+ *                   type: string
+ *                   format: date-time
+ *                 stale:
+ *                   type: boolean
+ *                   description: True when served from cache past its TTL while a refresh runs
+ *                 degradedSources:
+ *                   type: array
+ *                   description: Sources that failed or are serving cached data while their upstream is failing
+ *                   items:
+ *                     type: string
+ *       400:
+ *         description: Validation error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/within', [
+  body('geometry').optional().custom(value => isPolygonGeometry(value?.type === 'Feature' ? value.geometry : value)).withMessage('Geometry must be a GeoJSON Polygon or MultiPolygon'),
+  body('bbox').optional().custom(value => Array.isArray(value) && value.length === 4 && value.every(Number.isFinite) && value[0] <= value[2] && value[1] <= value[3]).withMessage('Bounding box must be [minLng, minLat, maxLng, maxLat]'),
+  body().custom(value => Boolean(value.geometry || value.bbox)).withMessage('Either geometry or bbox is required'),
+  body('type').optional().custom(value => disasterService.getDisasterTypes().includes(value)).withMessage('Invalid disaster type'),
+  body('days').optional().isInt({ min: 1, max: 30 }).withMessage('Days must be between 1 and 30')
+], optionalAuth, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { geometry, bbox, type, days = 7 } = req.body;
+    const area = geometry
+      ? (geometry.type === 'Feature' ? geometry.geometry : geometry)
+      : bboxToPolygon(bbox);
+
+    const disasters = await disasterService.getDisastersWithin(area, { type, days: parseInt(days) });
+
+    if (!disasters.success) {
+      return res.status(500).json({
+        success: false,
+        error: disasters.error
+      });
+    }
+
+    res.json({
+      success: true,
+      data: disasters.data,
+      count: disasters.count,
+      center: disasters.center,
+      filters: { type, days },
+      degradedSources: disasters.degradedSources,
+      stale: disasters.stale,
+      lastUpdated: disasters.lastUpdated
+    });
+
+  } catch (error) {
+    logger.error('Error fetching disasters within area:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch disasters within area'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/disasters/changes:
+ *   get:
+ *     summary: Get the disaster change feed
+ *     description: Retrieves lifecycle changes (created, updated, escalated, resolved) detected by the update job, newest first. The same changes are broadcast live as `disaster-change` Socket.IO events.
+ *     tags: [Disasters]
+ *     security: []
+ *     parameters:
+ *       - in: query
+ *         name: since
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only return changes recorded after this time
+ *       - in: query
+ *         name: changeType
+ *         schema:
+ *           type: string
+ *           enum: [created, updated, escalated, resolved]
+ *         description: Filter by change type
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 200
+ *           default: 50
+ *         description: Maximum number of changes to return
+ *     responses:
+ *       200:
+ *         description: Changes retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       changeType:
+ *                         type: string
+ *                         example: escalated
+ *                       eventId:
+ *                         type: string
+ *                         example: us7000abcd
+ *                       event:
+ *                         type: object
+ *                       previousSeverity:
+ *                         type: string
+ *                         example: medium
+ *                       changedFields:
+ *                         type: array
+ *                         items:
+ *                           type: string
+ *                       timestamp:
+ *                         type: string
+ *                         format: date-time
+ *                 count:
+ *                   type: integer
+ *                   example: 12
+ *       400:
+ *         description: Validation error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/changes', [
+  query('since').optional().isISO8601().withMessage('Since must be an ISO 8601 date'),
+  query('changeType').optional().isIn(changeFeedService.changeTypes).withMessage('Invalid change type'),
+  query('limit').optional().isInt({ min: 1, max: 200 }).withMessage('Limit must be between 1 and 200')
+], optionalAuth, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { since, changeType, limit = 50 } = req.query;
+
+    const changes = await changeFeedService.getChanges({
+      since: since ? new Date(since) : null,
+      changeType,
+      limit: parseInt(limit)
+    });
+
+    if (!changes.success) {
+      return res.status(500).json({
+        success: false,
+        error: changes.error
+      });
+    }
+
+    res.json({
+      success: true,
+      data: changes.data,
+      count: changes.count
+    });
+
+  } catch (error) {
+    logger.error('Error fetching disaster changes:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch disaster changes'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/disasters/feed.cap:
+ *   get:
+ *     summary: Get the CAP alert feed
+ *     description: Atom index of the current alerts, each linking to a CAP 1.2 document at /api/disasters/feed.cap/{id}. Built from the same data as GET /api/disasters.
+ *     tags: [Disasters]
+ *     security: []
+ *     parameters:
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *         description: Only include alerts of a disaster type
+ *         example: weather
+ *       - in: query
+ *         name: severity
+ *         schema:
+ *           type: string
+ *           enum: [low, medium, high, critical]
+ *         description: Only include alerts of a severity level
+ *       - in: query
+ *         name: region
+ *         schema:
+ *           type: string
+ *         description: Only include alerts inside a registered region
+ *         example: central_asia
+ *     responses:
+ *       200:
+ *         description: Atom feed of CAP alerts
+ *         content:
+ *           application/atom+xml:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Validation error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/feed.cap', feedValidators, optionalAuth, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const disasters = await getFeedEvents(req.query);
+
+    if (!disasters.success) {
+      return res.status(500).json({
+        success: false,
+        error: disasters.error
+      });
+    }
+
+    const feedUrl = `${req.protocol}://${req.get('host')}${req.baseUrl}/feed.cap`;
+
+    res.type('application/atom+xml; charset=utf-8');
+    res.send(toCapIndex(disasters.data, {
+      title: `${FEED_PUBLISHER.senderName} alerts`,
+      selfUrl: feedUrl,
+      alertUrl: id => `${feedUrl}/${encodeURIComponent(id)}`,
+      author: FEED_PUBLISHER.senderName,
+      updated: disasters.lastUpdated
+    }));
+
+  } catch (error) {
+    logger.error('Error building CAP feed:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to build CAP feed'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/disasters/feed.cap/{id}:
+ *   get:
+ *     summary: Get a CAP alert
+ *     description: CAP 1.2 alert for one current event. Severity, urgency and certainty follow the event; sent and expires come from its start and end times.
+ *     tags: [Disasters]
+ *     security: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: earthquake_us7000abcd
+ *     responses:
+ *       200:
+ *         description: CAP 1.2 alert
+ *         content:
+ *           application/cap+xml:
+ *             schema:
+ *               type: string
+ *       404:
+ *         description: No current alert with this id
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/feed.cap/:id', optionalAuth, async (req, res) => {
+  try {
+    const disasters = await disasterService.getAllDisasters();
+
+    if (!disasters.success) {
+      return res.status(500).json({
+        success: false,
+        error: disasters.error
+      });
+    }
+
+    const disaster = disasters.data.find(event => event.id === req.params.id);
+
+    if (!disaster) {
+      return res.status(404).json({
+        success: false,
+        error: 'Alert not found'
+      });
+    }
+
+    res.type('application/cap+xml; charset=utf-8');
+    res.send(buildCapAlert(disaster, FEED_PUBLISHER));
+
+  } catch (error) {
+    logger.error('Error building CAP alert:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to build CAP alert'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/disasters/feed.rss:
+ *   get:
+ *     summary: Get the RSS alert feed
+ *     description: RSS 2.0 feed of the current alerts with GeoRSS points, linking to their CAP documents. Built from the same data as GET /api/disasters.
+ *     tags: [Disasters]
+ *     security: []
+ *     parameters:
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *         description: Only include alerts of a disaster type
+ *         example: weather
+ *       - in: query
+ *         name: severity
+ *         schema:
+ *           type: string
+ *           enum: [low, medium, high, critical]
+ *         description: Only include alerts of a severity level
+ *       - in: query
+ *         name: region
+ *         schema:
+ *           type: string
+ *         description: Only include alerts inside a registered region
+ *         example: central_asia
+ *     responses:
+ *       200:
+ *         description: RSS feed of alerts
+ *         content:
+ *           application/rss+xml:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Validation error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/feed.rss', feedValidators, optionalAuth, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const disasters = await getFeedEvents(req.query);
+
+    if (!disasters.success) {
+      return res.status(500).json({
+        success: false,
+        error: disasters.error
+      });
+    }
+
+    const baseUrl = `${req.protocol}://${req.get('host')}${req.baseUrl}`;
+
+    res.type('application/rss+xml; charset=utf-8');
+    res.send(toRss(disasters.data, {
+      title: `${FEED_PUBLISHER.senderName} alerts`,
+      link: baseUrl,
+      description: 'Current disaster alerts and warnings',
+      alertUrl: id => `${baseUrl}/feed.cap/${encodeURIComponent(id)}`,
+      updated: disasters.lastUpdated
+    }));
+
+  } catch (error) {
+    logger.error('Error building RSS feed:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to build RSS feed'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/disasters/sources/health:
+ *   get:
+ *     summary: Get disaster source health
+ *     description: Reports each provider's last success, last error, latency, circuit breaker state, poll schedule and request budget usage
+ *     tags: [Disasters]
+ *     security: []
+ *     responses:
+ *       200:
+ *         description: Source health retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       name:
+ *                         type: string
+ *                         example: earthquake
+ *                       enabled:
+ *                         type: boolean
+ *                       status:
+ *                         type: string
+ *                         enum: [unknown, healthy, degraded, down]
+ *                       lastSuccess:
+ *                         type: string
+ *                         format: date-time
+ *                       lastError:
+ *                         type: string
+ *                       lastErrorAt:
+ *                         type: string
+ *                         format: date-time
+ *                       latency:
+ *                         type: integer
+ *                         description: Duration of the last fetch in milliseconds
+ *                       consecutiveFailures:
+ *                         type: integer
+ *                       quarantined:
+ *                         type: integer
+ *                         description: Malformed upstream records skipped and quarantined since startup
+ *                       pollInterval:
+ *                         type: integer
+ *                         description: Configured interval between scheduled polls in milliseconds
+ *                       schedule:
+ *                         type: object
+ *                         properties:
+ *                           interval:
+ *                             type: integer
+ *                             description: Current interval between polls in milliseconds, longer than pollInterval while the budget runs low
+ *                           lastPollAt:
+ *                             type: string
+ *                             format: date-time
+ *                           nextPollAt:
+ *                             type: string
+ *                             format: date-time
+ *                           requestsPerPoll:
+ *                             type: integer
+ *                             description: Upstream requests made by the last successful poll
+ *                           slowedDown:
+ *                             type: boolean
+ *                       upstream:
+ *                         type: object
+ *                         properties:
+ *                           timeout:
+ *                             type: integer
+ *                           retries:
+ *                             type: integer
+ *                           lastLatency:
+ *                             type: integer
+ *                           budget:
+ *                             type: object
+ *                             nullable: true
+ *                             description: Request budget usage; limits are null when unlimited
+ *                             properties:
+ *                               minute:
+ *                                 type: object
+ *                                 properties:
+ *                                   used:
+ *                                     type: integer
+ *                                   limit:
+ *                                     type: integer
+ *                                     nullable: true
+ *                               day:
+ *                                 type: object
+ *                                 properties:
+ *                                   used:
+ *                                     type: integer
+ *                                   limit:
+ *                                     type: integer
+ *                                     nullable: true
+ *                                   remaining:
+ *                                     type: integer
+ *                                     nullable: true
+ *                                   resetsAt:
+ *                                     type: string
+ *                                     format: date-time
+ *                               total:
+ *                                 type: integer
+ *                           breaker:
+ *                             type: object
+ *                             properties:
+ *                               state:
+ *                                 type: string
+ *                                 enum: [closed, open, half_open]
+ *                               failures:
+ *                                 type: integer
+ *                               openedAt:
+ *                                 type: string
+ *                                 format: date-time
+ *                               nextAttemptAt:
+ *                                 type: string
+ *                                 format: date-time
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/sources/health', optionalAuth, async (req, res) => {
+  try {
+    const health = disasterService.getSourceHealth();
+
+    res.json({
+      success: true,
+      data: health,
+      count: health.length
+    });
+
+  } catch (error) {
+    logger.error('Error fetching source health:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch source health'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/disasters/backfill:
+ *   post:
+ *     summary: Start a USGS earthquake backfill
+ *     description: Admin only. Pages through the USGS catalog for a date range in windows under the 20,000 result limit and stores the events in the event store. Runs in the background; poll the returned backfill for progress.
+ *     tags: [Disasters]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - startTime
+ *               - endTime
+ *             properties:
+ *               startTime:
+ *                 type: string
+ *                 format: date-time
+ *                 example: "2024-01-01T00:00:00Z"
+ *               endTime:
+ *                 type: string
+ *                 format: date-time
+ *                 example: "2024-04-01T00:00:00Z"
+ *               minMagnitude:
+ *                 type: number
+ *                 example: 4.0
+ *               region:
+ *                 type: string
+ *                 example: asia
+ *     responses:
+ *       202:
+ *         description: Backfill started
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/Backfill'
+ *       400:
+ *         description: Validation error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Admin access required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *   get:
+ *     summary: List backfills
+ *     description: Admin only. Lists recent backfills with their progress, newest first.
+ *     tags: [Disasters]
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Backfills retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Backfill'
+ *                 count:
+ *                   type: integer
+ *       403:
+ *         description: Admin access required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/backfill', [
+  authenticateToken,
+  requireAdmin,
+  body('startTime').isISO8601().withMessage('startTime must be an ISO 8601 date'),
+  body('endTime').isISO8601().withMessage('endTime must be an ISO 8601 date')
+    .custom((value, { req }) => new Date(value) > new Date(req.body.startTime))
+    .withMessage('endTime must be after startTime'),
+  body('minMagnitude').optional().isFloat({ min: 0, max: 10 }).withMessage('minMagnitude must be between 0 and 10'),
+  body('region').optional().isString().withMessage('Region must be a string').bail().custom(isKnownRegion)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { startTime, endTime, minMagnitude, region } = req.body;
+
+    const backfill = await backfillService.startBackfill({
+      startTime,
+      endTime: new Date(Math.min(new Date(endTime).getTime(), Date.now())),
+      minMagnitude: minMagnitude !== undefined ? parseFloat(minMagnitude) : undefined,
+      region,
+      requestedBy: req.user.uid
+    });
+
+    if (!backfill.success) {
+      return res.status(500).json({
+        success: false,
+        error: backfill.error
+      });
+    }
+
+    res.status(202).json({
+      success: true,
+      data: backfill.data
+    });
+
+  } catch (error) {
+    logger.error('Error starting backfill:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to start backfill'
+    });
+  }
+});
+
+router.get('/backfill', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const backfills = await backfillService.getBackfills();
+
+    if (!backfills.success) {
+      return res.status(500).json({
+        success: false,
+        error: backfills.error
+      });
+    }
+
+    res.json({
+      success: true,
+      data: backfills.data,
+      count: backfills.count
+    });
+
+  } catch (error) {
+    logger.error('Error listing backfills:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list backfills'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/disasters/backfill/{id}:
+ *   get:
+ *     summary: Get backfill progress
+ *     description: Admin only. Retrieves a backfill with per-window progress.
+ *     tags: [Disasters]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Backfill id
+ *     responses:
+ *       200:
+ *         description: Backfill retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/Backfill'
+ *       403:
+ *         description: Admin access required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Backfill not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/backfill/:id', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const backfill = await backfillService.getBackfill(req.params.id);
+
+    if (!backfill.success) {
+      return res.status(backfill.notFound ? 404 : 500).json({
+        success: false,
+        error: backfill.error
+      });
+    }
+
+    res.json({
+      success: true,
+      data: backfill.data
+    });
+
+  } catch (error) {
+    logger.error('Error fetching backfill:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch backfill'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/disasters/quarantine:
+ *   get:
+ *     summary: List quarantined upstream records
+ *     description: Admin only. Lists the raw upstream records providers rejected because they did not match the expected schema or could not be normalized, with the reasons, most recently seen first.
+ *     tags: [Disasters]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: provider
+ *         schema:
+ *           type: string
+ *         description: Only list records of a provider
+ *         example: weather
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 200
+ *           default: 50
+ *     responses:
+ *       200:
+ *         description: Quarantined records retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/QuarantinedRecord'
+ *                 count:
+ *                   type: integer
+ *       400:
+ *         description: Validation error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Admin access required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/quarantine', [
+  authenticateToken,
+  requireAdmin,
+  query('provider').optional()
+    .custom(value => disasterService.providers.get(value) !== null).withMessage('Unknown provider'),
+  query('limit').optional().isInt({ min: 1, max: 200 }).withMessage('Limit must be between 1 and 200')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { provider, limit = 50 } = req.query;
+
+    const records = await quarantineService.getQuarantined({ provider, limit: parseInt(limit) });
+
+    if (!records.success) {
+      return res.status(500).json({
+        success: false,
+        error: records.error
+      });
+    }
+
+    res.json({
+      success: true,
+      data: records.data,
+      count: records.count
+    });
+
+  } catch (error) {
+    logger.error('Error listing quarantined records:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list quarantined records'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/disasters/{id}/impact:
+ *   get:
+ *     summary: Get the estimated impact of an earthquake
+ *     description: Estimated shaking (MMI) at every monitored city within range of the earthquake. Authenticated users also get estimates for their registered vehicles and saved locations; admins get them for all users.
+ *     tags: [Disasters]
+ *     security:
+ *       - {}
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Earthquake event id
+ *         example: us7000abcd
+ *     responses:
+ *       200:
+ *         description: Impact estimates retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     eventId:
+ *                       type: string
+ *                       example: us7000abcd
+ *                     magnitude:
+ *                       type: number
+ *                       example: 7.1
+ *                     depth:
+ *                       type: number
+ *                       example: 35
+ *                     model:
+ *                       type: string
+ *                       example: Atkinson & Wald (2007)
+ *                     epicentralMmi:
+ *                       type: number
+ *                       example: 8.4
+ *                     maxMmi:
+ *                       type: number
+ *                       nullable: true
+ *                       description: Strongest estimated shaking at any returned place
+ *                       example: 6.1
+ *                     cities:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/IntensityEstimate'
+ *                     vehicles:
+ *                       type: array
+ *                       description: Registered vehicles within range (empty without authentication)
+ *                       items:
+ *                         allOf:
+ *                           - $ref: '#/components/schemas/IntensityEstimate'
+ *                           - type: object
+ *                             properties:
+ *                               vehicleId:
+ *                                 type: string
+ *                               userId:
+ *                                 type: string
+ *                     savedLocations:
+ *                       type: array
+ *                       description: Saved profile locations within range (empty without authentication)
+ *                       items:
+ *                         allOf:
+ *                           - $ref: '#/components/schemas/IntensityEstimate'
+ *                           - type: object
+ *                             properties:
+ *                               userId:
+ *                                 type: string
+ *       400:
+ *         description: The event is not an earthquake
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Event not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/:id/impact', [
+  param('id').notEmpty().withMessage('Event id is required')
+], optionalAuth, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const impact = await impactService.getImpact(req.params.id, req.user);
+
+    if (!impact.success) {
+      const status = impact.notFound ? 404 : impact.invalid ? 400 : 500;
+      return res.status(status).json({
+        success: false,
+        error: impact.error
+      });
+    }
+
+    res.json({
+      success: true,
+      data: impact.data
+    });
+
+  } catch (error) {
+    logger.error('Error estimating earthquake impact:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to estimate earthquake impact'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/disasters/{id}:
+ *   get:
+ *     summary: Get a disaster event with enrichment
+ *     description: Retrieves a disaster event (stored, or current when not stored yet) together with its revision timeline, the nearest monitored cities, nearby events around the same time and, for authenticated users, their registered vehicles inside the affected area and their stored AI analyses of the event (all of them for admins)
+ *     tags: [Disasters]
+ *     security:
+ *       - {}
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Stable event id
+ *         example: us7000abcd
+ *     responses:
+ *       200:
+ *         description: Disaster event retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   allOf:
+ *                     - $ref: '#/components/schemas/Disaster'
+ *                     - type: object
+ *                       properties:
+ *                         revision:
+ *                           type: integer
+ *                           example: 3
+ *                         firstSeenAt:
+ *                           type: string
+ *                           format: date-time
+ *                         lastSeenAt:
+ *                           type: string
+ *                           format: date-time
+ *                         revisions:
+ *                           type: array
+ *                           items:
+ *                             type: object
+ *                             properties:
+ *                               revision:
+ *                                 type: integer
+ *                               changeType:
+ *                                 type: string
+ *                                 enum: [created, updated, resolved]
+ *                               changes:
+ *                                 type: object
+ *                                 description: Changed fields with their previous and new values
+ *                               timestamp:
+ *                                 type: string
+ *                                 format: date-time
+ *                         enrichment:
+ *                           $ref: '#/components/schemas/EventEnrichment'
+ *       404:
+ *         description: Event not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/:id', [
+  param('id').notEmpty().withMessage('Event id is required')
+], optionalAuth, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const event = await enrichmentService.getEventDetail(req.params.id, req.user);
+
+    if (!event.success) {
+      return res.status(event.notFound ? 404 : 500).json({
+        success: false,
+        error: event.error
+      });
+    }
+
+    res.json({
+      success: true,
+      data: event.data
+    });
+
+  } catch (error) {
+    logger.error('Error fetching disaster event:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch disaster event'
+    });
+  }
+});
+
+module.exports = router;
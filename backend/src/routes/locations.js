@@ -0,0 +1,756 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const locationService = require('../services/locationService');
+const providerRegistry = require('../services/providers');
+const { authenticateToken, optionalAuth, requireAdmin } = require('../middleware/auth');
+const { isPolygonGeometry } = require('../utils/geo');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// Ids become Firestore document ids and URL segments
+const ID_PATTERN = /^[a-z0-9_]+$/;
+
+const locationValidators = [
+  body('name').isString().trim().notEmpty().withMessage('Name is required'),
+  body('latitude').isFloat({ min: -90, max: 90 }).withMessage('Latitude must be between -90 and 90'),
+  body('longitude').isFloat({ min: -180, max: 180 }).withMessage('Longitude must be between -180 and 180'),
+  body('country').optional({ nullable: true }).isString().withMessage('Country must be a string'),
+  body('active').optional().isBoolean().withMessage('Active must be a boolean'),
+  body('coastal').optional().isBoolean().withMessage('Coastal must be a boolean'),
+  body('rainfallThresholds').optional({ nullable: true }).custom(value =>
+    typeof value === 'object' && !Array.isArray(value) &&
+    Object.keys(value).every(hazard => ['flood', 'landslide'].includes(hazard))
+  ).withMessage('Rainfall thresholds may only be set for flood and landslide'),
+  body(['rainfallThresholds.*.rain24h', 'rainfallThresholds.*.rain72h']).optional({ nullable: true }).isFloat({ gt: 0 }).withMessage('Rainfall thresholds must be positive amounts in mm')
+];
+
+const regionValidators = [
+  body('name').isString().trim().notEmpty().withMessage('Name is required'),
+  body('geometry').optional().custom(value => isPolygonGeometry(value?.type === 'Feature' ? value.geometry : value)).withMessage('Geometry must be a GeoJSON Polygon or MultiPolygon'),
+  body('bbox').optional().custom(value => Array.isArray(value) && value.length === 4 && value.every(Number.isFinite) && value[0] <= value[2] && value[1] <= value[3]).withMessage('Bounding box must be [minLng, minLat, maxLng, maxLat]'),
+  body().custom(value => Boolean(value.geometry || value.bbox)).withMessage('Either geometry or bbox is required')
+];
+
+const locationFromBody = (req) => ({
+  id: req.params.id,
+  name: req.body.name,
+  latitude: parseFloat(req.body.latitude),
+  longitude: parseFloat(req.body.longitude),
+  country: req.body.country ?? null,
+  active: req.body.active !== undefined ? req.body.active === true || req.body.active === 'true' : true,
+  coastal: req.body.coastal === true || req.body.coastal === 'true',
+  rainfallThresholds: req.body.rainfallThresholds ?? null
+});
+
+const regionFromBody = (req) => {
+  const { name, geometry, bbox } = req.body;
+  return {
+    id: req.params.id,
+    name,
+    geometry: geometry?.type === 'Feature' ? geometry.geometry : geometry,
+    bbox
+  };
+};
+
+/**
+ * @swagger
+ * /api/locations:
+ *   get:
+ *     summary: Get monitored locations
+ *     description: Lists the locations providers monitor (e.g. the cities checked for severe weather)
+ *     tags: [Locations]
+ *     security: []
+ *     parameters:
+ *       - in: query
+ *         name: region
+ *         schema:
+ *           type: string
+ *         description: Only return locations inside a registered region
+ *         example: central_asia
+ *       - in: query
+ *         name: includeInactive
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Include locations that are not currently monitored
+ *     responses:
+ *       200:
+ *         description: Locations retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/MonitoredLocation'
+ *                 count:
+ *                   type: integer
+ *                   example: 17
+ *       400:
+ *         description: Validation error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *   post:
+ *     summary: Add a monitored location
+ *     description: Admin only. Fails with 409 if a location with its id (a slug of the name by default) already exists. Providers pick up registry changes on their next refresh.
+ *     tags: [Locations]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/MonitoredLocation'
+ *     responses:
+ *       201:
+ *         description: Location created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/MonitoredLocation'
+ *       400:
+ *         description: Validation error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Admin access required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: A location with this id already exists; replace it with PUT
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/', [
+  query('region').optional().isString().withMessage('Region must be a string'),
+  query('includeInactive').optional().isBoolean().withMessage('includeInactive must be a boolean')
+], optionalAuth, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { region, includeInactive } = req.query;
+
+    if (region && !await locationService.getRegion(region)) {
+      return res.status(400).json({
+        success: false,
+        error: `Unknown region '${region}'`
+      });
+    }
+
+    const locations = await locationService.getLocations({
+      region,
+      includeInactive: includeInactive === 'true'
+    });
+
+    res.json({
+      success: true,
+      data: locations,
+      count: locations.length
+    });
+
+  } catch (error) {
+    logger.error('Error fetching monitored locations:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch monitored locations'
+    });
+  }
+});
+
+router.post('/', [
+  authenticateToken,
+  requireAdmin,
+  body('id').optional().matches(ID_PATTERN).withMessage('Location id may only contain lowercase letters, digits and underscores'),
+  ...locationValidators
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { data, conflict } = await locationService.saveLocation({ ...locationFromBody(req), id: req.body.id }, { replace: false });
+
+    if (conflict) {
+      return res.status(409).json({
+        success: false,
+        error: `Location '${data.id}' already exists`
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      data
+    });
+
+  } catch (error) {
+    logger.error('Error creating monitored location:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create monitored location'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/locations/regions:
+ *   get:
+ *     summary: Get regions
+ *     description: Lists the named regions that feeds can be filtered by and providers can monitor
+ *     tags: [Locations]
+ *     security: []
+ *     responses:
+ *       200:
+ *         description: Regions retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Region'
+ *                 count:
+ *                   type: integer
+ *                   example: 2
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *   post:
+ *     summary: Add a region
+ *     description: Admin only. A region is given as a bbox or a GeoJSON Polygon or MultiPolygon. Fails with 409 if a region with its id already exists.
+ *     tags: [Locations]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               id:
+ *                 type: string
+ *                 description: Defaults to a slug of the name
+ *                 example: central_asia
+ *               name:
+ *                 type: string
+ *                 example: Central Asia
+ *               bbox:
+ *                 type: array
+ *                 items:
+ *                   type: number
+ *                 minItems: 4
+ *                 maxItems: 4
+ *                 example: [46.5, 35, 87.5, 55.5]
+ *               geometry:
+ *                 type: object
+ *                 description: GeoJSON Polygon, MultiPolygon or a Feature wrapping one
+ *     responses:
+ *       201:
+ *         description: Region created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/Region'
+ *       400:
+ *         description: Validation error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Admin access required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: A region with this id already exists; replace it with PUT
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/regions', optionalAuth, async (req, res) => {
+  try {
+    const regions = await locationService.getRegions();
+
+    res.json({
+      success: true,
+      data: regions,
+      count: regions.length
+    });
+
+  } catch (error) {
+    logger.error('Error fetching regions:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch regions'
+    });
+  }
+});
+
+router.post('/regions', [
+  authenticateToken,
+  requireAdmin,
+  body('id').optional().matches(ID_PATTERN).withMessage('Region id may only contain lowercase letters, digits and underscores'),
+  ...regionValidators
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { data, conflict } = await locationService.saveRegion({ ...regionFromBody(req), id: req.body.id }, { replace: false });
+
+    if (conflict) {
+      return res.status(409).json({
+        success: false,
+        error: `Region '${data.id}' already exists`
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      data
+    });
+
+  } catch (error) {
+    logger.error('Error creating region:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create region'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/locations/regions/{id}:
+ *   get:
+ *     summary: Get a region
+ *     tags: [Locations]
+ *     security: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: central_asia
+ *     responses:
+ *       200:
+ *         description: Region retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/Region'
+ *       404:
+ *         description: Region not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *   put:
+ *     summary: Create or replace a region
+ *     description: Admin only. Takes the same body as POST /api/locations/regions.
+ *     tags: [Locations]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[a-z0-9_]+$'
+ *     responses:
+ *       200:
+ *         description: Region replaced
+ *       201:
+ *         description: Region created
+ *       400:
+ *         description: Validation error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Admin access required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *   delete:
+ *     summary: Delete a region
+ *     description: Admin only. Regions monitored by a provider cannot be deleted.
+ *     tags: [Locations]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Region deleted
+ *       403:
+ *         description: Admin access required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Region not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Region is monitored by a provider
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/regions/:id', optionalAuth, async (req, res) => {
+  try {
+    const region = await locationService.getRegion(req.params.id);
+
+    if (!region) {
+      return res.status(404).json({
+        success: false,
+        error: 'Region not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: region
+    });
+
+  } catch (error) {
+    logger.error('Error fetching region:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch region'
+    });
+  }
+});
+
+router.put('/regions/:id', [
+  authenticateToken,
+  requireAdmin,
+  param('id').matches(ID_PATTERN).withMessage('Region id may only contain lowercase letters, digits and underscores'),
+  ...regionValidators
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { data, created } = await locationService.saveRegion(regionFromBody(req));
+
+    res.status(created ? 201 : 200).json({
+      success: true,
+      data
+    });
+
+  } catch (error) {
+    logger.error('Error saving region:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to save region'
+    });
+  }
+});
+
+router.delete('/regions/:id', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const monitoredBy = providerRegistry.getAll()
+      .filter(provider => provider.region === req.params.id)
+      .map(provider => provider.name);
+
+    if (monitoredBy.length > 0) {
+      return res.status(409).json({
+        success: false,
+        error: `Region is monitored by: ${monitoredBy.join(', ')}`
+      });
+    }
+
+    const deleted = await locationService.deleteRegion(req.params.id);
+
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        error: 'Region not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Region deleted'
+    });
+
+  } catch (error) {
+    logger.error('Error deleting region:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete region'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/locations/{id}:
+ *   get:
+ *     summary: Get a monitored location
+ *     tags: [Locations]
+ *     security: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: almaty
+ *     responses:
+ *       200:
+ *         description: Location retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/MonitoredLocation'
+ *       404:
+ *         description: Location not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *   put:
+ *     summary: Create or replace a monitored location
+ *     description: Admin only. Set active to false to stop monitoring a location without deleting it.
+ *     tags: [Locations]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[a-z0-9_]+$'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/MonitoredLocation'
+ *     responses:
+ *       200:
+ *         description: Location replaced
+ *       201:
+ *         description: Location created
+ *       400:
+ *         description: Validation error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Admin access required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *   delete:
+ *     summary: Delete a monitored location
+ *     description: Admin only
+ *     tags: [Locations]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Location deleted
+ *       403:
+ *         description: Admin access required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Location not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/:id', optionalAuth, async (req, res) => {
+  try {
+    const location = await locationService.getLocation(req.params.id);
+
+    if (!location) {
+      return res.status(404).json({
+        success: false,
+        error: 'Location not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: location
+    });
+
+  } catch (error) {
+    logger.error('Error fetching monitored location:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch monitored location'
+    });
+  }
+});
+
+router.put('/:id', [
+  authenticateToken,
+  requireAdmin,
+  param('id').matches(ID_PATTERN).withMessage('Location id may only contain lowercase letters, digits and underscores'),
+  ...locationValidators
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { data, created } = await locationService.saveLocation(locationFromBody(req));
+
+    res.status(created ? 201 : 200).json({
+      success: true,
+      data
+    });
+
+  } catch (error) {
+    logger.error('Error saving monitored location:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to save monitored location'
+    });
+  }
+});
+
+router.delete('/:id', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const deleted = await locationService.deleteLocation(req.params.id);
+
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        error: 'Location not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Location deleted'
+    });
+
+  } catch (error) {
+    logger.error('Error deleting monitored location:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete monitored location'
+    });
+  }
+});
+
+module.exports = router;
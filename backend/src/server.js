@@ -15,6 +15,7 @@ const logger = require('./utils/logger');
 const firebaseConfig = require('./config/firebase');
 const errorHandler = require('./middleware/errorHandler');
 const dataUpdateJob = require('./jobs/dataUpdateJob');
+const changeFeedService = require('./services/changeFeedService');
 const { swaggerUi, specs, swaggerOptions } = require('./config/swagger');
 
 // Import routes
@@ -23,6 +24,7 @@ const disasterRoutes = require('./routes/disasters');
 const v2vRoutes = require('./routes/v2v');
 const analyticsRoutes = require('./routes/analytics');
 const chatRoutes = require('./routes/chat');
+const locationRoutes = require('./routes/locations');
 
 const app = express();
 const server = createServer(app);
@@ -82,6 +84,9 @@ io.on('connection', (socket) => {
   });
 });
 
+// Broadcast disaster lifecycle changes from the update job
+changeFeedService.setSocketServer(io);
+
 // Make io available to routes
 app.use((req, res, next) => {
   req.io = io;
@@ -97,6 +102,7 @@ app.use('/api/disasters', disasterRoutes);
 app.use('/api/v2v', v2vRoutes);
 app.use('/api/analytics', analyticsRoutes);
 app.use('/api/chat', chatRoutes);
+app.use('/api/locations', locationRoutes);
 
 /**
  * @swagger
@@ -1,10 +1,21 @@
 const { getFirestore } = require('../config/firebase');
 const disasterService = require('./disasterService');
+const eventStore = require('./eventStore');
+const { correlateEvents } = require('../utils/correlation');
+const TtlCache = require('../utils/ttlCache');
 const logger = require('../utils/logger');
 
+// Span of the live provider queries used by getAllDisasters
+const LIVE_WINDOW_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Ranges longer than the live window, which read every stored event of the range
+const STORED_RANGES = ['30d', '90d'];
+
 class AnalyticsService {
   constructor() {
     this._firestore = null;
+    // Analytics of the stored ranges, so requests do not each read the store
+    this.rangeCache = new TtlCache({ name: 'stored range analytics', ttl: 5 * 60 * 1000, staleTtl: 10 * 60 * 1000 });
   }
 
   get firestore() {
@@ -14,67 +25,24 @@ class AnalyticsService {
     return this._firestore;
   }
 
-  // Generate comprehensive disaster analytics
-  async generateDisasterAnalytics(timeRange = '7d') {
+  // Generate comprehensive disaster analytics. The 30 and 90 day ranges are
+  // served from a short-lived cache unless forceRefresh is set.
+  async generateDisasterAnalytics(timeRange = '7d', { forceRefresh = false } = {}) {
     try {
-      const endTime = new Date();
-      let startTime;
-      
-      switch (timeRange) {
-        case '24h':
-          startTime = new Date(endTime.getTime() - 24 * 60 * 60 * 1000);
-          break;
-        case '7d':
-          startTime = new Date(endTime.getTime() - 7 * 24 * 60 * 60 * 1000);
-          break;
-        case '30d':
-          startTime = new Date(endTime.getTime() - 30 * 24 * 60 * 60 * 1000);
-          break;
-        case '90d':
-          startTime = new Date(endTime.getTime() - 90 * 24 * 60 * 60 * 1000);
-          break;
-        default:
-          startTime = new Date(endTime.getTime() - 7 * 24 * 60 * 60 * 1000);
-      }
-
-      // Get disaster data
-      const disasterData = await disasterService.getAllDisasters();
-      
-      if (!disasterData.success) {
-        return {
-          success: false,
-          error: disasterData.error
-        };
+      let result;
+      if (STORED_RANGES.includes(timeRange)) {
+        const cached = await this.rangeCache.get(timeRange,
+          () => this.buildAnalytics(timeRange, { forceRefresh }), { force: forceRefresh });
+        result = { ...cached.value, stale: cached.value.stale || cached.stale };
+      } else {
+        result = await this.buildAnalytics(timeRange, { forceRefresh });
       }
 
-      // Filter data by time range
-      const filteredDisasters = disasterData.data.filter(disaster => 
-        new Date(disaster.time) >= startTime
-      );
-
-      // Generate analytics
-      const analytics = {
-        timeRange,
-        period: {
-          start: startTime,
-          end: endTime
-        },
-        summary: this.generateSummary(filteredDisasters),
-        trends: this.analyzeTrends(filteredDisasters, timeRange),
-        geographic: this.analyzeGeographicDistribution(filteredDisasters),
-        severity: this.analyzeSeverityDistribution(filteredDisasters),
-        temporal: this.analyzeTemporalPatterns(filteredDisasters),
-        predictions: await this.generatePredictions(filteredDisasters),
-        recommendations: this.generateRecommendations(filteredDisasters)
-      };
-
-      // Save analytics to database
-      await this.saveAnalytics(analytics);
-
       return {
         success: true,
-        data: analytics,
-        lastUpdated: new Date()
+        data: result.analytics,
+        stale: result.stale,
+        lastUpdated: result.lastUpdated
       };
     } catch (error) {
       logger.error('Error generating disaster analytics:', error);
@@ -85,14 +53,99 @@ class AnalyticsService {
     }
   }
 
-  // Generate summary statistics
-  generateSummary(disasters) {
+  // Build and save the analytics of a time range, throwing when the live
+  // data cannot be loaded
+  async buildAnalytics(timeRange, { forceRefresh = false } = {}) {
+    const endTime = new Date();
+    let startTime;
+    
+    switch (timeRange) {
+      case '24h':
+        startTime = new Date(endTime.getTime() - 24 * 60 * 60 * 1000);
+        break;
+      case '7d':
+        startTime = new Date(endTime.getTime() - 7 * 24 * 60 * 60 * 1000);
+        break;
+      case '30d':
+        startTime = new Date(endTime.getTime() - 30 * 24 * 60 * 60 * 1000);
+        break;
+      case '90d':
+        startTime = new Date(endTime.getTime() - 90 * 24 * 60 * 60 * 1000);
+        break;
+      default:
+        startTime = new Date(endTime.getTime() - 7 * 24 * 60 * 60 * 1000);
+    }
+
+    // Get disaster data
+    const disasterData = await disasterService.getAllDisasters({ forceRefresh });
+    
+    if (!disasterData.success) {
+      throw new Error(disasterData.error);
+    }
+
+    // Live data covers the last week; older events come from the event
+    // store (filled by the update job and by historical backfills)
+    let disasters = disasterData.data;
+    if (endTime - startTime > LIVE_WINDOW_MS) {
+      disasters = await this.withStoredEvents(disasters, startTime, endTime);
+    }
+
+    // Filter data by time range
+    const filteredDisasters = disasters.filter(disaster => 
+      new Date(disaster.time) >= startTime
+    );
+
+    // Generate analytics
+    const analytics = {
+      timeRange,
+      period: {
+        start: startTime,
+        end: endTime
+      },
+      summary: this.generateSummary(filteredDisasters),
+      trends: this.analyzeTrends(filteredDisasters, timeRange),
+      geographic: this.analyzeGeographicDistribution(filteredDisasters),
+      severity: this.analyzeSeverityDistribution(filteredDisasters),
+      temporal: this.analyzeTemporalPatterns(filteredDisasters),
+      predictions: await this.generatePredictions(filteredDisasters),
+      recommendations: this.generateRecommendations(filteredDisasters)
+    };
+
+    // Save analytics to database
+    await this.saveAnalytics(analytics);
+
+    return { analytics, stale: disasterData.stale, lastUpdated: disasterData.lastUpdated };
+  }
+
+  // Merge live events with stored events of a time range, live ones winning
+  async withStoredEvents(liveEvents, startTime, endTime) {
+    try {
+      const stored = await eventStore.getEventsInRange({ startTime, endTime });
+      const byId = new Map(stored.map(event => [event.id, event]));
+      liveEvents.forEach(event => byId.set(event.id, event));
+
+      // Stored events are source records; merge them like the live ones
+      return correlateEvents(Array.from(byId.values()))
+        .sort((a, b) => new Date(b.time) - new Date(a.time));
+    } catch (error) {
+      logger.error('Error reading stored events for analytics:', error);
+      return liveEvents;
+    }
+  }
+
+  // Generate summary statistics. An earthquake sequence counts once, as its
+  // mainshock; foreshocks and aftershocks are counted separately.
+  generateSummary(allDisasters) {
+    const disasters = allDisasters.filter(d => !['foreshock', 'aftershock'].includes(d.sequenceRole));
     const total = disasters.length;
     const byType = {};
     const bySeverity = { low: 0, medium: 0, high: 0, critical: 0 };
     const recent24h = disasters.filter(d => 
       new Date(d.time) > new Date(Date.now() - 24 * 60 * 60 * 1000)
     ).length;
+    const sequences = new Set(allDisasters
+      .filter(d => ['foreshock', 'aftershock'].includes(d.sequenceRole))
+      .map(d => d.sequenceId));
 
     disasters.forEach(disaster => {
       // Count by type
@@ -109,6 +162,9 @@ class AnalyticsService {
       recent24h,
       byType,
       bySeverity,
+      earthquakeSequences: sequences.size,
+      foreshocks: allDisasters.filter(d => d.sequenceRole === 'foreshock').length,
+      aftershocks: allDisasters.filter(d => d.sequenceRole === 'aftershock').length,
       averagePerDay: total / Math.max(1, Math.ceil((Date.now() - new Date(disasters[0]?.time || Date.now()).getTime()) / (24 * 60 * 60 * 1000)))
     };
   }
@@ -277,6 +333,16 @@ class AnalyticsService {
       });
     }
 
+    const wildfires = disasters.filter(d => d.type === 'wildfire');
+    if (wildfires.some(d => ['high', 'critical'].includes(d.severity))) {
+      recommendations.push({
+        type: 'wildfire_activity',
+        priority: 'high',
+        message: `${wildfires.length} active fires detected, including large or intense fires. Expect smoke and haze downwind.`,
+        actions: ['Monitor air quality', 'Check fire spread towards settlements', 'Prepare smoke health advisories']
+      });
+    }
+
     return recommendations;
   }
 
@@ -302,6 +368,9 @@ class AnalyticsService {
     if (lat >= 20 && lat <= 35 && lng >= 100 && lng <= 140) return 'East Asia';
     if (lat >= 0 && lat <= 20 && lng >= 100 && lng <= 140) return 'Southeast Asia';
     if (lat >= 20 && lat <= 40 && lng >= 40 && lng <= 60) return 'West Asia';
+    if (lat >= 50 && lat <= 75 && lng >= 60 && lng <= 180) {
+      return 'Siberia';
+    }
     return 'Other';
   }
 
@@ -0,0 +1,237 @@
+const { getFirestore } = require('../config/firebase');
+const providerRegistry = require('./providers');
+const eventStore = require('./eventStore');
+const { toFirestore, fromFirestore } = require('../utils/firestoreData');
+const logger = require('../utils/logger');
+
+const BACKFILLS_COLLECTION = 'backfills';
+
+// USGS rejects queries matching more events than this (reported by /count)
+const DEFAULT_MAX_RESULTS = 20000;
+
+// Windows are not split below this span, whatever their count
+const MIN_WINDOW_MS = 60 * 60 * 1000;
+
+// A window can return up to 20,000 events, tens of megabytes of GeoJSON, so
+// backfill requests get far longer than the live polls' 10 second timeout
+const BACKFILL_TIMEOUT_MS = parseInt(process.env.BACKFILL_TIMEOUT, 10) || 2 * 60 * 1000;
+
+// Events older than the live polling window are stored as resolved, so the
+// update job does not resolve them one by one on its next poll
+const LIVE_WINDOW_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Backfills the event store from the USGS earthquake catalog for an arbitrary
+// date range. The range is split into windows that each stay under the FDSN
+// result limit, and progress is tracked per window in the `backfills`
+// collection so that an interrupted backfill can be resumed.
+class BackfillService {
+  constructor() {
+    this._firestore = null;
+    this.running = new Set();
+  }
+
+  get firestore() {
+    if (!this._firestore) {
+      this._firestore = getFirestore();
+    }
+    return this._firestore;
+  }
+
+  get provider() {
+    return providerRegistry.get('earthquake');
+  }
+
+  // Split a range into windows of at most maxAllowed events each
+  async planWindows(startTime, endTime, options) {
+    const { count, maxAllowed = DEFAULT_MAX_RESULTS } = await this.provider.count({
+      ...options,
+      startTime: startTime.toISOString(),
+      endTime: endTime.toISOString()
+    });
+
+    if (count <= maxAllowed || endTime - startTime <= MIN_WINDOW_MS) {
+      return [{ startTime, endTime, count, status: 'pending' }];
+    }
+
+    const middle = new Date(startTime.getTime() + Math.floor((endTime - startTime) / 2));
+    return [
+      ...await this.planWindows(startTime, middle, options),
+      ...await this.planWindows(middle, endTime, options)
+    ];
+  }
+
+  // Create a backfill record for a date range
+  async createBackfill({ startTime, endTime, minMagnitude, region, requestedBy = null }) {
+    const now = new Date();
+    const ref = this.firestore.collection(BACKFILLS_COLLECTION).doc();
+    const backfill = {
+      id: ref.id,
+      source: 'usgs',
+      status: 'pending',
+      startTime: new Date(startTime),
+      endTime: new Date(endTime),
+      minMagnitude: minMagnitude || this.provider.minMagnitude,
+      region: region || this.provider.region,
+      requestedBy,
+      windows: [],
+      totalWindows: 0,
+      completedWindows: 0,
+      expectedEvents: 0,
+      fetchedEvents: 0,
+      created: 0,
+      updated: 0,
+      unchanged: 0,
+      error: null,
+      createdAt: now,
+      updatedAt: now,
+      startedAt: null,
+      completedAt: null
+    };
+
+    await ref.set(toFirestore(backfill));
+    return backfill;
+  }
+
+  // Run (or resume) a backfill, fetching each pending window in turn
+  async runBackfill(backfillId) {
+    if (this.running.has(backfillId)) {
+      throw new Error(`Backfill ${backfillId} is already running`);
+    }
+
+    const ref = this.firestore.collection(BACKFILLS_COLLECTION).doc(backfillId);
+    const doc = await ref.get();
+    if (!doc.exists) {
+      throw new Error(`Backfill ${backfillId} not found`);
+    }
+
+    this.running.add(backfillId);
+    const backfill = fromFirestore(doc.data());
+    const options = { minMagnitude: backfill.minMagnitude, region: backfill.region, timeout: BACKFILL_TIMEOUT_MS };
+
+    const save = async (fields) => {
+      Object.assign(backfill, fields, { updatedAt: new Date() });
+      await ref.set(toFirestore(backfill));
+    };
+
+    try {
+      await save({ status: 'running', error: null, startedAt: backfill.startedAt || new Date() });
+      options.area = await this.provider.resolveRegion(options);
+
+      if (backfill.windows.length === 0) {
+        const windows = await this.planWindows(backfill.startTime, backfill.endTime, options);
+        await save({
+          windows,
+          totalWindows: windows.length,
+          expectedEvents: windows.reduce((sum, window) => sum + window.count, 0)
+        });
+        logger.info(`Backfill ${backfillId}: ${backfill.expectedEvents} events in ${windows.length} windows`);
+      }
+
+      for (const window of backfill.windows) {
+        if (window.status === 'completed') {
+          continue;
+        }
+
+        const result = await this.backfillWindow(window, options);
+        window.status = 'completed';
+        window.fetched = result.fetched;
+
+        await save({
+          completedWindows: backfill.completedWindows + 1,
+          fetchedEvents: backfill.fetchedEvents + result.fetched,
+          created: backfill.created + result.created,
+          updated: backfill.updated + result.updated,
+          unchanged: backfill.unchanged + result.unchanged
+        });
+        logger.info(`Backfill ${backfillId}: window ${backfill.completedWindows}/${backfill.totalWindows} done`);
+      }
+
+      await save({ status: 'completed', completedAt: new Date() });
+    } catch (error) {
+      logger.error(`Backfill ${backfillId} failed:`, error);
+      await save({ status: 'failed', error: error.message });
+    } finally {
+      this.running.delete(backfillId);
+    }
+
+    return backfill;
+  }
+
+  // Fetch one window and store its events. Backfilled events are not
+  // published to the change feed.
+  async backfillWindow(window, options) {
+    const raw = await this.provider.fetch({
+      ...options,
+      startTime: window.startTime.toISOString(),
+      endTime: window.endTime.toISOString()
+    });
+    const events = this.provider.inArea(this.provider.normalize(raw, options), options.area);
+
+    const liveWindowStart = Date.now() - LIVE_WINDOW_MS;
+    const historical = events.filter(event => new Date(event.startTime) < liveWindowStart);
+    const recent = events.filter(event => new Date(event.startTime) >= liveWindowStart);
+
+    const results = [
+      await eventStore.upsertEvents(historical, { status: 'resolved' }),
+      await eventStore.upsertEvents(recent)
+    ];
+
+    return {
+      fetched: events.length,
+      created: results.reduce((sum, result) => sum + result.created.length, 0),
+      updated: results.reduce((sum, result) => sum + result.updated.length, 0),
+      unchanged: results.reduce((sum, result) => sum + result.unchanged.length, 0)
+    };
+  }
+
+  // Start a backfill in the background
+  async startBackfill(params) {
+    try {
+      const backfill = await this.createBackfill(params);
+
+      this.runBackfill(backfill.id).catch(error => {
+        logger.error(`Backfill ${backfill.id} could not run:`, error);
+      });
+
+      return { success: true, data: backfill };
+    } catch (error) {
+      logger.error('Error starting backfill:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Get a backfill and its progress
+  async getBackfill(backfillId) {
+    try {
+      const doc = await this.firestore.collection(BACKFILLS_COLLECTION).doc(backfillId).get();
+
+      if (!doc.exists) {
+        return { success: false, error: 'Backfill not found', notFound: true };
+      }
+
+      return { success: true, data: fromFirestore(doc.data()) };
+    } catch (error) {
+      logger.error('Error getting backfill:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // List recent backfills, newest first
+  async getBackfills(limit = 20) {
+    try {
+      const snapshot = await this.firestore.collection(BACKFILLS_COLLECTION)
+        .orderBy('createdAt', 'desc')
+        .limit(limit)
+        .get();
+
+      const backfills = snapshot.docs.map(doc => fromFirestore(doc.data()));
+
+      return { success: true, data: backfills, count: backfills.length };
+    } catch (error) {
+      logger.error('Error listing backfills:', error);
+      return { success: false, error: error.message };
+    }
+  }
+}
+
+module.exports = new BackfillService();
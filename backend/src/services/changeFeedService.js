@@ -0,0 +1,152 @@
+const { getFirestore } = require('../config/firebase');
+const { compareSeverity } = require('../utils/severity');
+const { toFirestore, fromFirestore } = require('../utils/firestoreData');
+const logger = require('../utils/logger');
+
+const CHANGES_COLLECTION = 'disaster_changes';
+
+// Lifecycle changes published after each poll
+const CHANGE_TYPES = ['created', 'updated', 'escalated', 'resolved'];
+
+// Event fields sent with a change (the raw payload stays in the event store)
+const summarize = (event) => ({
+  id: event.id,
+  type: event.type,
+  severity: event.severity,
+  title: event.title,
+  description: event.description,
+  startTime: event.startTime,
+  endTime: event.endTime || null,
+  coordinates: event.coordinates,
+  source: event.source || null
+});
+
+// Classifies event lifecycle changes, records them in the change feed
+// collection and broadcasts them over Socket.IO
+class ChangeFeedService {
+  constructor() {
+    this._firestore = null;
+    this.io = null;
+    this.changeTypes = CHANGE_TYPES;
+  }
+
+  get firestore() {
+    if (!this._firestore) {
+      this._firestore = getFirestore();
+    }
+    return this._firestore;
+  }
+
+  // Attach the Socket.IO server used to broadcast changes
+  setSocketServer(io) {
+    this.io = io;
+  }
+
+  // Turn an event store upsert result and resolved events into changes
+  classify(upsertResult, resolved = []) {
+    const timestamp = new Date();
+    const changes = [];
+
+    upsertResult.created.forEach(event => {
+      changes.push({
+        changeType: 'created',
+        event: summarize(event),
+        previousSeverity: null,
+        changedFields: [],
+        timestamp
+      });
+    });
+
+    upsertResult.updated.forEach(({ event, previous, changes: fieldChanges }) => {
+      const escalated = compareSeverity(event.severity, previous.severity) > 0;
+      changes.push({
+        changeType: escalated ? 'escalated' : 'updated',
+        event: summarize(event),
+        previousSeverity: previous.severity || null,
+        changedFields: Object.keys(fieldChanges),
+        timestamp
+      });
+    });
+
+    resolved.forEach(event => {
+      changes.push({
+        changeType: 'resolved',
+        event: summarize(event),
+        previousSeverity: event.severity,
+        changedFields: ['status'],
+        timestamp
+      });
+    });
+
+    return changes;
+  }
+
+  // Record changes in the change feed and emit them to connected clients
+  async publish(changes) {
+    if (changes.length === 0) {
+      return;
+    }
+
+    try {
+      const batch = this.firestore.batch();
+      const collection = this.firestore.collection(CHANGES_COLLECTION);
+
+      changes.forEach(change => {
+        batch.set(collection.doc(), toFirestore({
+          ...change,
+          eventId: change.event.id,
+          type: change.event.type,
+          severity: change.event.severity
+        }));
+      });
+
+      await batch.commit();
+    } catch (error) {
+      logger.error('Error recording disaster changes:', error);
+    }
+
+    if (this.io) {
+      changes.forEach(change => {
+        this.io.emit('disaster-change', change);
+      });
+    }
+  }
+
+  // Get the change feed, newest first
+  async getChanges({ since, changeType, limit = 50 } = {}) {
+    try {
+      let query = this.firestore.collection(CHANGES_COLLECTION);
+
+      if (changeType) {
+        query = query.where('changeType', '==', changeType);
+      }
+      if (since) {
+        query = query.where('timestamp', '>', since);
+      }
+
+      const snapshot = await query
+        .orderBy('timestamp', 'desc')
+        .limit(limit)
+        .get();
+
+      const changes = snapshot.docs.map(doc => ({
+        id: doc.id,
+        ...fromFirestore(doc.data())
+      }));
+
+      return {
+        success: true,
+        data: changes,
+        count: changes.length
+      };
+    } catch (error) {
+      logger.error('Error getting disaster changes:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+}
+
+module.exports = new ChangeFeedService();
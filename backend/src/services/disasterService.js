@@ -1,394 +1,395 @@
-const axios = require('axios');
+const providerRegistry = require('./providers');
+const locationService = require('./locationService');
+const eventStore = require('./eventStore');
+const { mapSeverity } = require('../utils/severity');
+const {
+  calculateDistance,
+  distanceToEvent,
+  geometryBbox,
+  geometryCenter,
+  pointInBbox,
+  pointInGeometry,
+  roundDistance
+} = require('../utils/geo');
+const { closestApproach } = require('../utils/cyclone');
+const { describeSequence } = require('../utils/aftershocks');
+const { correlateEvents } = require('../utils/correlation');
 const logger = require('../utils/logger');
 
 class DisasterService {
   constructor() {
-    this.usgsBaseUrl = process.env.USGS_API_URL || 'https://earthquake.usgs.gov/fdsnws/event/1';
-    this.noaaBaseUrl = process.env.NOAA_API_URL || 'https://api.weather.gov';
-    this.openWeatherApiKey = process.env.OPENWEATHER_API_KEY;
+    this.providers = providerRegistry;
   }
 
   // Get earthquake data from USGS
-  async getEarthquakes(startTime, endTime, minMagnitude = 4.0, region = 'asia') {
-    try {
-      const params = {
-        format: 'geojson',
-        starttime: startTime,
-        endtime: endTime,
-        minmagnitude: minMagnitude,
-        orderby: 'time-desc'
-      };
+  async getEarthquakes(startTime, endTime, minMagnitude = 4.0, region) {
+    return this.getProviderEvents('earthquake', { startTime, endTime, minMagnitude, region });
+  }
 
-      // Add region-specific bounds for Asia
-      if (region === 'asia') {
-        params.minlatitude = -10;
-        params.maxlatitude = 50;
-        params.minlongitude = 60;
-        params.maxlongitude = 180;
-      }
+  // Get an earthquake sequence (mainshock with its fore- and aftershocks) by
+  // sequence id or by the id of one of its events. Sequences are built from
+  // the earthquakes of the last `days`.
+  async getEarthquakeSequence(id, { days = 7, minMagnitude = 4.0, region } = {}) {
+    const endTime = new Date();
+    const startTime = new Date(endTime.getTime() - days * 24 * 60 * 60 * 1000);
+    const earthquakes = await this.getEarthquakes(startTime.toISOString(), endTime.toISOString(), minMagnitude, region);
 
-      const response = await axios.get(`${this.usgsBaseUrl}/query`, { params });
-      
-      return {
-        success: true,
-        data: response.data.features.map(feature => ({
-          id: feature.id,
-          type: 'earthquake',
-          magnitude: feature.properties.mag,
-          location: feature.properties.place,
-          time: new Date(feature.properties.time),
-          coordinates: {
-            latitude: feature.geometry.coordinates[1],
-            longitude: feature.geometry.coordinates[0],
-            depth: feature.geometry.coordinates[2]
-          },
-          url: feature.properties.url,
-          tsunami: feature.properties.tsunami,
-          alert: feature.properties.alert,
-          significance: feature.properties.sig
-        }))
-      };
-    } catch (error) {
-      logger.error('Error fetching earthquake data:', error);
-      return { success: false, error: error.message };
+    if (!earthquakes.success) {
+      return earthquakes;
     }
+
+    const member = earthquakes.data.find(event => event.sequenceId === id || event.id === id);
+    if (!member || !member.sequenceId) {
+      return { success: false, notFound: true, error: 'Earthquake sequence not found' };
+    }
+
+    return {
+      success: true,
+      data: describeSequence(earthquakes.data.filter(event => event.sequenceId === member.sequenceId)),
+      stale: earthquakes.stale,
+      lastUpdated: earthquakes.lastUpdated
+    };
   }
 
-  // Get weather alerts and severe weather conditions
-  async getWeatherAlerts(region = 'asia') {
-    try {
-      if (!this.openWeatherApiKey) {
-        throw new Error('OpenWeatherMap API key not configured');
-      }
+  // Get weather alerts and severe weather conditions. The weather provider
+  // also raises rainfall hazards, which have their own types.
+  async getWeatherAlerts(region) {
+    const result = await this.getProviderEvents('weather', { region });
+    if (!result.success) {
+      return result;
+    }
+    return { ...result, data: result.data.filter(event => event.type === 'weather') };
+  }
 
-      // Define major cities in Asia for weather monitoring
-      const asiaCities = [
-        { name: 'Tokyo', lat: 35.6762, lon: 139.6503, country: 'Japan' },
-        { name: 'Seoul', lat: 37.5665, lon: 126.9780, country: 'South Korea' },
-        { name: 'Beijing', lat: 39.9042, lon: 116.4074, country: 'China' },
-        { name: 'Shanghai', lat: 31.2304, lon: 121.4737, country: 'China' },
-        { name: 'Mumbai', lat: 19.0760, lon: 72.8777, country: 'India' },
-        { name: 'Delhi', lat: 28.7041, lon: 77.1025, country: 'India' },
-        { name: 'Bangkok', lat: 13.7563, lon: 100.5018, country: 'Thailand' },
-        { name: 'Jakarta', lat: -6.2088, lon: 106.8456, country: 'Indonesia' },
-        { name: 'Manila', lat: 14.5995, lon: 120.9842, country: 'Philippines' },
-        { name: 'Ho Chi Minh City', lat: 10.8231, lon: 106.6297, country: 'Vietnam' }
-      ];
+  // Get tsunami warnings (using USGS tsunami data) with the coasts they
+  // threaten, optionally for a registered region
+  async getTsunamiWarnings(region) {
+    return this.getProviderEvents('tsunami', { region });
+  }
 
-      const alerts = [];
-      
-      // Check weather conditions for each major city
-      for (const city of asiaCities) {
-        try {
-          // Get current weather and 5-day forecast
-          const [currentResponse, forecastResponse] = await Promise.all([
-            axios.get('https://api.openweathermap.org/data/2.5/weather', {
-              params: {
-                lat: city.lat,
-                lon: city.lon,
-                appid: this.openWeatherApiKey,
-                units: 'metric'
-              }
-            }),
-            axios.get('https://api.openweathermap.org/data/2.5/forecast', {
-              params: {
-                lat: city.lat,
-                lon: city.lon,
-                appid: this.openWeatherApiKey,
-                units: 'metric'
-              }
-            })
-          ]);
-
-          // Check for severe weather conditions
-          const currentWeather = currentResponse.data;
-          const forecast = forecastResponse.data;
-
-          // Check current weather for severe conditions
-          if (this.isSevereWeather(currentWeather)) {
-            alerts.push({
-              id: `weather_${city.name}_${Date.now()}`,
-              type: 'weather',
-              severity: this.getWeatherSeverity(currentWeather),
-              title: `Severe Weather Alert - ${city.name}`,
-              description: this.getWeatherDescription(currentWeather),
-              startTime: new Date(),
-              endTime: new Date(Date.now() + 6 * 60 * 60 * 1000), // 6 hours from now
-              region: city.country,
-              coordinates: {
-                latitude: city.lat,
-                longitude: city.lon
-              },
-              city: city.name,
-              temperature: currentWeather.main.temp,
-              humidity: currentWeather.main.humidity,
-              windSpeed: currentWeather.wind?.speed || 0,
-              weatherCondition: currentWeather.weather[0].main
-            });
-          }
-
-          // Check forecast for severe weather in next 5 days
-          forecast.list.forEach((forecastItem, index) => {
-            if (this.isSevereWeather(forecastItem)) {
-              alerts.push({
-                id: `weather_forecast_${city.name}_${index}_${Date.now()}`,
-                type: 'weather',
-                severity: this.getWeatherSeverity(forecastItem),
-                title: `Weather Warning - ${city.name}`,
-                description: this.getWeatherDescription(forecastItem),
-                startTime: new Date(forecastItem.dt * 1000),
-                endTime: new Date(forecastItem.dt * 1000 + 3 * 60 * 60 * 1000), // 3 hours
-                region: city.country,
-                coordinates: {
-                  latitude: city.lat,
-                  longitude: city.lon
-                },
-                city: city.name,
-                temperature: forecastItem.main.temp,
-                humidity: forecastItem.main.humidity,
-                windSpeed: forecastItem.wind?.speed || 0,
-                weatherCondition: forecastItem.weather[0].main,
-                isForecast: true
-              });
-            }
-          });
+  // Get volcanic activity (using USGS volcano data)
+  async getVolcanicActivity() {
+    return this.getProviderEvents('volcanic');
+  }
 
-        } catch (cityError) {
-          logger.warn(`Error fetching weather for ${city.name}:`, cityError.message);
-          // Continue with other cities even if one fails
-        }
-      }
+  // Get tropical cyclones from the advisory feed
+  async getCyclones(region) {
+    return this.getProviderEvents('cyclone', { region });
+  }
 
-      // Remove duplicates and sort by severity and time
-      const uniqueAlerts = this.removeDuplicateAlerts(alerts);
-      uniqueAlerts.sort((a, b) => {
-        const severityOrder = { critical: 4, high: 3, medium: 2, low: 1 };
-        return severityOrder[b.severity] - severityOrder[a.severity] || new Date(b.startTime) - new Date(a.startTime);
-      });
+  // Find a cyclone by event id (cyclone_<storm>) or storm id
+  async findCyclone(cycloneId) {
+    const cyclones = await this.getCyclones();
 
-      return { success: true, data: uniqueAlerts };
-    } catch (error) {
-      logger.error('Error fetching weather alerts:', error);
-      return { success: false, error: error.message };
+    if (!cyclones.success) {
+      return cyclones;
+    }
+
+    const cyclone = cyclones.data.find(event => event.id === cycloneId || event.stormId === cycloneId);
+    if (!cyclone) {
+      return { success: false, notFound: true, error: 'Cyclone not found' };
     }
+
+    return { ...cyclones, data: cyclone };
   }
 
-  // Get tsunami warnings (using USGS tsunami data)
-  async getTsunamiWarnings() {
+  // Get the observed track and latest forecast of a cyclone
+  async getCycloneHistory(cycloneId) {
+    const result = await this.findCyclone(cycloneId);
+
+    if (!result.success) {
+      return result;
+    }
+
+    const { id, stormId, name, basin, stormStatus, classification, advisoryTime, track, forecast } = result.data;
+    return {
+      success: true,
+      data: { id, stormId, name, basin, stormStatus, classification, advisoryTime, track, forecast },
+      stale: result.stale,
+      lastUpdated: result.lastUpdated
+    };
+  }
+
+  // Get the monitored locations inside a cyclone's forecast cone, with the
+  // closest forecast approach to each, soonest first
+  async getCycloneExposure(cycloneId, { region } = {}) {
     try {
-      const response = await axios.get(`${this.usgsBaseUrl}/query`, {
-        params: {
-          format: 'geojson',
-          starttime: new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString().split('T')[0],
-          endtime: new Date().toISOString().split('T')[0],
-          minmagnitude: 6.0,
-          orderby: 'time-desc'
-        }
-      });
+      const result = await this.findCyclone(cycloneId);
+
+      if (!result.success) {
+        return result;
+      }
 
-      const tsunamiEvents = response.data.features.filter(
-        feature => feature.properties.tsunami === 1
-      );
+      const cyclone = result.data;
+      const cone = cyclone.geometry.type === 'Polygon' ? cyclone.geometry : null;
+      const path = [
+        { hours: 0, time: cyclone.advisoryTime, latitude: cyclone.coordinates.latitude, longitude: cyclone.coordinates.longitude, maxWind: cyclone.maxWind },
+        ...cyclone.forecast
+      ];
+
+      const bbox = cone ? geometryBbox(cone) : null;
+      const locations = cone ? await locationService.getLocations({ region }) : [];
+
+      const exposed = locations
+        .filter(location => pointInBbox(location.longitude, location.latitude, bbox) &&
+          pointInGeometry(location.longitude, location.latitude, cone))
+        .map(location => {
+          const { distance, point } = closestApproach(path, location.latitude, location.longitude);
+          return {
+            ...location,
+            closestApproach: {
+              distance: roundDistance(distance),
+              time: point.time,
+              hours: point.hours,
+              maxWind: point.maxWind
+            }
+          };
+        })
+        .sort((a, b) => a.closestApproach.hours - b.closestApproach.hours ||
+          a.closestApproach.distance - b.closestApproach.distance);
 
       return {
         success: true,
-        data: tsunamiEvents.map(feature => ({
-          id: `tsunami_${feature.id}`,
-          type: 'tsunami',
-          magnitude: feature.properties.mag,
-          location: feature.properties.place,
-          time: new Date(feature.properties.time),
-          coordinates: {
-            latitude: feature.geometry.coordinates[1],
-            longitude: feature.geometry.coordinates[0],
-            depth: feature.geometry.coordinates[2]
-          },
-          tsunami: true,
-          alert: feature.properties.alert,
-          significance: feature.properties.sig
-        }))
+        data: exposed,
+        count: exposed.length,
+        cyclone: {
+          id: cyclone.id,
+          name: cyclone.name,
+          classification: cyclone.classification,
+          stormStatus: cyclone.stormStatus,
+          advisoryTime: cyclone.advisoryTime,
+          cone
+        },
+        stale: result.stale,
+        lastUpdated: result.lastUpdated
       };
     } catch (error) {
-      logger.error('Error fetching tsunami warnings:', error);
+      logger.error('Error calculating cyclone exposure:', error);
       return { success: false, error: error.message };
     }
   }
 
-  // Get volcanic activity (using USGS volcano data)
-  async getVolcanicActivity() {
+  // Get events from a single registered provider
+  async getProviderEvents(name, options = {}) {
+    const provider = this.providers.get(name);
+
+    if (!provider || !provider.enabled) {
+      return { success: false, error: `Disaster provider '${name}' is not enabled` };
+    }
+
+    return provider.getEvents(options);
+  }
+
+  // Get the disaster types available from enabled providers
+  getDisasterTypes() {
+    return this.providers.getTypes();
+  }
+
+  // Get disaster data of a single type
+  async getDisastersByType(type, options = {}) {
     try {
-      // Using a different USGS endpoint for volcanic activity
-      const response = await axios.get('https://www.usgs.gov/volcanoes/feed/geojson.php', {
-        timeout: 10000
-      });
+      const providers = this.providers.getProvidersForType(type);
 
-      const volcanicEvents = response.data.features.filter(
-        feature => feature.properties.alert_level && feature.properties.alert_level !== 'green'
-      );
+      if (providers.length === 0) {
+        return { success: false, error: `No enabled provider for disaster type '${type}'` };
+      }
 
-      return {
-        success: true,
-        data: volcanicEvents.map(feature => ({
-          id: `volcano_${feature.properties.id}`,
-          type: 'volcanic',
-          name: feature.properties.volcano_name,
-          alertLevel: feature.properties.alert_level,
-          location: feature.properties.location,
-          coordinates: {
-            latitude: feature.geometry.coordinates[1],
-            longitude: feature.geometry.coordinates[0]
-          },
-          lastEruption: feature.properties.last_eruption_year,
-          elevation: feature.properties.elevation
-        }))
-      };
+      const result = await this.collectEvents(providers, options);
+      return this.correlate({
+        ...result,
+        data: result.data.filter(disaster => disaster.type === type)
+      }, options);
     } catch (error) {
-      logger.error('Error fetching volcanic activity:', error);
+      logger.error(`Error fetching ${type} disasters:`, error);
       return { success: false, error: error.message };
     }
   }
 
   // Get all disaster data
-  async getAllDisasters() {
+  async getAllDisasters(options = {}) {
     try {
-      const endTime = new Date();
-      const startTime = new Date(endTime.getTime() - 7 * 24 * 60 * 60 * 1000); // Last 7 days
+      return this.correlate(await this.collectEvents(this.providers.getEnabled(), options), options);
+    } catch (error) {
+      logger.error('Error fetching all disasters:', error);
+      return { success: false, error: error.message };
+    }
+  }
 
-      const [earthquakes, weatherAlerts, tsunamiWarnings, volcanicActivity] = await Promise.allSettled([
-        this.getEarthquakes(startTime.toISOString(), endTime.toISOString()),
-        this.getWeatherAlerts(),
-        this.getTsunamiWarnings(),
-        this.getVolcanicActivity()
-      ]);
+  // Merge the events of a result that describe the same phenomenon (see
+  // utils/correlation) unless options.correlate is false, which keeps one event
+  // per source record
+  correlate(result, { correlate = true } = {}) {
+    const data = correlate ? correlateEvents(result.data) : result.data;
+    return { ...result, data, count: data.length };
+  }
 
-      const allDisasters = [];
+  // Run providers in parallel and merge their events
+  async collectEvents(providers, options = {}) {
+    const { days = 7 } = options;
+    const endTime = new Date();
+    const startTime = new Date(endTime.getTime() - days * 24 * 60 * 60 * 1000);
+    const providerOptions = {
+      startTime: startTime.toISOString(),
+      endTime: endTime.toISOString(),
+      ...options
+    };
 
-      if (earthquakes.status === 'fulfilled' && earthquakes.value.success) {
-        allDisasters.push(...earthquakes.value.data);
-      }
+    const results = await Promise.allSettled(
+      providers.map(provider => provider.getEvents(providerOptions))
+    );
 
-      if (weatherAlerts.status === 'fulfilled' && weatherAlerts.value.success) {
-        allDisasters.push(...weatherAlerts.value.data);
-      }
+    const allDisasters = [];
+    const sources = {};
+    const degradedSources = [];
+    let lastUpdated = null;
+    let stale = false;
 
-      if (tsunamiWarnings.status === 'fulfilled' && tsunamiWarnings.value.success) {
-        allDisasters.push(...tsunamiWarnings.value.data);
-      }
+    results.forEach((result, index) => {
+      const { name, health } = providers[index];
 
-      if (volcanicActivity.status === 'fulfilled' && volcanicActivity.value.success) {
-        allDisasters.push(...volcanicActivity.value.data);
+      // Failed sources are missing from the data; sources answered from cache
+      // while their upstream is failing are serving old data
+      if (!(result.status === 'fulfilled' && result.value.success) || ['degraded', 'down'].includes(health.status)) {
+        degradedSources.push(name);
       }
 
-      // Sort by time (most recent first)
-      allDisasters.sort((a, b) => new Date(b.time) - new Date(a.time));
+      if (result.status === 'fulfilled' && result.value.success) {
+        const { data, lastUpdated: sourceUpdated, stale: sourceStale } = result.value;
+        allDisasters.push(...data);
+        sources[name] = {
+          success: true,
+          count: data.length,
+          lastUpdated: sourceUpdated,
+          stale: sourceStale
+        };
+
+        // The response is as old as its oldest source
+        if (!lastUpdated || sourceUpdated < lastUpdated) {
+          lastUpdated = sourceUpdated;
+        }
+        stale = stale || sourceStale;
+      } else {
+        sources[name] = {
+          success: false,
+          error: result.status === 'fulfilled' ? result.value.error : result.reason?.message
+        };
+      }
+    });
 
-      return {
-        success: true,
-        data: allDisasters,
-        count: allDisasters.length,
-        lastUpdated: new Date()
-      };
-    } catch (error) {
-      logger.error('Error fetching all disasters:', error);
-      return { success: false, error: error.message };
-    }
+    // Sort by time (most recent first)
+    allDisasters.sort((a, b) => new Date(b.time) - new Date(a.time));
+
+    return {
+      success: true,
+      data: allDisasters,
+      count: allDisasters.length,
+      sources,
+      degradedSources,
+      stale,
+      lastUpdated: lastUpdated || new Date()
+    };
   }
 
-  // Map severity levels
-  mapSeverity(tag) {
-    const severityMap = {
-      'Minor': 'low',
-      'Moderate': 'medium',
-      'Severe': 'high',
-      'Extreme': 'critical'
-    };
-    return severityMap[tag] || 'medium';
+  // Get health, latency and circuit breaker state of every provider
+  getSourceHealth() {
+    return this.providers.getHealth();
   }
 
-  // Check if weather conditions are severe
-  isSevereWeather(weatherData) {
-    const windSpeed = weatherData.wind?.speed || 0;
-    const temperature = weatherData.main.temp;
-    const humidity = weatherData.main.humidity;
-    const weatherCondition = weatherData.weather[0].main.toLowerCase();
-    const description = weatherData.weather[0].description.toLowerCase();
-
-    // Severe wind conditions (Beaufort scale 7+)
-    if (windSpeed > 13.9) return true; // 50+ km/h
-
-    // Extreme temperatures
-    if (temperature > 40 || temperature < -20) return true;
-
-    // Severe weather conditions
-    const severeConditions = [
-      'thunderstorm', 'tornado', 'hurricane', 'typhoon', 
-      'blizzard', 'snowstorm', 'sandstorm', 'duststorm'
-    ];
-    
-    if (severeConditions.some(condition => 
-      weatherCondition.includes(condition) || description.includes(condition)
-    )) return true;
-
-    // Heavy rain/snow
-    if (description.includes('heavy') || description.includes('extreme')) return true;
-
-    // High humidity with high temperature (heat index)
-    if (temperature > 30 && humidity > 80) return true;
-
-    return false;
+  // Get the events of a type, or of every enabled provider
+  async getDisasters({ type, ...options } = {}) {
+    return type ? this.getDisastersByType(type, options) : this.getAllDisasters(options);
   }
 
-  // Get weather severity level
-  getWeatherSeverity(weatherData) {
-    const windSpeed = weatherData.wind?.speed || 0;
-    const temperature = weatherData.main.temp;
-    const weatherCondition = weatherData.weather[0].main.toLowerCase();
-    const description = weatherData.weather[0].description.toLowerCase();
+  // Get stored events created, changed or resolved after a time, for clients
+  // syncing incrementally. These are source records as stored by the update
+  // job, resolved ones included, so they are not correlated.
+  async getDisastersChangedSince(since, { type, region } = {}) {
+    try {
+      let data = await eventStore.getEventsChangedSince(since, { type });
 
-    // Critical conditions
-    if (windSpeed > 20.8 || temperature > 45 || temperature < -30) return 'critical';
-    if (weatherCondition.includes('tornado') || weatherCondition.includes('hurricane')) return 'critical';
+      if (region) {
+        const area = await locationService.getRegion(region);
+        if (!area) {
+          throw new Error(`Unknown region '${region}'`);
+        }
+        data = data.filter(event =>
+          locationService.contains(area, event.coordinates.latitude, event.coordinates.longitude));
+      }
 
-    // High severity
-    if (windSpeed > 13.9 || temperature > 40 || temperature < -20) return 'high';
-    if (weatherCondition.includes('thunderstorm') && description.includes('heavy')) return 'high';
+      return { success: true, data, count: data.length, lastUpdated: new Date() };
+    } catch (error) {
+      logger.error('Error fetching changed disasters:', error);
+      return { success: false, error: error.message };
+    }
+  }
 
-    // Medium severity
-    if (windSpeed > 10.8 || temperature > 35 || temperature < -10) return 'medium';
-    if (weatherCondition.includes('thunderstorm') || weatherCondition.includes('blizzard')) return 'medium';
+  // Get disasters within a radius of a point, nearest first
+  async getDisastersNear(latitude, longitude, radiusKm = 50, options = {}) {
+    try {
+      const disasters = await this.getDisasters(options);
 
-    return 'low';
+      if (!disasters.success) {
+        return disasters;
+      }
+
+      const nearby = disasters.data
+        .map(disaster => ({ disaster, distance: distanceToEvent(latitude, longitude, disaster) }))
+        .filter(({ distance }) => distance !== null && distance <= radiusKm)
+        .sort((a, b) => a.distance - b.distance)
+        .map(({ disaster, distance }) => ({ ...disaster, distance: roundDistance(distance) }));
+
+      return {
+        ...disasters,
+        data: nearby,
+        count: nearby.length
+      };
+    } catch (error) {
+      logger.error('Error fetching nearby disasters:', error);
+      return { success: false, error: error.message };
+    }
   }
 
-  // Get weather description
-  getWeatherDescription(weatherData) {
-    const windSpeed = weatherData.wind?.speed || 0;
-    const temperature = weatherData.main.temp;
-    const humidity = weatherData.main.humidity;
-    const weatherCondition = weatherData.weather[0].main;
-    const description = weatherData.weather[0].description;
+  // Get disasters inside a GeoJSON polygon, nearest to its centre first
+  async getDisastersWithin(geometry, options = {}) {
+    try {
+      const disasters = await this.getDisasters(options);
 
-    let desc = `${weatherCondition}: ${description}`;
-    desc += ` | Temperature: ${temperature}°C`;
-    desc += ` | Humidity: ${humidity}%`;
-    desc += ` | Wind: ${windSpeed} m/s`;
+      if (!disasters.success) {
+        return disasters;
+      }
 
-    if (windSpeed > 13.9) desc += ' | High wind warning';
-    if (temperature > 40) desc += ' | Extreme heat warning';
-    if (temperature < -20) desc += ' | Extreme cold warning';
+      const bbox = geometryBbox(geometry);
+      const center = geometryCenter(geometry);
+
+      const inside = disasters.data
+        .filter(disaster => {
+          const { latitude, longitude } = disaster.coordinates || {};
+          return pointInBbox(longitude, latitude, bbox) && pointInGeometry(longitude, latitude, geometry);
+        })
+        .map(disaster => ({
+          ...disaster,
+          distance: roundDistance(calculateDistance(
+            center.latitude, center.longitude,
+            disaster.coordinates.latitude, disaster.coordinates.longitude
+          ))
+        }))
+        .sort((a, b) => a.distance - b.distance);
 
-    return desc;
+      return {
+        ...disasters,
+        data: inside,
+        count: inside.length,
+        center
+      };
+    } catch (error) {
+      logger.error('Error fetching disasters within area:', error);
+      return { success: false, error: error.message };
+    }
   }
 
-  // Remove duplicate weather alerts
-  removeDuplicateAlerts(alerts) {
-    const seen = new Set();
-    return alerts.filter(alert => {
-      const key = `${alert.city}_${alert.weatherCondition}_${alert.severity}`;
-      if (seen.has(key)) return false;
-      seen.add(key);
-      return true;
-    });
+  // Map tag-based severity levels (Minor, Moderate, Severe, Extreme)
+  mapSeverity(tag) {
+    return mapSeverity(tag);
   }
 
   // Get disaster statistics
@@ -410,10 +411,13 @@ class DisasterService {
           critical: 0
         },
         last24Hours: 0,
-        last7Days: disasters.data.length
+        last7Days: 0
       };
 
+      // Counted by start time: some providers (CAP, cyclones, wildfires,
+      // volcanoes) report ongoing events that started long before
       const oneDayAgo = new Date(Date.now() - 24 * 60 * 60 * 1000);
+      const sevenDaysAgo = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000);
 
       disasters.data.forEach(disaster => {
         // Count by type
@@ -424,16 +428,21 @@ class DisasterService {
           stats.bySeverity[disaster.severity] = (stats.bySeverity[disaster.severity] || 0) + 1;
         }
 
-        // Count last 24 hours
+        // Count last 24 hours and 7 days
         if (new Date(disaster.time) > oneDayAgo) {
           stats.last24Hours++;
         }
+        if (new Date(disaster.time) > sevenDaysAgo) {
+          stats.last7Days++;
+        }
       });
 
       return {
         success: true,
         data: stats,
-        lastUpdated: new Date()
+        degradedSources: disasters.degradedSources,
+        stale: disasters.stale,
+        lastUpdated: disasters.lastUpdated
       };
     } catch (error) {
       logger.error('Error calculating disaster stats:', error);
@@ -0,0 +1,169 @@
+const { getFirestore } = require('../config/firebase');
+const disasterService = require('./disasterService');
+const eventStore = require('./eventStore');
+const locationService = require('./locationService');
+const impactService = require('./impactService');
+const { affectedArea, inAffectedArea } = require('../utils/affectedArea');
+const { calculateDistance, distanceToEvent, roundDistance } = require('../utils/geo');
+const { fromFirestore } = require('../utils/firestoreData');
+const logger = require('../utils/logger');
+
+const NEAREST_CITIES = 5;
+const RELATED_RADIUS_KM = 300;
+const RELATED_WINDOW_MS = 3 * 24 * 60 * 60 * 1000;
+const MAX_RELATED = 20;
+
+// Everything operators need about one incident: the event with its revision
+// history, the nearest monitored cities, the recently seen vehicles inside its
+// affected area, nearby events around the same time and the stored AI analyses
+// of it. Vehicles and analyses are private: users see their own, admins all.
+class EnrichmentService {
+  constructor() {
+    this._firestore = null;
+  }
+
+  get firestore() {
+    if (!this._firestore) {
+      this._firestore = getFirestore();
+    }
+    return this._firestore;
+  }
+
+  // Find an event in the event store, then among the current events (where it
+  // may be part of a merged event)
+  async findEvent(eventId, liveEvents) {
+    const stored = await eventStore.getEvent(eventId);
+    if (stored.success || !stored.notFound) {
+      return stored;
+    }
+
+    const live = liveEvents.find(event => event.id === eventId) ||
+      liveEvents.find(event => (event.contributors || []).some(contributor => contributor.id === eventId));
+    return live ? { success: true, data: live } : stored;
+  }
+
+  // Monitored cities closest to the event
+  async getNearestCities(event) {
+    const locations = await locationService.getLocations();
+    return locations
+      .map(({ id, name, country, latitude, longitude }) => ({
+        id, name, country, latitude, longitude,
+        distance: distanceToEvent(latitude, longitude, event)
+      }))
+      .filter(location => location.distance !== null)
+      .sort((a, b) => a.distance - b.distance)
+      .slice(0, NEAREST_CITIES)
+      .map(location => ({ ...location, distance: roundDistance(location.distance) }));
+  }
+
+  // Vehicles visible to the user that reported recently and are inside the
+  // affected area
+  async getVehiclesInArea(event, area, user) {
+    if (!user) {
+      return [];
+    }
+    const vehicles = await impactService.getVehicles(user, { currentOnly: true });
+    return vehicles
+      .filter(vehicle => inAffectedArea(event, area, vehicle.latitude, vehicle.longitude))
+      .map(vehicle => ({
+        ...vehicle,
+        distance: roundDistance(calculateDistance(event.coordinates.latitude, event.coordinates.longitude,
+          vehicle.latitude, vehicle.longitude))
+      }))
+      .sort((a, b) => a.distance - b.distance);
+  }
+
+  // Current events near the event and around the same time, nearest first
+  getRelatedEvents(event, liveEvents) {
+    const ownIds = new Set([event.id, ...(event.contributors || []).map(contributor => contributor.id)]);
+    const start = new Date(event.startTime).getTime();
+
+    return liveEvents
+      .filter(other => !ownIds.has(other.id) &&
+        !(other.contributors || []).some(contributor => ownIds.has(contributor.id)) &&
+        Math.abs(new Date(other.startTime).getTime() - start) <= RELATED_WINDOW_MS)
+      .map(other => ({
+        id: other.id,
+        type: other.type,
+        severity: other.severity,
+        title: other.title,
+        startTime: other.startTime,
+        coordinates: other.coordinates,
+        distance: calculateDistance(event.coordinates.latitude, event.coordinates.longitude,
+          other.coordinates.latitude, other.coordinates.longitude)
+      }))
+      .filter(other => other.distance <= RELATED_RADIUS_KM)
+      .sort((a, b) => a.distance - b.distance)
+      .slice(0, MAX_RELATED)
+      .map(other => ({ ...other, distance: roundDistance(other.distance) }));
+  }
+
+  // Stored AI analyses of the event or of one of its source records. Older
+  // analyses only carry the event id inside the analysed disaster data.
+  async getAnalyses(event, user) {
+    if (!user) {
+      return [];
+    }
+
+    const ids = [event.id, ...(event.contributors || []).map(contributor => contributor.id)]
+      .filter((id, index, all) => all.indexOf(id) === index)
+      .slice(0, 10);
+    const scoped = (query) => (user.admin === true ? query : query.where('userId', '==', user.uid));
+    const collection = this.firestore.collection('ai_analyses');
+    const snapshots = await Promise.all([
+      scoped(collection.where('disasterId', 'in', ids)).get(),
+      scoped(collection.where('disasterData.id', 'in', ids)).get()
+    ]);
+
+    const analyses = new Map();
+    snapshots.forEach(snapshot => snapshot.docs.forEach(doc => {
+      const { userId, analysis, timestamp } = fromFirestore(doc.data());
+      analyses.set(doc.id, { id: doc.id, userId, analysis, timestamp });
+    }));
+
+    return Array.from(analyses.values())
+      .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+  }
+
+  // Get an event with its revisions and enrichment
+  async getEventDetail(eventId, user = null) {
+    try {
+      const current = await disasterService.getAllDisasters();
+      const liveEvents = current.success ? current.data : [];
+
+      const result = await this.findEvent(eventId, liveEvents);
+      if (!result.success) {
+        return result;
+      }
+
+      const event = result.data;
+      const area = affectedArea(event);
+      const [revisions, nearestCities, vehicles, analyses] = await Promise.all([
+        eventStore.getRevisions(event.id),
+        this.getNearestCities(event),
+        this.getVehiclesInArea(event, area, user),
+        this.getAnalyses(event, user)
+      ]);
+
+      return {
+        success: true,
+        data: {
+          ...event,
+          revisions: revisions.success ? revisions.data : [],
+          enrichment: {
+            affectedArea: area.geometry ? { type: 'polygon' } : { type: 'radius', radiusKm: area.radiusKm },
+            nearestCities,
+            vehicles,
+            relatedEvents: this.getRelatedEvents(event, liveEvents),
+            analyses
+          }
+        }
+      };
+    } catch (error) {
+      logger.error('Error enriching disaster event:', error);
+      return { success: false, error: error.message };
+    }
+  }
+}
+
+module.exports = new EnrichmentService();
@@ -0,0 +1,305 @@
+const { getFirestore } = require('../config/firebase');
+const { toFirestore, fromFirestore, isEqual, chunk } = require('../utils/firestoreData');
+const logger = require('../utils/logger');
+
+const EVENTS_COLLECTION = 'disaster_events';
+const REVISIONS_COLLECTION = 'revisions';
+
+// Fields managed by the store itself, never part of a revision diff
+const STORE_FIELDS = ['revision', 'status', 'firstSeenAt', 'lastSeenAt', 'createdAt', 'updatedAt', 'resolvedAt'];
+
+// Fields that change on every poll without the event itself changing
+const IGNORED_FIELDS = ['raw', 'time'];
+
+// Readings of events dated by observation (observedTime), such as current
+// weather conditions. They change on every poll while the event's severity,
+// window, geometry and condition stay the same, so they are kept up to date
+// without recording a revision.
+const READING_FIELDS = ['description', 'temperature', 'humidity', 'windSpeed'];
+
+// GeoJSON geometries contain nested arrays, which Firestore cannot store, and
+// raw payloads are arbitrary upstream JSON; both are kept as JSON strings
+const SERIALIZED_FIELDS = ['geometry', 'raw'];
+
+// Persistent store of individual disaster events, one document per event
+class EventStore {
+  constructor() {
+    this._firestore = null;
+  }
+
+  get firestore() {
+    if (!this._firestore) {
+      this._firestore = getFirestore();
+    }
+    return this._firestore;
+  }
+
+  get collection() {
+    return this.firestore.collection(EVENTS_COLLECTION);
+  }
+
+  // Firestore document ids cannot contain slashes
+  docId(eventId) {
+    return String(eventId).replace(/\//g, '_');
+  }
+
+  serialize(event) {
+    const data = toFirestore(event);
+    SERIALIZED_FIELDS.forEach(field => {
+      if (data[field] !== null && data[field] !== undefined) {
+        data[field] = JSON.stringify(data[field]);
+      }
+    });
+    return data;
+  }
+
+  deserialize(data) {
+    const event = fromFirestore(data);
+    SERIALIZED_FIELDS.forEach(field => {
+      if (typeof event[field] === 'string') {
+        try {
+          event[field] = JSON.parse(event[field]);
+        } catch (error) {
+          logger.warn(`Could not parse stored ${field} of event ${event.id}`);
+        }
+      }
+    });
+    return event;
+  }
+
+  // Compare a stored event with a fresh one, field by field, leaving out the
+  // `ignored` fields as well as the ones the store always leaves out
+  diff(stored, incoming, ignored = []) {
+    const changes = {};
+    const fields = new Set([...Object.keys(stored), ...Object.keys(incoming)]);
+
+    fields.forEach(field => {
+      if (STORE_FIELDS.includes(field) || IGNORED_FIELDS.includes(field) || ignored.includes(field)) {
+        return;
+      }
+      if (!isEqual(stored[field], incoming[field])) {
+        changes[field] = {
+          from: stored[field] === undefined ? null : stored[field],
+          to: incoming[field] === undefined ? null : incoming[field]
+        };
+      }
+    });
+
+    return changes;
+  }
+
+  // Keep one event per id; the last occurrence in a poll wins
+  dedupe(events) {
+    const byId = new Map();
+    events.forEach(event => byId.set(event.id, event));
+    return Array.from(byId.values());
+  }
+
+  // Upsert events, recording a revision for every created or changed event.
+  // Returns the created, updated and unchanged events of this poll.
+  // options.status sets the status of newly created events; 'resolved' is
+  // for historical events that no poll will report again, and also leaves the
+  // status of existing events as it is.
+  async upsertEvents(events, { status = 'active' } = {}) {
+    const result = { created: [], updated: [], unchanged: [] };
+    const now = new Date();
+
+    for (const group of chunk(this.dedupe(events), 100)) {
+      const refs = group.map(event => this.collection.doc(this.docId(event.id)));
+      const snapshots = await this.firestore.getAll(...refs);
+      const batch = this.firestore.batch();
+
+      group.forEach((event, index) => {
+        const ref = refs[index];
+        const snapshot = snapshots[index];
+        const incoming = this.serialize(event);
+
+        if (!snapshot.exists) {
+          batch.set(ref, {
+            ...incoming,
+            revision: 1,
+            status,
+            resolvedAt: status === 'resolved' ? now : null,
+            firstSeenAt: now,
+            lastSeenAt: now,
+            createdAt: now,
+            updatedAt: now
+          });
+          batch.set(ref.collection(REVISIONS_COLLECTION).doc('1'), {
+            revision: 1,
+            changeType: 'created',
+            changes: null,
+            timestamp: now
+          });
+          result.created.push(event);
+          return;
+        }
+
+        const stored = snapshot.data();
+
+        // Events dated by observation keep the time they were first seen,
+        // and new readings alone do not make a revision
+        if (event.observedTime && stored.startTime) {
+          incoming.startTime = stored.startTime;
+          incoming.time = stored.time;
+        }
+        const readings = event.observedTime ? READING_FIELDS.filter(field => field in incoming) : [];
+
+        const changes = this.diff(stored, incoming, readings);
+
+        // A resolved event showing up again is active once more
+        const historical = status === 'resolved';
+        if (stored.status === 'resolved' && !historical) {
+          changes.status = { from: 'resolved', to: 'active' };
+        }
+
+        if (Object.keys(changes).length === 0) {
+          batch.update(ref, {
+            ...Object.fromEntries(readings.map(field => [field, incoming[field]])),
+            lastSeenAt: now
+          });
+          result.unchanged.push(event);
+          return;
+        }
+
+        const revision = (stored.revision || 1) + 1;
+        batch.set(ref, {
+          ...incoming,
+          revision,
+          status: historical ? stored.status || 'resolved' : 'active',
+          resolvedAt: historical ? stored.resolvedAt || null : null,
+          firstSeenAt: stored.firstSeenAt || now,
+          lastSeenAt: now,
+          createdAt: stored.createdAt || now,
+          updatedAt: now
+        });
+        batch.set(ref.collection(REVISIONS_COLLECTION).doc(String(revision)), {
+          revision,
+          changeType: 'updated',
+          changes,
+          timestamp: now
+        });
+        result.updated.push({
+          event,
+          previous: this.deserialize(stored),
+          changes: fromFirestore(changes)
+        });
+      });
+
+      await batch.commit();
+    }
+
+    return result;
+  }
+
+  // Resolve active events that have ended or that a provider stopped reporting.
+  // Only providers that succeeded in this poll can resolve their events, so an
+  // upstream outage does not resolve everything it had reported.
+  async resolveMissing({ seenIds, providers }) {
+    const now = new Date();
+    const seen = new Set(seenIds);
+    const snapshot = await this.collection.where('status', '==', 'active').get();
+
+    const ended = snapshot.docs.filter(doc => {
+      const data = doc.data();
+      const endTime = fromFirestore(data.endTime);
+
+      if (endTime && endTime < now) {
+        return true;
+      }
+      return providers.includes(data.source?.provider) && !seen.has(data.id);
+    });
+
+    const resolved = [];
+
+    for (const group of chunk(ended, 200)) {
+      const batch = this.firestore.batch();
+
+      group.forEach(doc => {
+        const data = doc.data();
+        const revision = (data.revision || 1) + 1;
+
+        batch.update(doc.ref, {
+          status: 'resolved',
+          resolvedAt: now,
+          revision,
+          updatedAt: now
+        });
+        batch.set(doc.ref.collection(REVISIONS_COLLECTION).doc(String(revision)), {
+          revision,
+          changeType: 'resolved',
+          changes: { status: { from: 'active', to: 'resolved' } },
+          timestamp: now
+        });
+        resolved.push(this.deserialize({ ...data, status: 'resolved', resolvedAt: now, revision }));
+      });
+
+      await batch.commit();
+    }
+
+    return resolved;
+  }
+
+  // Get stored events that started within a time range, newest first
+  async getEventsInRange({ startTime, endTime = new Date(), type } = {}) {
+    let query = this.collection
+      .where('startTime', '>=', startTime)
+      .where('startTime', '<=', endTime);
+
+    if (type) {
+      query = query.where('type', '==', type);
+    }
+
+    const snapshot = await query.orderBy('startTime', 'desc').get();
+    return snapshot.docs.map(doc => this.deserialize(doc.data()));
+  }
+
+  // Get stored events created, changed or resolved after a time, oldest
+  // change first. Polls that only saw an event again do not count as changes.
+  async getEventsChangedSince(since, { type } = {}) {
+    let query = this.collection.where('updatedAt', '>', since);
+
+    if (type) {
+      query = query.where('type', '==', type);
+    }
+
+    const snapshot = await query.orderBy('updatedAt', 'asc').get();
+    return snapshot.docs.map(doc => this.deserialize(doc.data()));
+  }
+
+  // Get a stored event by id
+  async getEvent(eventId) {
+    try {
+      const doc = await this.collection.doc(this.docId(eventId)).get();
+
+      if (!doc.exists) {
+        return { success: false, error: 'Event not found', notFound: true };
+      }
+
+      return { success: true, data: this.deserialize(doc.data()) };
+    } catch (error) {
+      logger.error('Error getting stored event:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Get the revision timeline of an event, oldest first
+  async getRevisions(eventId) {
+    try {
+      const snapshot = await this.collection.doc(this.docId(eventId))
+        .collection(REVISIONS_COLLECTION)
+        .orderBy('revision', 'asc')
+        .get();
+
+      return {
+        success: true,
+        data: snapshot.docs.map(doc => fromFirestore(doc.data()))
+      };
+    } catch (error) {
+      logger.error('Error getting event revisions:', error);
+      return { success: false, error: error.message };
+    }
+  }
+}
+
+module.exports = new EventStore();
@@ -1,22 +1,47 @@
 const { GoogleGenerativeAI } = require('@google/generative-ai');
 const logger = require('../utils/logger');
+const { withRecording, isReplaying } = require('../utils/recorder');
+
+const MODEL_NAME = 'gemini-1.5-flash';
 
 class GeminiService {
   constructor() {
     this.apiKey = process.env.GEMINI_API_KEY;
     if (!this.apiKey) {
-      logger.warn('GEMINI_API_KEY not found in environment variables');
+      if (!isReplaying()) {
+        logger.warn('GEMINI_API_KEY not found in environment variables');
+      }
       return;
     }
     
     this.genAI = new GoogleGenerativeAI(this.apiKey);
-    this.model = this.genAI.getGenerativeModel({ model: 'gemini-1.5-flash' });
+    this.model = this.genAI.getGenerativeModel({ model: MODEL_NAME });
+  }
+
+  // Whether requests can be answered (with an API key, or from fixtures in replay mode)
+  isAvailable() {
+    return Boolean(this.apiKey) || isReplaying();
+  }
+
+  // Generate text for a prompt, recorded or replayed per operation when
+  // UPSTREAM_MODE is set (see utils/recorder)
+  async generate(operation, prompt) {
+    return withRecording({
+      namespace: 'gemini',
+      group: operation,
+      request: { model: MODEL_NAME, prompt },
+      perform: async () => {
+        const result = await this.model.generateContent(prompt);
+        const response = await result.response;
+        return response.text();
+      }
+    });
   }
 
   // Generate disaster analysis
   async analyzeDisaster(disasterData) {
     try {
-      if (!this.apiKey) {
+      if (!this.isAvailable()) {
         throw new Error('Gemini API key not configured');
       }
 
@@ -39,9 +64,7 @@ class GeminiService {
         Keep the response concise and actionable for emergency responders and the general public.
       `;
 
-      const result = await this.model.generateContent(prompt);
-      const response = await result.response;
-      const text = response.text();
+      const text = await this.generate('analyzeDisaster', prompt);
 
       return {
         success: true,
@@ -60,7 +83,7 @@ class GeminiService {
   // Chat with AI about disasters
   async chatWithAI(message, context = {}) {
     try {
-      if (!this.apiKey) {
+      if (!this.isAvailable()) {
         throw new Error('Gemini API key not configured');
       }
 
@@ -85,9 +108,7 @@ class GeminiService {
 
       const fullPrompt = `${systemPrompt}\n\nUser question: ${message}`;
 
-      const result = await this.model.generateContent(fullPrompt);
-      const response = await result.response;
-      const text = response.text();
+      const text = await this.generate('chatWithAI', fullPrompt);
 
       return {
         success: true,
@@ -106,7 +127,7 @@ class GeminiService {
   // Generate emergency response plan
   async generateEmergencyPlan(disasterType, location, severity) {
     try {
-      if (!this.apiKey) {
+      if (!this.isAvailable()) {
         throw new Error('Gemini API key not configured');
       }
 
@@ -130,9 +151,7 @@ class GeminiService {
         Format the response as a structured emergency response plan suitable for emergency management teams.
       `;
 
-      const result = await this.model.generateContent(prompt);
-      const response = await result.response;
-      const text = response.text();
+      const text = await this.generate('generateEmergencyPlan', prompt);
 
       return {
         success: true,
@@ -154,7 +173,7 @@ class GeminiService {
   // Analyze disaster trends
   async analyzeTrends(disasterData) {
     try {
-      if (!this.apiKey) {
+      if (!this.isAvailable()) {
         throw new Error('Gemini API key not configured');
       }
 
@@ -175,9 +194,7 @@ class GeminiService {
         Focus on actionable insights for disaster preparedness and response planning.
       `;
 
-      const result = await this.model.generateContent(prompt);
-      const response = await result.response;
-      const text = response.text();
+      const text = await this.generate('analyzeTrends', prompt);
 
       return {
         success: true,
@@ -196,7 +213,7 @@ class GeminiService {
   // Generate safety recommendations
   async generateSafetyRecommendations(disasterType, userLocation) {
     try {
-      if (!this.apiKey) {
+      if (!this.isAvailable()) {
         throw new Error('Gemini API key not configured');
       }
 
@@ -219,9 +236,7 @@ class GeminiService {
         Make the recommendations specific to the user's location and the disaster type.
       `;
 
-      const result = await this.model.generateContent(prompt);
-      const response = await result.response;
-      const text = response.text();
+      const text = await this.generate('generateSafetyRecommendations', prompt);
 
       return {
         success: true,
@@ -242,7 +257,7 @@ class GeminiService {
   // Enhance V2V message with AI
   async enhanceV2VMessage(originalMessage, context = {}) {
     try {
-      if (!this.apiKey) {
+      if (!this.isAvailable()) {
         throw new Error('Gemini API key not configured');
       }
 
@@ -277,9 +292,7 @@ class GeminiService {
         Keep the enhanced message concise (under 200 characters) and professional.
       `;
 
-      const result = await this.model.generateContent(prompt);
-      const response = await result.response;
-      const text = response.text();
+      const text = await this.generate('enhanceV2VMessage', prompt);
 
       // Try to parse JSON response
       try {
@@ -321,7 +334,7 @@ class GeminiService {
   // Generate AI response for V2V conversation
   async generateV2VResponse(originalMessage, context = {}) {
     try {
-      if (!this.apiKey) {
+      if (!this.isAvailable()) {
         throw new Error('Gemini API key not configured');
       }
 
@@ -345,9 +358,7 @@ class GeminiService {
         Keep the response under 150 characters and professional.
       `;
 
-      const result = await this.model.generateContent(prompt);
-      const response = await result.response;
-      const text = response.text();
+      const text = await this.generate('generateV2VResponse', prompt);
 
       return {
         success: true,
@@ -0,0 +1,122 @@
+const { getFirestore } = require('../config/firebase');
+const disasterService = require('./disasterService');
+const eventStore = require('./eventStore');
+const locationService = require('./locationService');
+const { IPE_MODEL, estimateImpact } = require('../utils/intensity');
+const { fromFirestore } = require('../utils/firestoreData');
+const { vehicleStatus } = require('../utils/vehicleStatus');
+const logger = require('../utils/logger');
+
+// Estimated shaking of an earthquake at monitored cities, registered vehicles
+// and the locations users saved in their profile. Cities are public and also
+// stored on the event; vehicles and saved locations are private, so they are
+// estimated on request and only returned to their owner (or to admins).
+class ImpactService {
+  constructor() {
+    this._firestore = null;
+  }
+
+  get firestore() {
+    if (!this._firestore) {
+      this._firestore = getFirestore();
+    }
+    return this._firestore;
+  }
+
+  // Find an earthquake among the live events, then in the event store
+  async findEarthquake(eventId) {
+    const live = await disasterService.getProviderEvents('earthquake');
+    const event = live.success ? live.data.find(earthquake => earthquake.id === eventId) : null;
+    if (event) {
+      return { success: true, data: event };
+    }
+    return eventStore.getEvent(eventId);
+  }
+
+  // Vehicles of a user, or every vehicle for admins. With currentOnly, only
+  // the ones that reported recently enough not to count as inactive.
+  async getVehicles(user, { currentOnly = false } = {}) {
+    const query = user.admin === true
+      ? this.firestore.collection('vehicles')
+      : this.firestore.collection('vehicles').where('userId', '==', user.uid);
+    const snapshot = await query.get();
+
+    return snapshot.docs
+      .map(doc => ({ id: doc.id, ...fromFirestore(doc.data()) }))
+      .filter(vehicle => vehicle.location)
+      .filter(vehicle => !currentOnly || vehicleStatus(vehicle.lastSeen) !== 'inactive')
+      .map(vehicle => ({
+        vehicleId: vehicle.id,
+        userId: vehicle.userId,
+        make: vehicle.make,
+        model: vehicle.model,
+        latitude: Number(vehicle.location.latitude),
+        longitude: Number(vehicle.location.longitude)
+      }));
+  }
+
+  // Saved locations of a user, or of every user for admins
+  async getSavedLocations(user) {
+    const docs = user.admin === true
+      ? (await this.firestore.collection('users').get()).docs
+      : [await this.firestore.collection('users').doc(user.uid).get()].filter(doc => doc.exists);
+
+    return docs.flatMap(doc => (doc.data().savedLocations || []).map(location => ({
+      userId: doc.id,
+      name: location.name,
+      latitude: location.latitude,
+      longitude: location.longitude
+    })));
+  }
+
+  // Get the estimated impact of an earthquake. Without a user only the
+  // monitored cities are estimated.
+  async getImpact(eventId, user = null) {
+    try {
+      const result = await this.findEarthquake(eventId);
+
+      if (!result.success) {
+        return result;
+      }
+
+      const earthquake = result.data;
+      if (earthquake.type !== 'earthquake' || !Number.isFinite(earthquake.magnitude)) {
+        return { success: false, invalid: true, error: 'Impact estimates are only available for earthquakes' };
+      }
+
+      const [cities, vehicles, savedLocations] = await Promise.all([
+        locationService.getLocations(),
+        user ? this.getVehicles(user) : [],
+        user ? this.getSavedLocations(user) : []
+      ]);
+
+      const impact = {
+        cities: estimateImpact(earthquake, cities.map(({ id, name, country, latitude, longitude }) =>
+          ({ id, name, country, latitude, longitude }))),
+        vehicles: estimateImpact(earthquake, vehicles),
+        savedLocations: estimateImpact(earthquake, savedLocations)
+      };
+      const estimates = [...impact.cities, ...impact.vehicles, ...impact.savedLocations];
+
+      return {
+        success: true,
+        data: {
+          eventId: earthquake.id,
+          title: earthquake.title,
+          magnitude: earthquake.magnitude,
+          depth: earthquake.coordinates.depth ?? null,
+          time: earthquake.startTime,
+          model: IPE_MODEL,
+          epicentralMmi: earthquake.intensity?.epicentralMmi ?? null,
+          maxMmi: estimates.length > 0 ? Math.max(...estimates.map(place => place.mmi)) : null,
+          ...impact
+        }
+      };
+    } catch (error) {
+      logger.error('Error estimating earthquake impact:', error);
+      return { success: false, error: error.message };
+    }
+  }
+}
+
+module.exports = new ImpactService();
@@ -0,0 +1,252 @@
+const crypto = require('crypto');
+const { getFirestore } = require('../config/firebase');
+const { DEFAULT_LOCATIONS, DEFAULT_REGIONS, DEFAULT_RAINFALL_THRESHOLDS } = require('../config/monitoredLocations');
+const TtlCache = require('../utils/ttlCache');
+const { toFirestore, fromFirestore } = require('../utils/firestoreData');
+const { bboxToPolygon, geometryBbox, pointInBbox, pointInGeometry } = require('../utils/geo');
+const logger = require('../utils/logger');
+
+const LOCATIONS_COLLECTION = 'monitored_locations';
+const REGIONS_COLLECTION = 'regions';
+
+// Id from a name. Names without Latin letters or digits (e.g. Алматы) get a
+// hash of the name instead of an empty id.
+const slugify = (value) => String(value).toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '') ||
+  crypto.createHash('sha1').update(String(value)).digest('hex').slice(0, 12);
+
+// Firestore-backed registry of monitored locations (points) and named regions
+// (bboxes or polygons). Providers read their monitoring targets from here.
+// The registry is cached in memory and seeded with the defaults from
+// config/monitoredLocations when both collections are empty. When it cannot be
+// loaded at all (Firebase not initialized, as in offline record/replay runs,
+// or unreachable with no earlier copy cached), the defaults are used directly.
+class LocationService {
+  constructor() {
+    this._firestore = null;
+    this.cache = new TtlCache({ name: 'location registry', ttl: 5 * 60 * 1000, staleTtl: 60 * 60 * 1000 });
+    this.usingDefaults = false;
+  }
+
+  get firestore() {
+    if (!this._firestore) {
+      this._firestore = getFirestore();
+    }
+    return this._firestore;
+  }
+
+  // Region geometries contain nested arrays, which Firestore cannot store
+  serializeRegion(region) {
+    return toFirestore({ ...region, geometry: JSON.stringify(region.geometry) });
+  }
+
+  deserializeRegion(data) {
+    const region = fromFirestore(data);
+    return { ...region, geometry: JSON.parse(region.geometry) };
+  }
+
+  // Build a region record from a bbox or a GeoJSON polygon
+  buildRegion({ id, name, bbox, geometry }) {
+    const regionGeometry = geometry || bboxToPolygon(bbox);
+    return {
+      id: id || slugify(name),
+      name,
+      geometry: regionGeometry,
+      bbox: geometryBbox(regionGeometry)
+    };
+  }
+
+  buildLocation({ id, name, latitude, longitude, country = null, active = true, coastal = false, rainfallThresholds = null }) {
+    return {
+      id: id || slugify(name),
+      name,
+      latitude,
+      longitude,
+      country,
+      active,
+      coastal,
+      rainfallThresholds
+    };
+  }
+
+  // Rainfall thresholds of a location, falling back to the defaults per hazard
+  getRainfallThresholds(location) {
+    const overrides = location.rainfallThresholds || {};
+    return Object.fromEntries(Object.entries(DEFAULT_RAINFALL_THRESHOLDS).map(([hazard, defaults]) => [
+      hazard,
+      overrides[hazard] === null ? null : { ...defaults, ...overrides[hazard] }
+    ]));
+  }
+
+  // Write the default locations and regions
+  async seedDefaults() {
+    const now = new Date();
+    const batch = this.firestore.batch();
+
+    DEFAULT_REGIONS.forEach(definition => {
+      const region = this.buildRegion(definition);
+      batch.set(this.firestore.collection(REGIONS_COLLECTION).doc(region.id),
+        this.serializeRegion({ ...region, createdAt: now, updatedAt: now }));
+    });
+    DEFAULT_LOCATIONS.forEach(definition => {
+      const location = this.buildLocation(definition);
+      batch.set(this.firestore.collection(LOCATIONS_COLLECTION).doc(location.id),
+        toFirestore({ ...location, createdAt: now, updatedAt: now }));
+    });
+
+    await batch.commit();
+    logger.info(`Seeded ${DEFAULT_REGIONS.length} regions and ${DEFAULT_LOCATIONS.length} monitored locations`);
+  }
+
+  // Load the whole registry from Firestore
+  async loadRegistry() {
+    let [regions, locations] = await Promise.all([
+      this.firestore.collection(REGIONS_COLLECTION).get(),
+      this.firestore.collection(LOCATIONS_COLLECTION).get()
+    ]);
+
+    if (regions.empty && locations.empty) {
+      await this.seedDefaults();
+      [regions, locations] = await Promise.all([
+        this.firestore.collection(REGIONS_COLLECTION).get(),
+        this.firestore.collection(LOCATIONS_COLLECTION).get()
+      ]);
+    }
+
+    return {
+      regions: regions.docs.map(doc => this.deserializeRegion(doc.data())),
+      locations: locations.docs.map(doc => fromFirestore(doc.data()))
+    };
+  }
+
+  // Registry of the default locations and regions, without Firestore
+  defaultRegistry() {
+    return {
+      regions: DEFAULT_REGIONS.map(definition => this.buildRegion(definition)),
+      locations: DEFAULT_LOCATIONS.map(definition => this.buildLocation(definition))
+    };
+  }
+
+  async getRegistry() {
+    try {
+      const { value } = await this.cache.get('registry', () => this.loadRegistry());
+      this.usingDefaults = false;
+      return value;
+    } catch (error) {
+      if (!this.usingDefaults) {
+        logger.warn(`Location registry unavailable (${error.message}), using the default locations and regions`);
+        this.usingDefaults = true;
+      }
+      return this.defaultRegistry();
+    }
+  }
+
+  // Get all registered regions
+  async getRegions() {
+    const { regions } = await this.getRegistry();
+    return regions;
+  }
+
+  // Get a registered region by id, or null
+  async getRegion(regionId) {
+    const regions = await this.getRegions();
+    return regions.find(region => region.id === regionId) || null;
+  }
+
+  // Check whether a point lies inside a region
+  contains(region, latitude, longitude) {
+    return pointInBbox(longitude, latitude, region.bbox) &&
+      pointInGeometry(longitude, latitude, region.geometry);
+  }
+
+  // Get monitored locations, optionally only the active ones inside a region
+  async getLocations({ region: regionId, includeInactive = false } = {}) {
+    const { locations } = await this.getRegistry();
+    let result = includeInactive ? locations : locations.filter(location => location.active !== false);
+
+    if (regionId) {
+      const region = await this.getRegion(regionId);
+      if (!region) {
+        throw new Error(`Unknown region '${regionId}'`);
+      }
+      result = result.filter(location => this.contains(region, location.latitude, location.longitude));
+    }
+
+    return result;
+  }
+
+  // Get a monitored location by id, or null
+  async getLocation(locationId) {
+    const { locations } = await this.getRegistry();
+    return locations.find(location => location.id === locationId) || null;
+  }
+
+  // Create or replace a location. With replace: false an existing location
+  // is left alone and { conflict: true } returned. Registry changes reach
+  // providers on their next refresh.
+  async saveLocation(definition, { replace = true } = {}) {
+    const location = this.buildLocation(definition);
+    const ref = this.firestore.collection(LOCATIONS_COLLECTION).doc(location.id);
+    const existing = await ref.get();
+    const now = new Date();
+
+    if (existing.exists && !replace) {
+      return { conflict: true, data: location };
+    }
+
+    const data = {
+      ...location,
+      createdAt: existing.exists ? fromFirestore(existing.data().createdAt) : now,
+      updatedAt: now
+    };
+    await ref.set(toFirestore(data));
+    this.cache.clear();
+
+    return { data, created: !existing.exists };
+  }
+
+  async deleteLocation(locationId) {
+    const ref = this.firestore.collection(LOCATIONS_COLLECTION).doc(locationId);
+    const existing = await ref.get();
+    if (!existing.exists) {
+      return false;
+    }
+    await ref.delete();
+    this.cache.clear();
+    return true;
+  }
+
+  // Create or replace a region, like saveLocation
+  async saveRegion(definition, { replace = true } = {}) {
+    const region = this.buildRegion(definition);
+    const ref = this.firestore.collection(REGIONS_COLLECTION).doc(region.id);
+    const existing = await ref.get();
+    const now = new Date();
+
+    if (existing.exists && !replace) {
+      return { conflict: true, data: region };
+    }
+
+    const data = {
+      ...region,
+      createdAt: existing.exists ? fromFirestore(existing.data().createdAt) : now,
+      updatedAt: now
+    };
+    await ref.set(this.serializeRegion(data));
+    this.cache.clear();
+
+    return { data, created: !existing.exists };
+  }
+
+  async deleteRegion(regionId) {
+    const ref = this.firestore.collection(REGIONS_COLLECTION).doc(regionId);
+    const existing = await ref.get();
+    if (!existing.exists) {
+      return false;
+    }
+    await ref.delete();
+    this.cache.clear();
+    return true;
+  }
+}
+
+module.exports = new LocationService();
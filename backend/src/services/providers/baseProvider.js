@@ -0,0 +1,300 @@
+const TtlCache = require('../../utils/ttlCache');
+const UpstreamClient = require('../../utils/upstreamClient');
+const RequestBudget = require('../../utils/requestBudget');
+const locationService = require('../locationService');
+const quarantineService = require('../quarantineService');
+const { isEvent } = require('../../utils/eventSchema');
+const { checkRecord } = require('../../utils/recordSchema');
+const logger = require('../../utils/logger');
+
+// Base class for disaster data providers.
+//
+// A provider fetches raw data from one upstream source and normalizes it into
+// canonical disaster events (see utils/eventSchema). Subclasses implement
+// fetch() and normalizeRecord(); the base class takes care of splitting raw
+// payloads into records, tracking health and wrapping results in the
+// { success, data } shape used across the services. Results are cached per
+// provider with a TTL and stale-while-revalidate (see utils/ttlCache), and
+// fetch() implementations make their requests through this.http, which adds
+// timeouts, retries and a circuit breaker (see utils/upstreamClient).
+// Raw records that do not match the provider's recordSchema (see
+// utils/recordSchema), or that its normalizer fails on, are skipped and
+// quarantined (see services/quarantineService) while the others flow on.
+// Providers with a region (options.region or the configured default) only
+// return events inside that registered region (see services/locationService).
+//
+// The update job polls each provider on its own schedule, every pollInterval.
+// Upstream requests count against the provider's request budget
+// (options.minuteBudget and options.dailyBudget, see utils/requestBudget);
+// when polling every pollInterval would use up the daily quota, polls are
+// spaced out until it resets.
+class BaseProvider {
+  constructor(name, options = {}) {
+    this.name = name;
+    this.types = options.types || [name];
+    this.pollInterval = options.pollInterval || 5 * 60 * 1000;
+    this.enabled = options.enabled !== false;
+    this.region = options.region || null;
+    this.options = options;
+    // Shape of the raw records normalizeRecord() expects, null to skip validation
+    this.recordSchema = null;
+    this.cache = new TtlCache({
+      name: `${name} provider`,
+      ttl: options.cacheTtl !== undefined ? options.cacheTtl : 60 * 1000,
+      staleTtl: options.staleTtl !== undefined ? options.staleTtl : 5 * 60 * 1000
+    });
+    this.budget = new RequestBudget({
+      name: `${name} provider`,
+      perMinute: options.minuteBudget ?? null,
+      perDay: options.dailyBudget ?? null
+    });
+    this.http = new UpstreamClient({
+      name: `${name} provider`,
+      timeout: options.timeout || 10000,
+      retries: options.retries !== undefined ? options.retries : 2,
+      headers: options.headers,
+      budget: this.budget
+    });
+    this.schedule = {
+      interval: this.pollInterval,
+      lastPollAt: null,
+      nextPollAt: null,
+      requestsPerPoll: 0,
+      slowedDown: false
+    };
+    this.health = {
+      status: 'unknown',
+      lastSuccess: null,
+      lastError: null,
+      lastErrorAt: null,
+      lastDuration: null,
+      lastCount: 0,
+      consecutiveFailures: 0,
+      quarantined: 0
+    };
+  }
+
+  // Fetch the raw upstream payload
+  async fetch(_options) {
+    throw new Error(`Provider ${this.name} does not implement fetch()`);
+  }
+
+  // Split a raw payload into individual records
+  extractRecords(raw) {
+    return Array.isArray(raw) ? raw : [];
+  }
+
+  // Convert a single raw record into a canonical event (or null to skip it)
+  normalizeRecord(_record, _options) {
+    throw new Error(`Provider ${this.name} does not implement normalizeRecord()`);
+  }
+
+  // Post-process the normalized events of one fetch
+  finalize(events, _options) {
+    return events;
+  }
+
+  // Problems with a raw record, empty when it can be normalized
+  validateRecord(record) {
+    return this.recordSchema ? checkRecord(record, this.recordSchema) : [];
+  }
+
+  // Upstream payload of a record, stored when it is quarantined
+  recordPayload(record) {
+    return record;
+  }
+
+  // Normalize a raw payload into events, quarantining malformed records
+  normalize(raw, options = {}) {
+    const rejected = [];
+    const events = this.extractRecords(raw, options)
+      .map(record => {
+        const problems = this.validateRecord(record);
+        if (problems.length > 0) {
+          rejected.push({ record, problems });
+          return null;
+        }
+        try {
+          return this.normalizeRecord(record, options);
+        } catch (error) {
+          rejected.push({ record, problems: [error.message] });
+          return null;
+        }
+      })
+      .filter(Boolean);
+
+    events.forEach(event => {
+      if (!isEvent(event)) {
+        throw new Error(`Provider ${this.name} emitted an event outside the canonical schema`);
+      }
+    });
+
+    if (rejected.length > 0) {
+      this.quarantine(rejected);
+    }
+    return this.finalize(events, options);
+  }
+
+  // Record rejected records in the quarantine without holding up the events
+  quarantine(rejected) {
+    logger.warn(`${this.name} provider skipped ${rejected.length} malformed record(s): ${rejected[0].problems.join(', ')}`);
+    this.health.quarantined += rejected.length;
+    quarantineService.quarantine(this.name, rejected.map(({ record, problems }) => ({
+      payload: this.recordPayload(record),
+      problems
+    })));
+  }
+
+  // Cache key for a set of fetch options. Providers whose results depend on
+  // more than the region override this.
+  cacheKey(options = {}) {
+    return options.region || this.region || 'default';
+  }
+
+  // Look up the registered region to monitor, or null to monitor everywhere
+  async resolveRegion(options = {}) {
+    const regionId = options.region || this.region;
+    if (!regionId) {
+      return null;
+    }
+
+    const region = await locationService.getRegion(regionId);
+    if (!region) {
+      throw new Error(`Unknown region '${regionId}'`);
+    }
+    return region;
+  }
+
+  // Keep the events located inside a region
+  inArea(events, area) {
+    if (!area) {
+      return events;
+    }
+    return events.filter(event =>
+      locationService.contains(area, event.coordinates.latitude, event.coordinates.longitude));
+  }
+
+  // Fetch and normalize events, recording provider health. fetch() receives
+  // the resolved region as options.area.
+  async load(options = {}) {
+    const area = await this.resolveRegion(options);
+    const startedAt = Date.now();
+    const requestsBefore = this.budget.total;
+
+    try {
+      const raw = await this.fetch({ ...options, area });
+      const data = this.inArea(this.normalize(raw, options), area);
+
+      this.markSuccess(data.length, Date.now() - startedAt);
+      this.schedule.requestsPerPoll = this.budget.total - requestsBefore;
+      return data;
+    } catch (error) {
+      // A fast-failing open circuit or exhausted budget says nothing new
+      // about the upstream
+      if (!['CIRCUIT_OPEN', 'BUDGET_EXHAUSTED'].includes(error.code)) {
+        this.markFailure(error, Date.now() - startedAt);
+      }
+      throw error;
+    }
+  }
+
+  // Check whether a scheduled poll is due and the budget can cover the
+  // requests of the last successful one
+  isDue(now = Date.now()) {
+    const { nextPollAt, requestsPerPoll } = this.schedule;
+    return (!nextPollAt || now >= nextPollAt.getTime()) &&
+      this.budget.allows(Math.max(requestsPerPoll, 1), now);
+  }
+
+  // Schedule the next poll after one that started at `now`, spacing polls
+  // out when the budget is running low
+  scheduleNextPoll(now = Date.now()) {
+    const interval = this.budget.pacedInterval(this.pollInterval, this.schedule.requestsPerPoll, now);
+    const slowedDown = interval > this.pollInterval;
+
+    if (slowedDown && !this.schedule.slowedDown) {
+      logger.warn(`${this.name} provider request budget is running low, polling every ${Math.round(interval / 1000)}s`);
+    } else if (!slowedDown && this.schedule.slowedDown) {
+      logger.info(`${this.name} provider back to polling every ${Math.round(interval / 1000)}s`);
+    }
+
+    this.schedule = {
+      ...this.schedule,
+      interval,
+      lastPollAt: new Date(now),
+      nextPollAt: new Date(now + interval),
+      slowedDown
+    };
+    return this.schedule;
+  }
+
+  // Get events, served from the cache when fresh enough unless
+  // options.forceRefresh is set
+  async getEvents(options = {}) {
+    try {
+      const { value, stale, storedAt } = await this.cache.get(
+        this.cacheKey(options),
+        () => this.load(options),
+        { force: Boolean(options.forceRefresh) }
+      );
+
+      return {
+        success: true,
+        provider: this.name,
+        data: value,
+        stale,
+        lastUpdated: storedAt
+      };
+    } catch (error) {
+      logger.error(`Error fetching ${this.name} data:`, error);
+
+      return {
+        success: false,
+        provider: this.name,
+        error: error.message
+      };
+    }
+  }
+
+  markSuccess(count, duration) {
+    this.health = {
+      ...this.health,
+      status: 'healthy',
+      lastSuccess: new Date(),
+      lastDuration: duration,
+      lastCount: count,
+      consecutiveFailures: 0
+    };
+  }
+
+  markFailure(error, duration) {
+    const consecutiveFailures = this.health.consecutiveFailures + 1;
+    this.health = {
+      ...this.health,
+      status: consecutiveFailures >= 3 ? 'down' : 'degraded',
+      lastError: error.message,
+      lastErrorAt: new Date(),
+      lastDuration: duration,
+      consecutiveFailures
+    };
+  }
+
+  // Get provider description and health
+  getHealth() {
+    return {
+      name: this.name,
+      types: this.types,
+      enabled: this.enabled,
+      region: this.region,
+      pollInterval: this.pollInterval,
+      cacheTtl: this.cache.ttl,
+      staleTtl: this.cache.staleTtl,
+      ...this.health,
+      latency: this.health.lastDuration,
+      schedule: this.schedule,
+      upstream: this.http.getState()
+    };
+  }
+}
+
+module.exports = BaseProvider;
@@ -0,0 +1,191 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const BaseProvider = require('./baseProvider');
+const { createEvent } = require('../../utils/eventSchema');
+const { capSeverity } = require('../../utils/severity');
+const { CAP_TYPES, parseCapDocument, readAlert, areaGeometry, capEventType, latestRevisions } = require('../../utils/cap');
+const { geometryCenter } = require('../../utils/geo');
+const logger = require('../../utils/logger');
+
+// Header fields every alert needs, checked on the alert as read by readAlert
+const RECORD_SCHEMA = {
+  'cap.identifier': 'string',
+  'cap.sender': 'string',
+  'cap.sent': 'timestamp',
+  'cap.status': 'string',
+  'cap.msgType': 'string'
+};
+
+const isUrl = (location) => /^https?:\/\//i.test(location);
+
+// Resolve a link from a feed index against the feed's URL or file path. Only
+// local feeds may link to local files: links of a feed fetched over the
+// network must resolve to http(s) URLs, or null is returned.
+const resolveLink = (link, feed) => {
+  if (isUrl(feed)) {
+    const resolved = new URL(link, feed).href;
+    return isUrl(resolved) ? resolved : null;
+  }
+  if (isUrl(link) || !feed) {
+    return link;
+  }
+  return path.resolve(path.dirname(feed), link);
+};
+
+// Stable key of an alert (or of a reference to one)
+const alertKey = ({ sender, identifier }) =>
+  crypto.createHash('sha1').update(`${sender}|${identifier}`).digest('hex').slice(0, 16);
+
+// Pick the English info block when an alert carries several languages
+const pickInfo = (infos) => infos.find(info => /^en/i.test(info.language)) || infos[0] || null;
+
+// Alerts from CAP 1.2 feeds published by meteorological and disaster agencies.
+// Each configured feed is a URL or a local file holding a single alert or an
+// Atom/RSS index of alerts. Updates share the id of the alert they replace, so
+// an alert keeps its lifecycle across revisions; cancelled and expired alerts
+// drop out of the results, and the update job then resolves them.
+class CapProvider extends BaseProvider {
+  constructor(options = {}) {
+    super('cap', { types: CAP_TYPES, ...options });
+    this.feeds = options.feeds || (process.env.CAP_FEEDS || '')
+      .split(',')
+      .map(feed => feed.trim())
+      .filter(Boolean);
+    this.maxAlerts = options.maxAlerts || 100;
+    this.recordSchema = RECORD_SCHEMA;
+
+    // Nothing to poll until a feed is configured
+    if (this.feeds.length === 0) {
+      this.enabled = false;
+    }
+  }
+
+  // Read a CAP document from a URL or a local file
+  async read(location) {
+    if (isUrl(location)) {
+      const response = await this.http.get(location, {
+        responseType: 'text',
+        headers: { Accept: 'application/cap+xml, application/atom+xml, application/rss+xml, application/xml' }
+      });
+      return response.data;
+    }
+    return fs.readFile(location.replace(/^file:\/\//, ''), 'utf8');
+  }
+
+  // Read one feed and the alerts its index links to
+  async readFeed(feed) {
+    const { alerts, links } = parseCapDocument(await this.read(feed));
+    const records = alerts.map(alert => ({ alert, feed }));
+
+    for (const link of links.slice(0, Math.max(0, this.maxAlerts - alerts.length))) {
+      try {
+        const location = resolveLink(link, feed);
+        if (!location) {
+          throw new Error('links of remote feeds must be http(s) URLs');
+        }
+        const linked = parseCapDocument(await this.read(location));
+        linked.alerts.forEach(alert => records.push({ alert, feed }));
+      } catch (error) {
+        logger.warn(`CAP alert ${link} from ${feed} could not be read: ${error.message}`);
+      }
+    }
+
+    return records;
+  }
+
+  async fetch() {
+    const records = [];
+    let lastError = null;
+    let failures = 0;
+
+    for (const feed of this.feeds) {
+      try {
+        records.push(...await this.readFeed(feed));
+      } catch (error) {
+        failures++;
+        lastError = error;
+        logger.warn(`CAP feed ${feed} could not be read: ${error.message}`);
+      }
+    }
+
+    // Only treat the poll as failed when no feed could be read
+    if (failures === this.feeds.length && lastError) {
+      throw lastError;
+    }
+
+    return records;
+  }
+
+  // Read each alert, dropping the ones withdrawn by a Cancel in the same poll
+  extractRecords(raw) {
+    const records = (raw || []).map(({ alert, feed }) => ({ alert, feed, cap: readAlert(alert) }));
+    const cancelled = new Set();
+    records
+      .filter(({ cap }) => cap.msgType === 'Cancel')
+      .forEach(({ cap }) => cap.references.forEach(reference => cancelled.add(alertKey(reference))));
+
+    return records.filter(({ cap }) =>
+      !cancelled.has(alertKey(cap)) && !cap.references.some(reference => cancelled.has(alertKey(reference))));
+  }
+
+  recordPayload({ alert }) {
+    return alert;
+  }
+
+  normalizeRecord({ alert, feed, cap }, options = {}) {
+    const info = pickInfo(cap.info);
+
+    if (cap.status !== 'Actual' || cap.msgType === 'Cancel' || !info) {
+      return null;
+    }
+    if (info.expires && new Date(info.expires) < new Date() && !options.includeExpired) {
+      return null;
+    }
+
+    const geometry = areaGeometry(info.areas);
+    if (!geometry) {
+      logger.debug(`CAP alert ${cap.identifier} has no polygon or circle, skipping`);
+      return null;
+    }
+    const { latitude, longitude } = geometryCenter(geometry);
+
+    // Updates take the id of the first alert they reference
+    const origin = cap.msgType === 'Update' && cap.references.length > 0 ? cap.references[0] : cap;
+
+    return createEvent({
+      id: `cap_${alertKey(origin)}`,
+      type: capEventType(info),
+      severity: capSeverity(info),
+      title: info.headline || info.event,
+      description: info.description,
+      startTime: info.onset || info.effective || cap.sent,
+      endTime: info.expires,
+      latitude,
+      longitude,
+      geometry,
+      event: info.event,
+      categories: info.categories,
+      urgency: info.urgency,
+      certainty: info.certainty,
+      capSeverity: info.severity,
+      official: true,
+      instruction: info.instruction,
+      areaDesc: info.areas.map(area => area.areaDesc).filter(Boolean).join('; '),
+      senderName: info.senderName,
+      identifier: cap.identifier,
+      sender: cap.sender,
+      sent: cap.sent,
+      msgType: cap.msgType,
+      source: { provider: this.name, name: info.senderName || cap.sender, url: info.web || (isUrl(feed) ? feed : null) },
+      raw: alert
+    });
+  }
+
+  // An index may list an alert and its updates; keep the latest revision
+  finalize(events) {
+    return latestRevisions(events);
+  }
+}
+
+module.exports = CapProvider;
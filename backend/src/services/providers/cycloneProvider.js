@@ -0,0 +1,150 @@
+const fs = require('fs').promises;
+const BaseProvider = require('./baseProvider');
+const { createEvent } = require('../../utils/eventSchema');
+const { cycloneSeverity } = require('../../utils/severity');
+const { classifyCyclone, forecastCone } = require('../../utils/cyclone');
+const logger = require('../../utils/logger');
+
+const isUrl = (location) => /^https?:\/\//i.test(location);
+
+const toNumber = (value) => (value === null || value === undefined || value === '' ? null : Number(value));
+
+// Read one track or forecast position
+const readPosition = (position) => ({
+  latitude: toNumber(position.latitude),
+  longitude: toNumber(position.longitude),
+  maxWind: toNumber(position.maxWind),
+  pressure: toNumber(position.pressure)
+});
+
+const hasPosition = ({ latitude, longitude }) => Number.isFinite(latitude) && Number.isFinite(longitude);
+
+// Fields of a storm entry the normalizer relies on
+const RECORD_SCHEMA = {
+  id: 'id',
+  advisories: 'array'
+};
+
+// Tropical cyclones (typhoons, hurricanes) from a storm advisory feed.
+//
+// The feed is a JSON document at a URL or in a local file (CYCLONE_FEED) with
+// one entry per storm and its advisories, oldest first:
+//
+//   { "storms": [{ "id", "name", "basin", "status", "advisories": [{
+//       "time", "latitude", "longitude", "maxWind", "pressure",
+//       "movement": { "direction", "speed" },
+//       "forecast": [{ "hours", "latitude", "longitude", "maxWind" }] }] }] }
+//
+// Winds are 1-minute sustained speeds in knots, pressure in hPa and forecast
+// positions are hours after the advisory. Each storm becomes one event at its
+// latest position, with the observed track and the uncertainty cone of the
+// latest forecast (see utils/cyclone) as its geometry. Dissipated storms drop
+// out of the results, so the update job resolves them, unless includeExpired
+// is set.
+class CycloneProvider extends BaseProvider {
+  constructor(options = {}) {
+    super('cyclone', options);
+    this.feed = options.feed || process.env.CYCLONE_FEED || null;
+    this.recordSchema = RECORD_SCHEMA;
+
+    // Nothing to poll until a feed is configured
+    if (!this.feed) {
+      this.enabled = false;
+    }
+  }
+
+  async fetch() {
+    if (isUrl(this.feed)) {
+      const response = await this.http.get(this.feed);
+      return response.data;
+    }
+    return JSON.parse(await fs.readFile(this.feed.replace(/^file:\/\//, ''), 'utf8'));
+  }
+
+  extractRecords(raw) {
+    return Array.isArray(raw?.storms) ? raw.storms : [];
+  }
+
+  normalizeRecord(storm, options = {}) {
+    const advisories = (storm.advisories || [])
+      .map(advisory => ({
+        ...advisory,
+        ...readPosition(advisory),
+        time: new Date(advisory.time)
+      }))
+      .filter(advisory => hasPosition(advisory) && !Number.isNaN(advisory.time.getTime()))
+      .sort((a, b) => a.time - b.time);
+
+    if (!storm.id || advisories.length === 0) {
+      logger.debug(`Cyclone ${storm.id || storm.name} has no usable advisory, skipping`);
+      return null;
+    }
+
+    const latest = advisories[advisories.length - 1];
+    const basin = String(storm.basin || '').toUpperCase() || null;
+    const dissipated = String(storm.status || '').toLowerCase() === 'dissipated';
+    if (dissipated && !options.includeExpired) {
+      logger.debug(`Cyclone ${storm.id} has dissipated, skipping`);
+      return null;
+    }
+    const classification = classifyCyclone(latest.maxWind, basin);
+
+    const track = advisories.map(advisory => ({
+      time: advisory.time,
+      latitude: advisory.latitude,
+      longitude: advisory.longitude,
+      maxWind: advisory.maxWind,
+      pressure: advisory.pressure,
+      classification: classifyCyclone(advisory.maxWind, basin)
+    }));
+
+    // Dissipated storms keep their track but have no forecast
+    const forecast = dissipated ? [] : (latest.forecast || [])
+      .map(position => ({ hours: toNumber(position.hours), ...readPosition(position) }))
+      .filter(position => hasPosition(position) && position.hours > 0)
+      .sort((a, b) => a.hours - b.hours)
+      .map(position => ({
+        ...position,
+        time: new Date(latest.time.getTime() + position.hours * 60 * 60 * 1000)
+      }));
+
+    const cone = forecastCone([{ ...latest, hours: 0 }, ...forecast]);
+    const name = storm.name ? `${classification} ${storm.name}` : classification;
+    const peakWind = Math.max(latest.maxWind || 0, ...forecast.map(position => position.maxWind || 0));
+
+    return createEvent({
+      id: `cyclone_${storm.id}`,
+      type: 'cyclone',
+      // Rate the storm by the strongest wind expected along its forecast
+      severity: cycloneSeverity(peakWind),
+      title: dissipated ? `${name} (dissipated)` : name,
+      description: [
+        Number.isFinite(latest.maxWind) ? `Maximum sustained winds ${latest.maxWind} kt` : null,
+        Number.isFinite(latest.pressure) ? `central pressure ${latest.pressure} hPa` : null,
+        latest.movement?.direction ? `moving ${latest.movement.direction} at ${latest.movement.speed} kt` : null
+      ].filter(Boolean).join(', '),
+      startTime: advisories[0].time,
+      endTime: dissipated ? latest.time : null,
+      latitude: latest.latitude,
+      longitude: latest.longitude,
+      geometry: cone || (track.length > 1
+        ? { type: 'LineString', coordinates: track.map(point => [point.longitude, point.latitude]) }
+        : null),
+      stormId: String(storm.id),
+      name: storm.name || null,
+      basin,
+      stormStatus: dissipated ? 'dissipated' : 'active',
+      classification,
+      maxWind: latest.maxWind,
+      pressure: latest.pressure,
+      movement: latest.movement || null,
+      advisoryTime: latest.time,
+      track,
+      forecast,
+      source: { provider: this.name, name: storm.agency || 'Tropical cyclone advisories', url: isUrl(this.feed) ? this.feed : null },
+      raw: storm
+    });
+  }
+}
+
+module.exports = CycloneProvider;
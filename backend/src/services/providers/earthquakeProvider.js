@@ -0,0 +1,147 @@
+const BaseProvider = require('./baseProvider');
+const { createEvent } = require('../../utils/eventSchema');
+const { earthquakeSeverity } = require('../../utils/severity');
+const { assignSequences } = require('../../utils/aftershocks');
+const { IPE_MODEL, estimateAt, estimateImpact } = require('../../utils/intensity');
+const locationService = require('../locationService');
+
+// Fields of a USGS GeoJSON feature the normalizer relies on
+const RECORD_SCHEMA = {
+  'feature.id': 'string',
+  'feature.geometry.coordinates': 'position',
+  'feature.properties.mag': 'number',
+  'feature.properties.time': 'timestamp',
+  'feature.properties.updated': 'timestamp?'
+};
+
+// Earthquakes from the USGS FDSN event service. Each earthquake carries the
+// shaking intensity estimated at the monitored locations (see utils/intensity),
+// and the strongest of them can raise its severity.
+class EarthquakeProvider extends BaseProvider {
+  constructor(options = {}) {
+    super('earthquake', options);
+    this.baseUrl = options.baseUrl || process.env.USGS_API_URL || 'https://earthquake.usgs.gov/fdsnws/event/1';
+    this.minMagnitude = options.minMagnitude || 4.0;
+    this.recordSchema = RECORD_SCHEMA;
+  }
+
+  // Cache per time window length (in hours), magnitude threshold and region
+  cacheKey(options = {}) {
+    const windowHours = options.startTime && options.endTime
+      ? Math.round((new Date(options.endTime) - new Date(options.startTime)) / (60 * 60 * 1000))
+      : 7 * 24;
+    return `${windowHours}h:${options.minMagnitude || this.minMagnitude}:${options.region || this.region || 'all'}`;
+  }
+
+  // FDSN query parameters shared by the query and count endpoints. The query
+  // is bounded by the region's bbox (options.area); polygon regions are
+  // filtered exactly after normalization.
+  queryParams(options = {}) {
+    const endTime = options.endTime || new Date().toISOString();
+    const startTime = options.startTime || new Date(Date.now() - 7 * 24 * 60 * 60 * 1000).toISOString();
+
+    const params = {
+      format: 'geojson',
+      starttime: startTime,
+      endtime: endTime,
+      minmagnitude: options.minMagnitude || this.minMagnitude
+    };
+
+    if (options.area) {
+      const [minLng, minLat, maxLng, maxLat] = options.area.bbox;
+      params.minlatitude = minLat;
+      params.maxlatitude = maxLat;
+      params.minlongitude = minLng;
+      params.maxlongitude = maxLng;
+    }
+
+    return params;
+  }
+
+  // The monitored locations come along for the intensity estimates.
+  // options.timeout overrides the client timeout for large catalog queries.
+  async fetch(options = {}) {
+    const response = await this.http.get(`${this.baseUrl}/query`, {
+      params: { ...this.queryParams(options), orderby: 'time-desc' },
+      timeout: options.timeout
+    });
+    return { ...response.data, locations: await locationService.getLocations() };
+  }
+
+  // Count matching events without fetching them. Resolves to
+  // { count, maxAllowed }, maxAllowed being the most events one query returns.
+  async count(options = {}) {
+    const response = await this.http.get(`${this.baseUrl}/count`, {
+      params: this.queryParams(options),
+      timeout: options.timeout
+    });
+    return response.data;
+  }
+
+  extractRecords(raw) {
+    const locations = raw?.locations || [];
+    return (raw?.features || []).map(feature => ({ feature, locations }));
+  }
+
+  // Estimated intensity at the epicentre and at each monitored location that
+  // feels the earthquake
+  estimateIntensity(earthquake, locations) {
+    const cities = estimateImpact(earthquake, locations.map(({ id, name, country, latitude, longitude }) =>
+      ({ id, name, country, latitude, longitude })));
+    const epicentre = estimateAt(earthquake, earthquake.coordinates.latitude, earthquake.coordinates.longitude);
+
+    return {
+      model: IPE_MODEL,
+      epicentralMmi: epicentre ? epicentre.mmi : null,
+      maxMmi: cities.length > 0 ? cities[0].mmi : null,
+      cities
+    };
+  }
+
+  recordPayload({ feature }) {
+    return feature;
+  }
+
+  normalizeRecord({ feature, locations }) {
+    const { properties } = feature;
+    const [longitude, latitude, depth] = feature.geometry.coordinates;
+    const intensity = this.estimateIntensity(
+      { magnitude: properties.mag, coordinates: { latitude, longitude, depth } },
+      locations
+    );
+
+    return createEvent({
+      id: feature.id,
+      type: 'earthquake',
+      severity: earthquakeSeverity({
+        magnitude: properties.mag,
+        depth,
+        alert: properties.alert,
+        mmi: intensity.maxMmi
+      }),
+      title: properties.title || `M ${properties.mag} - ${properties.place}`,
+      description: `Magnitude ${properties.mag} earthquake at ${depth} km depth`,
+      startTime: properties.time,
+      latitude,
+      longitude,
+      depth,
+      magnitude: properties.mag,
+      location: properties.place,
+      url: properties.url,
+      tsunami: properties.tsunami,
+      alert: properties.alert,
+      significance: properties.sig,
+      intensity,
+      updated: properties.updated ? new Date(properties.updated) : null,
+      source: { provider: this.name, name: 'USGS', url: properties.url },
+      raw: feature
+    });
+  }
+
+  // Link foreshocks and aftershocks to their mainshock
+  finalize(events) {
+    return assignSequences(events);
+  }
+}
+
+module.exports = EarthquakeProvider;
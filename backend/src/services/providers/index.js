@@ -0,0 +1,24 @@
+const ProviderRegistry = require('./providerRegistry');
+const EarthquakeProvider = require('./earthquakeProvider');
+const WeatherProvider = require('./weatherProvider');
+const TsunamiProvider = require('./tsunamiProvider');
+const VolcanicProvider = require('./volcanicProvider');
+const CapProvider = require('./capProvider');
+const NwsProvider = require('./nwsProvider');
+const CycloneProvider = require('./cycloneProvider');
+const WildfireProvider = require('./wildfireProvider');
+const { getProviderConfig } = require('../../config/providers');
+
+// Built-in providers. New sources only need to be added here.
+const registry = new ProviderRegistry();
+
+registry.register(new EarthquakeProvider(getProviderConfig('earthquake')));
+registry.register(new WeatherProvider(getProviderConfig('weather')));
+registry.register(new TsunamiProvider(getProviderConfig('tsunami')));
+registry.register(new VolcanicProvider(getProviderConfig('volcanic')));
+registry.register(new CapProvider(getProviderConfig('cap')));
+registry.register(new NwsProvider(getProviderConfig('nws')));
+registry.register(new CycloneProvider(getProviderConfig('cyclone')));
+registry.register(new WildfireProvider(getProviderConfig('wildfire')));
+
+module.exports = registry;
@@ -0,0 +1,141 @@
+const BaseProvider = require('./baseProvider');
+const { createEvent } = require('../../utils/eventSchema');
+const { mapSeverity } = require('../../utils/severity');
+const { CAP_TYPES, capEventType, latestRevisions } = require('../../utils/cap');
+const { geometryCenter } = require('../../utils/geo');
+const logger = require('../../utils/logger');
+
+// Fields of an alert feature the normalizer relies on
+const RECORD_SCHEMA = {
+  'properties.id': 'string',
+  'properties.event': 'string',
+  'properties.sent': 'timestamp',
+  'properties.affectedZones': 'array?'
+};
+
+// Official alerts from the US National Weather Service (api.weather.gov) for
+// the areas we monitor, by default the Pacific territories Guam (GU) and the
+// Northern Mariana Islands (MP). Alerts keep the agency's own severity and are
+// marked official, unlike the heuristic warnings of the weather provider.
+// Alerts issued for forecast zones carry no geometry of their own; zone
+// geometries are looked up once and kept, as they rarely change.
+class NwsProvider extends BaseProvider {
+  constructor(options = {}) {
+    super('nws', {
+      types: CAP_TYPES,
+      headers: {
+        // weather.gov rejects requests without an identifying User-Agent
+        'User-Agent': process.env.NWS_USER_AGENT || '(nature-asia, alerts@nature-asia)',
+        Accept: 'application/geo+json'
+      },
+      ...options
+    });
+    this.baseUrl = options.baseUrl || process.env.NOAA_API_URL || 'https://api.weather.gov';
+    this.areas = options.areas || (process.env.NWS_AREAS || 'GU,MP')
+      .split(',')
+      .map(area => area.trim().toUpperCase())
+      .filter(Boolean);
+    this.zoneGeometries = new Map();
+    this.recordSchema = RECORD_SCHEMA;
+  }
+
+  async fetch() {
+    const response = await this.http.get(`${this.baseUrl}/alerts/active`, {
+      params: { area: this.areas.join(',') }
+    });
+    const features = response.data?.features || [];
+
+    const zones = new Set();
+    features
+      .filter(feature => !feature?.geometry)
+      .forEach(feature => (feature?.properties?.affectedZones || []).forEach(zone => zones.add(zone)));
+    await this.loadZoneGeometries([...zones]);
+
+    return features;
+  }
+
+  // Look up the geometries of zones not seen before
+  async loadZoneGeometries(zoneUrls) {
+    for (const zoneUrl of zoneUrls.filter(url => !this.zoneGeometries.has(url))) {
+      try {
+        const response = await this.http.get(zoneUrl);
+        this.zoneGeometries.set(zoneUrl, response.data?.geometry || null);
+      } catch (error) {
+        logger.warn(`NWS zone ${zoneUrl} could not be loaded: ${error.message}`);
+      }
+    }
+  }
+
+  // Merge the polygons of an alert's zones into one geometry
+  zoneGeometry(zoneUrls = []) {
+    const polygons = [];
+    zoneUrls.forEach(zoneUrl => {
+      const geometry = this.zoneGeometries.get(zoneUrl);
+      if (geometry?.type === 'Polygon') {
+        polygons.push(geometry.coordinates);
+      } else if (geometry?.type === 'MultiPolygon') {
+        polygons.push(...geometry.coordinates);
+      }
+    });
+
+    if (polygons.length === 0) {
+      return null;
+    }
+    return polygons.length === 1
+      ? { type: 'Polygon', coordinates: polygons[0] }
+      : { type: 'MultiPolygon', coordinates: polygons };
+  }
+
+  normalizeRecord(feature) {
+    const { properties } = feature;
+
+    if (properties.status !== 'Actual' || properties.messageType === 'Cancel') {
+      return null;
+    }
+
+    const geometry = feature.geometry || this.zoneGeometry(properties.affectedZones);
+    if (!geometry) {
+      logger.debug(`NWS alert ${properties.id} has no geometry, skipping`);
+      return null;
+    }
+    const { latitude, longitude } = geometryCenter(geometry);
+
+    // Updates reference the alert they replace; keep the original id so the
+    // alert keeps its lifecycle
+    const original = (properties.references || [])[0];
+
+    return createEvent({
+      id: `nws_${original?.identifier || properties.id}`,
+      type: capEventType({ event: properties.event, categories: [properties.category] }),
+      severity: mapSeverity(properties.severity),
+      title: properties.headline || properties.event,
+      description: properties.description,
+      startTime: properties.onset || properties.effective || properties.sent,
+      endTime: properties.ends || properties.expires,
+      latitude,
+      longitude,
+      geometry,
+      official: true,
+      event: properties.event,
+      categories: [properties.category],
+      urgency: properties.urgency,
+      certainty: properties.certainty,
+      capSeverity: properties.severity,
+      instruction: properties.instruction,
+      areaDesc: properties.areaDesc,
+      senderName: properties.senderName,
+      identifier: properties.id,
+      sent: properties.sent,
+      msgType: properties.messageType,
+      source: { provider: this.name, name: properties.senderName || 'National Weather Service', url: properties['@id'] || feature.id },
+      raw: feature
+    });
+  }
+
+  // An alert and its update can both be active for a moment
+  finalize(events) {
+    return latestRevisions(events);
+  }
+}
+
+module.exports = NwsProvider;
@@ -0,0 +1,57 @@
+// Registry of disaster data providers
+class ProviderRegistry {
+  constructor() {
+    this.providers = new Map();
+  }
+
+  // Register a provider instance
+  register(provider) {
+    if (this.providers.has(provider.name)) {
+      throw new Error(`Disaster provider '${provider.name}' is already registered`);
+    }
+    this.providers.set(provider.name, provider);
+    return provider;
+  }
+
+  get(name) {
+    return this.providers.get(name) || null;
+  }
+
+  getAll() {
+    return Array.from(this.providers.values());
+  }
+
+  getEnabled() {
+    return this.getAll().filter(provider => provider.enabled);
+  }
+
+  // Enable or disable a provider at runtime
+  setEnabled(name, enabled) {
+    const provider = this.get(name);
+    if (!provider) {
+      throw new Error(`Unknown disaster provider '${name}'`);
+    }
+    provider.enabled = enabled;
+    return provider;
+  }
+
+  // Get the disaster types produced by enabled providers
+  getTypes() {
+    const types = new Set();
+    this.getEnabled().forEach(provider => {
+      provider.types.forEach(type => types.add(type));
+    });
+    return Array.from(types);
+  }
+
+  // Get enabled providers producing a disaster type
+  getProvidersForType(type) {
+    return this.getEnabled().filter(provider => provider.types.includes(type));
+  }
+
+  getHealth() {
+    return this.getAll().map(provider => provider.getHealth());
+  }
+}
+
+module.exports = ProviderRegistry;
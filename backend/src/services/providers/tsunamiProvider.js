@@ -0,0 +1,105 @@
+const BaseProvider = require('./baseProvider');
+const { createEvent } = require('../../utils/eventSchema');
+const { tsunamiSeverity } = require('../../utils/severity');
+const { DEFAULT_OCEAN_DEPTH_M, threatRadiusKm, assessThreats } = require('../../utils/tsunami');
+const locationService = require('../locationService');
+
+const LOOKBACK_MS = 24 * 60 * 60 * 1000;
+
+// Fields of a USGS GeoJSON feature the normalizer relies on
+const RECORD_SCHEMA = {
+  'feature.id': 'string',
+  'feature.geometry.coordinates': 'position',
+  'feature.properties.mag': 'number',
+  'feature.properties.time': 'timestamp'
+};
+
+// Tsunami-flagged earthquakes from the USGS FDSN event service, each with the
+// registered coastal locations it threatens and the estimated first-wave
+// arrival there (see utils/tsunami). A tsunami belongs to a region when its
+// source lies inside it or it threatens a coast inside it, so distant sources
+// are not queried by bbox.
+class TsunamiProvider extends BaseProvider {
+  constructor(options = {}) {
+    super('tsunami', options);
+    this.baseUrl = options.baseUrl || process.env.USGS_API_URL || 'https://earthquake.usgs.gov/fdsnws/event/1';
+    this.minMagnitude = options.minMagnitude || 6.0;
+    this.oceanDepth = options.oceanDepth || DEFAULT_OCEAN_DEPTH_M;
+    this.recordSchema = RECORD_SCHEMA;
+  }
+
+  // Coastal locations of the region come along for the threat assessment
+  async fetch(options = {}) {
+    const response = await this.http.get(`${this.baseUrl}/query`, {
+      params: {
+        format: 'geojson',
+        starttime: new Date(Date.now() - LOOKBACK_MS).toISOString(),
+        endtime: new Date().toISOString(),
+        minmagnitude: this.minMagnitude,
+        orderby: 'time-desc'
+      }
+    });
+    const locations = await locationService.getLocations();
+    const coasts = locations.filter(location => location.coastal === true &&
+      (!options.area || locationService.contains(options.area, location.latitude, location.longitude)));
+
+    return { ...response.data, coasts };
+  }
+
+  extractRecords(raw) {
+    const coasts = raw?.coasts || [];
+    return (raw?.features || [])
+      .filter(feature => feature?.properties?.tsunami === 1)
+      .map(feature => ({ feature, coasts }));
+  }
+
+  recordPayload({ feature }) {
+    return feature;
+  }
+
+  normalizeRecord({ feature, coasts }) {
+    const { properties } = feature;
+    const [longitude, latitude, depth] = feature.geometry.coordinates;
+    const threats = assessThreats(
+      { magnitude: properties.mag, startTime: properties.time, coordinates: { latitude, longitude, depth } },
+      coasts,
+      { oceanDepth: this.oceanDepth }
+    );
+
+    return createEvent({
+      id: `tsunami_${feature.id}`,
+      type: 'tsunami',
+      severity: tsunamiSeverity({ magnitude: properties.mag, depth, alert: properties.alert, threatened: threats.length > 0 }),
+      title: `Tsunami Potential - ${properties.place}`,
+      description: threats.length > 0
+        ? `Magnitude ${properties.mag} earthquake flagged for tsunami potential; first waves could reach ${threats[0].name} in about ${threats[0].travelMinutes} minutes`
+        : `Magnitude ${properties.mag} earthquake flagged for tsunami potential`,
+      startTime: properties.time,
+      latitude,
+      longitude,
+      depth,
+      magnitude: properties.mag,
+      location: properties.place,
+      url: properties.url,
+      tsunami: true,
+      alert: properties.alert,
+      significance: properties.sig,
+      earthquakeId: feature.id,
+      threatRadiusKm: threatRadiusKm({ magnitude: properties.mag, depth }, this.oceanDepth),
+      threats,
+      source: { provider: this.name, name: 'USGS', url: properties.url },
+      raw: feature
+    });
+  }
+
+  // Keep tsunamis that start inside the region or threaten one of its coasts
+  inArea(events, area) {
+    if (!area) {
+      return events;
+    }
+    return events.filter(event => event.threats.length > 0 ||
+      locationService.contains(area, event.coordinates.latitude, event.coordinates.longitude));
+  }
+}
+
+module.exports = TsunamiProvider;
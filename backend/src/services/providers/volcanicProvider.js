@@ -0,0 +1,58 @@
+const BaseProvider = require('./baseProvider');
+const { createEvent } = require('../../utils/eventSchema');
+const { volcanicSeverity } = require('../../utils/severity');
+
+// Fields of a volcano feed feature the normalizer relies on
+const RECORD_SCHEMA = {
+  'properties.id': 'id',
+  'properties.volcano_name': 'string',
+  'properties.alert_level': 'string',
+  'geometry.coordinates': 'position'
+};
+
+// Volcanic activity from the USGS volcano feed
+class VolcanicProvider extends BaseProvider {
+  constructor(options = {}) {
+    super('volcanic', options);
+    this.feedUrl = options.feedUrl || 'https://www.usgs.gov/volcanoes/feed/geojson.php';
+    this.recordSchema = RECORD_SCHEMA;
+  }
+
+  async fetch() {
+    const response = await this.http.get(this.feedUrl);
+    return response.data;
+  }
+
+  extractRecords(raw) {
+    return (raw?.features || []).filter(
+      feature => feature?.properties?.alert_level && feature.properties.alert_level !== 'green'
+    );
+  }
+
+  // The feed carries no event time, so alerts are dated by when they were observed
+  normalizeRecord(feature) {
+    const { properties } = feature;
+    const [longitude, latitude] = feature.geometry.coordinates;
+
+    return createEvent({
+      id: `volcano_${properties.id}`,
+      type: 'volcanic',
+      severity: volcanicSeverity(properties.alert_level),
+      title: `Volcanic Activity - ${properties.volcano_name}`,
+      description: `Alert level ${properties.alert_level} at ${properties.volcano_name}`,
+      startTime: new Date(),
+      observedTime: true,
+      latitude,
+      longitude,
+      name: properties.volcano_name,
+      alertLevel: properties.alert_level,
+      location: properties.location,
+      lastEruption: properties.last_eruption_year,
+      elevation: properties.elevation,
+      source: { provider: this.name, name: 'USGS Volcano Hazards Program', url: this.feedUrl },
+      raw: feature
+    });
+  }
+}
+
+module.exports = VolcanicProvider;
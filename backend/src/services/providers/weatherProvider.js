@@ -0,0 +1,357 @@
+const BaseProvider = require('./baseProvider');
+const { createEvent } = require('../../utils/eventSchema');
+const { isReplaying } = require('../../utils/recorder');
+const { rainfallSeverity, compareSeverity } = require('../../utils/severity');
+const { assessRainfall } = require('../../utils/rainfall');
+const locationService = require('../locationService');
+const { checkRecord } = require('../../utils/recordSchema');
+const logger = require('../../utils/logger');
+
+// Hazards derived from forecast rainfall accumulation, by event type
+const RAINFALL_HAZARDS = {
+  flood_risk: { thresholds: 'flood', name: 'Flood Risk' },
+  landslide_risk: { thresholds: 'landslide', name: 'Landslide Risk' }
+};
+
+// Fields of current conditions and forecast slots the heuristics rely on, and
+// of the forecast the rainfall hazards are assessed over
+const CONDITIONS_SCHEMA = {
+  'weather.0.main': 'string',
+  'weather.0.description': 'string',
+  'main.temp': 'number',
+  'main.humidity': 'number?',
+  'wind.speed': 'number?',
+  dt: 'number?'
+};
+const FORECAST_SLOT_SCHEMA = { ...CONDITIONS_SCHEMA, dt: 'number' };
+const FORECAST_SCHEMA = { list: 'array' };
+
+// Severe weather heuristics over OpenWeatherMap current conditions and
+// forecasts at the monitored locations of the provider's region, plus flood
+// and landslide risk from the rain accumulated over the forecast (see
+// utils/rainfall) against each location's thresholds
+class WeatherProvider extends BaseProvider {
+  constructor(options = {}) {
+    super('weather', { types: ['weather', ...Object.keys(RAINFALL_HAZARDS)], ...options });
+    this.apiKey = options.apiKey || process.env.OPENWEATHER_API_KEY;
+    this.baseUrl = options.baseUrl || 'https://api.openweathermap.org/data/2.5';
+  }
+
+  async fetch(options = {}) {
+    if (!this.apiKey && !isReplaying()) {
+      throw new Error('OpenWeatherMap API key not configured');
+    }
+
+    const results = [];
+    let lastError = null;
+
+    const cities = await locationService.getLocations({ region: options.area?.id });
+
+    // Check weather conditions for each monitored location
+    for (const city of cities) {
+      try {
+        // Get current weather and 5-day forecast
+        const params = {
+          lat: city.latitude,
+          lon: city.longitude,
+          appid: this.apiKey,
+          units: 'metric'
+        };
+        const [currentResponse, forecastResponse] = await Promise.all([
+          this.http.get(`${this.baseUrl}/weather`, { params }),
+          this.http.get(`${this.baseUrl}/forecast`, { params })
+        ]);
+
+        results.push({
+          city,
+          current: currentResponse.data,
+          forecast: forecastResponse.data
+        });
+      } catch (cityError) {
+        logger.warn(`Error fetching weather for ${city.name}:`, cityError.message);
+        lastError = cityError;
+        // Continue with other cities even if one fails
+      }
+    }
+
+    // Report the source as failed rather than as having no alerts
+    if (results.length === 0 && lastError) {
+      throw lastError;
+    }
+
+    return results;
+  }
+
+  extractRecords(raw) {
+    const records = [];
+
+    raw.forEach(({ city, current, forecast }) => {
+      records.push({ kind: 'current', city, data: current });
+      (forecast?.list || []).forEach(forecastItem => {
+        records.push({ kind: 'forecast', city, data: forecastItem });
+      });
+      Object.keys(RAINFALL_HAZARDS).forEach(hazard => {
+        records.push({ kind: hazard, city, data: forecast });
+      });
+    });
+
+    return records;
+  }
+
+  // Check the upstream data of a record against the schema of its kind
+  validateRecord({ kind, data }) {
+    if (RAINFALL_HAZARDS[kind]) {
+      return checkRecord(data, FORECAST_SCHEMA);
+    }
+    return checkRecord(data, kind === 'current' ? CONDITIONS_SCHEMA : FORECAST_SLOT_SCHEMA);
+  }
+
+  recordPayload({ kind, city, data }) {
+    return { kind, locationId: city.id, data };
+  }
+
+  normalizeRecord({ kind, city, data }) {
+    if (RAINFALL_HAZARDS[kind]) {
+      return this.normalizeRainfallHazard(kind, city, data);
+    }
+
+    if (!this.isSevereWeather(data)) {
+      return null;
+    }
+
+    const weatherCondition = data.weather[0].main;
+    const common = {
+      type: 'weather',
+      severity: this.getWeatherSeverity(data),
+      description: this.getWeatherDescription(data),
+      latitude: city.latitude,
+      longitude: city.longitude,
+      region: city.country,
+      city: city.name,
+      temperature: data.main.temp,
+      humidity: data.main.humidity,
+      windSpeed: data.wind?.speed || 0,
+      weatherCondition,
+      // Inferred from observations, unlike agency-issued alerts
+      official: false,
+      source: { provider: this.name, name: 'OpenWeatherMap', url: 'https://openweathermap.org' },
+      raw: data
+    };
+
+    if (kind === 'current') {
+      // Keyed by condition so the alert keeps its id while the condition
+      // lasts. It is open-ended and dated by when it was first observed, so
+      // later observations do not revise it; the update job resolves it once
+      // the condition is no longer reported.
+      return createEvent({
+        ...common,
+        id: `weather_${city.id}_${weatherCondition.toLowerCase()}`,
+        title: `Severe Weather Alert - ${city.name}`,
+        startTime: data.dt ? new Date(data.dt * 1000) : new Date(),
+        observedTime: true,
+        isForecast: false
+      });
+    }
+
+    // Keyed by condition as well; finalize merges the slots forecasting it
+    return createEvent({
+      ...common,
+      id: `weather_forecast_${city.id}_${weatherCondition.toLowerCase()}`,
+      title: `Weather Warning - ${city.name}`,
+      startTime: new Date(data.dt * 1000),
+      endTime: new Date(data.dt * 1000 + 3 * 60 * 60 * 1000), // 3 hours
+      observedTime: true,
+      isForecast: true
+    });
+  }
+
+  // Raise a flood or landslide risk when forecast rain over 24 or 72 hours
+  // reaches the location's threshold. Keyed by location so the risk keeps its
+  // id while it lasts.
+  normalizeRainfallHazard(kind, city, forecast) {
+    const hazard = RAINFALL_HAZARDS[kind];
+    const thresholds = locationService.getRainfallThresholds(city)[hazard.thresholds];
+    const assessment = assessRainfall(forecast?.list, thresholds);
+
+    if (!assessment) {
+      return null;
+    }
+
+    const { windows, trigger } = assessment;
+    const triggered = windows[trigger];
+
+    return createEvent({
+      id: `${kind}_${city.id}`,
+      type: kind,
+      severity: rainfallSeverity(assessment.ratio),
+      title: `${hazard.name} - ${city.name}`,
+      description: `${triggered.amount} mm of rain forecast within ${triggered.hours} hours ` +
+        `(threshold ${triggered.threshold} mm), ending ${triggered.end.toISOString()}`,
+      startTime: assessment.startTime,
+      endTime: assessment.endTime,
+      latitude: city.latitude,
+      longitude: city.longitude,
+      region: city.country,
+      city: city.name,
+      trigger,
+      rainfall: windows,
+      peakRain3h: assessment.peakRain3h,
+      isForecast: true,
+      official: false,
+      source: { provider: this.name, name: 'OpenWeatherMap', url: 'https://openweathermap.org' },
+      raw: (forecast.list || [])
+        .filter(item => item.rain?.['3h'] && item.dt * 1000 >= triggered.start.getTime() && item.dt * 1000 < triggered.end.getTime())
+    });
+  }
+
+  // Merge forecast slots, remove duplicates and sort by severity and time
+  finalize(alerts) {
+    const uniqueAlerts = this.removeDuplicateAlerts(this.mergeForecastSlots(alerts));
+    uniqueAlerts.sort((a, b) => {
+      const severityOrder = { critical: 4, high: 3, medium: 2, low: 1 };
+      return severityOrder[b.severity] - severityOrder[a.severity] || new Date(b.startTime) - new Date(a.startTime);
+    });
+    return uniqueAlerts;
+  }
+
+  // Merge the forecast slots of a condition at a location into one event
+  // spanning them, described by its most severe slot (the earliest of equals).
+  // Slots passing between polls then only move the start of the window, which
+  // the event store keeps from the first poll.
+  mergeForecastSlots(alerts) {
+    const byId = new Map();
+    alerts.forEach(alert => {
+      const merged = byId.get(alert.id);
+      if (!merged) {
+        byId.set(alert.id, alert);
+        return;
+      }
+      const startTime = alert.startTime < merged.startTime ? alert.startTime : merged.startTime;
+      byId.set(alert.id, {
+        ...(compareSeverity(alert.severity, merged.severity) > 0 ? alert : merged),
+        time: startTime,
+        startTime,
+        endTime: alert.endTime > merged.endTime ? alert.endTime : merged.endTime
+      });
+    });
+    return Array.from(byId.values());
+  }
+
+  // Check if weather conditions are severe
+  isSevereWeather(weatherData) {
+    const windSpeed = weatherData.wind?.speed || 0;
+    const temperature = weatherData.main.temp;
+    const humidity = weatherData.main.humidity;
+    const weatherCondition = weatherData.weather[0].main.toLowerCase();
+    const description = weatherData.weather[0].description.toLowerCase();
+
+    // Severe wind conditions (Beaufort scale 7+)
+    if (windSpeed > 13.9) {
+      return true; // 50+ km/h
+    }
+
+    // Extreme temperatures
+    if (temperature > 40 || temperature < -20) {
+      return true;
+    }
+
+    // Severe weather conditions
+    const severeConditions = [
+      'thunderstorm', 'tornado', 'hurricane', 'typhoon',
+      'blizzard', 'snowstorm', 'sandstorm', 'duststorm'
+    ];
+
+    if (severeConditions.some(condition =>
+      weatherCondition.includes(condition) || description.includes(condition)
+    )) {
+      return true;
+    }
+
+    // Heavy rain/snow
+    if (description.includes('heavy') || description.includes('extreme')) {
+      return true;
+    }
+
+    // High humidity with high temperature (heat index)
+    if (temperature > 30 && humidity > 80) {
+      return true;
+    }
+
+    return false;
+  }
+
+  // Get weather severity level
+  getWeatherSeverity(weatherData) {
+    const windSpeed = weatherData.wind?.speed || 0;
+    const temperature = weatherData.main.temp;
+    const weatherCondition = weatherData.weather[0].main.toLowerCase();
+    const description = weatherData.weather[0].description.toLowerCase();
+
+    // Critical conditions
+    if (windSpeed > 20.8 || temperature > 45 || temperature < -30) {
+      return 'critical';
+    }
+    if (weatherCondition.includes('tornado') || weatherCondition.includes('hurricane')) {
+      return 'critical';
+    }
+
+    // High severity
+    if (windSpeed > 13.9 || temperature > 40 || temperature < -20) {
+      return 'high';
+    }
+    if (weatherCondition.includes('thunderstorm') && description.includes('heavy')) {
+      return 'high';
+    }
+
+    // Medium severity
+    if (windSpeed > 10.8 || temperature > 35 || temperature < -10) {
+      return 'medium';
+    }
+    if (weatherCondition.includes('thunderstorm') || weatherCondition.includes('blizzard')) {
+      return 'medium';
+    }
+
+    return 'low';
+  }
+
+  // Get weather description
+  getWeatherDescription(weatherData) {
+    const windSpeed = weatherData.wind?.speed || 0;
+    const temperature = weatherData.main.temp;
+    const humidity = weatherData.main.humidity;
+    const weatherCondition = weatherData.weather[0].main;
+    const description = weatherData.weather[0].description;
+
+    let desc = `${weatherCondition}: ${description}`;
+    desc += ` | Temperature: ${temperature}°C`;
+    desc += ` | Humidity: ${humidity}%`;
+    desc += ` | Wind: ${windSpeed} m/s`;
+
+    if (windSpeed > 13.9) {
+      desc += ' | High wind warning';
+    }
+    if (temperature > 40) {
+      desc += ' | Extreme heat warning';
+    }
+    if (temperature < -20) {
+      desc += ' | Extreme cold warning';
+    }
+
+    return desc;
+  }
+
+  // Remove duplicate weather alerts
+  removeDuplicateAlerts(alerts) {
+    const seen = new Set();
+    return alerts.filter(alert => {
+      const key = `${alert.type}_${alert.city}_${alert.weatherCondition}_${alert.severity}`;
+      if (seen.has(key)) {
+        return false;
+      }
+      seen.add(key);
+      return true;
+    });
+  }
+}
+
+module.exports = WeatherProvider;
@@ -0,0 +1,150 @@
+const fs = require('fs').promises;
+const BaseProvider = require('./baseProvider');
+const { createEvent } = require('../../utils/eventSchema');
+const { wildfireSeverity, shiftSeverity } = require('../../utils/severity');
+const { parseFirmsCsv, meetsConfidence, mergeDetections, pruneFires, describeFire } = require('../../utils/wildfire');
+const { checkRecord } = require('../../utils/recordSchema');
+const logger = require('../../utils/logger');
+
+const isUrl = (location) => /^https?:\/\//i.test(location);
+
+// Detections are validated before they are clustered, since the records
+// normalized into events are the fires built from them
+const DETECTION_SCHEMA = {
+  latitude: 'number',
+  longitude: 'number',
+  time: 'timestamp'
+};
+
+const round = (value, digits = 1) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+// Wildfires from satellite active-fire detections in NASA FIRMS CSV format.
+// Each configured feed (FIRMS_FEEDS) is a URL, such as a FIRMS area API query,
+// or a local file. Hotspots are clustered into fires (see utils/wildfire) that
+// are kept between polls, so a fire keeps its id while its perimeter grows and
+// drops out once it has gone fireGapHours without a detection.
+class WildfireProvider extends BaseProvider {
+  constructor(options = {}) {
+    super('wildfire', options);
+    this.feeds = options.feeds || (process.env.FIRMS_FEEDS || '')
+      .split(',')
+      .map(feed => feed.trim())
+      .filter(Boolean);
+    this.minConfidence = options.minConfidence || process.env.FIRMS_MIN_CONFIDENCE || 'nominal';
+    this.clusterDistanceKm = options.clusterDistanceKm || 2;
+    this.fireGapHours = options.fireGapHours || 48;
+    this.fires = new Map();
+
+    // Nothing to poll until a feed is configured
+    if (this.feeds.length === 0) {
+      this.enabled = false;
+    }
+  }
+
+  // Read a CSV from a URL or a local file
+  async read(location) {
+    if (isUrl(location)) {
+      const response = await this.http.get(location, { responseType: 'text', headers: { Accept: 'text/csv' } });
+      return response.data;
+    }
+    return fs.readFile(location.replace(/^file:\/\//, ''), 'utf8');
+  }
+
+  async fetch() {
+    const detections = [];
+    let lastError = null;
+    let failures = 0;
+
+    for (const feed of this.feeds) {
+      try {
+        detections.push(...parseFirmsCsv(await this.read(feed)));
+      } catch (error) {
+        failures++;
+        lastError = error;
+        logger.warn(`FIRMS feed ${feed} could not be read: ${error.message}`);
+      }
+    }
+
+    // Only treat the poll as failed when no feed could be read
+    if (failures === this.feeds.length && lastError) {
+      throw lastError;
+    }
+
+    return detections;
+  }
+
+  // Cluster the new detections into the tracked fires and return the fires
+  // that are still burning. Malformed detections are quarantined first.
+  extractRecords(raw, options = {}) {
+    const rejected = [];
+    const detections = (raw || []).filter(detection => {
+      const problems = checkRecord(detection, DETECTION_SCHEMA);
+      if (problems.length > 0) {
+        rejected.push({ record: detection, problems });
+        return false;
+      }
+      return meetsConfidence(detection, this.minConfidence);
+    });
+    if (rejected.length > 0) {
+      this.quarantine(rejected);
+    }
+
+    mergeDetections(this.fires, detections, { distanceKm: this.clusterDistanceKm, gapHours: this.fireGapHours });
+
+    if (!options.includeExpired) {
+      pruneFires(this.fires, { gapHours: this.fireGapHours });
+    }
+    return [...this.fires.values()];
+  }
+
+  // Detections are quarantined as their CSV row, fires as the rows they hold
+  recordPayload(record) {
+    if (record.detections instanceof Map) {
+      return [...record.detections.values()].map(detection => detection.raw);
+    }
+    return record.raw || record;
+  }
+
+  normalizeRecord(fire) {
+    const summary = describeFire(fire);
+    const areaKm2 = round(summary.areaKm2, 2);
+    const frp = round(summary.frp);
+
+    // Fires only seen at low confidence are more likely false alarms
+    let severity = wildfireSeverity({ frp, areaKm2 });
+    if (summary.confidence === 'low') {
+      severity = shiftSeverity(severity, -1);
+    }
+
+    const count = summary.detections.length;
+    const latest = summary.detections
+      .filter(detection => detection.time.getTime() === fire.lastDetected.getTime())
+      .slice(0, 50);
+
+    return createEvent({
+      id: fire.id,
+      type: 'wildfire',
+      severity,
+      title: `Active fire - ${count} hotspot${count === 1 ? '' : 's'}`,
+      description: `Detected by ${summary.instruments.join('/')}, ${frp} MW radiative power over the last day, about ${areaKm2} km²`,
+      startTime: fire.firstDetected,
+      latitude: round(summary.latitude, 4),
+      longitude: round(summary.longitude, 4),
+      geometry: summary.perimeter,
+      detectionCount: count,
+      frp,
+      maxFrp: round(summary.maxFrp),
+      maxBrightness: summary.maxBrightness,
+      confidence: summary.confidence,
+      areaKm2,
+      firstDetected: fire.firstDetected,
+      lastDetected: fire.lastDetected,
+      instruments: summary.instruments,
+      satellites: summary.satellites,
+      source: { provider: this.name, name: 'NASA FIRMS', url: this.feeds.find(isUrl) || null },
+      raw: latest.map(detection => detection.raw)
+    });
+  }
+}
+
+module.exports = WildfireProvider;
@@ -0,0 +1,107 @@
+const crypto = require('crypto');
+const { getFirestore } = require('../config/firebase');
+const { fromFirestore, chunk } = require('../utils/firestoreData');
+const logger = require('../utils/logger');
+
+const QUARANTINE_COLLECTION = 'quarantined_records';
+
+// Payloads are stored as JSON strings, cut at this length to stay well under
+// the Firestore document size limit
+const MAX_PAYLOAD_LENGTH = 100000;
+
+// Keeps the raw upstream records that providers rejected as malformed, with
+// the reasons, so format drift shows up before users notice missing events.
+// A record is stored once per provider and payload; seeing it again on a
+// later poll only updates lastSeenAt and its occurrence count.
+class QuarantineService {
+  constructor() {
+    this._firestore = null;
+  }
+
+  get firestore() {
+    if (!this._firestore) {
+      this._firestore = getFirestore();
+    }
+    return this._firestore;
+  }
+
+  get collection() {
+    return this.firestore.collection(QUARANTINE_COLLECTION);
+  }
+
+  // Document id of a rejected record
+  docId(provider, payload) {
+    return crypto.createHash('sha1').update(`${provider}|${payload}`).digest('hex').slice(0, 20);
+  }
+
+  // Store rejected records ({ payload, problems }) of a provider. A format
+  // change can reject a whole feed at once, so records are read and written
+  // in chunks well under the Firestore batch limit of 500 writes.
+  async quarantine(provider, records) {
+    try {
+      const now = new Date();
+      const entries = new Map();
+      records.forEach(({ payload, problems }) => {
+        const json = JSON.stringify(payload) ?? 'null';
+        const id = this.docId(provider, json);
+        entries.set(id, {
+          ref: this.collection.doc(id),
+          payload: json.slice(0, MAX_PAYLOAD_LENGTH),
+          payloadTruncated: json.length > MAX_PAYLOAD_LENGTH,
+          problems
+        });
+      });
+
+      for (const group of chunk(Array.from(entries.values()), 100)) {
+        const existing = await this.firestore.getAll(...group.map(({ ref }) => ref));
+        const batch = this.firestore.batch();
+
+        group.forEach(({ ref, payload, payloadTruncated, problems }, index) => {
+          const stored = existing[index].exists ? existing[index].data() : null;
+          batch.set(ref, {
+            id: ref.id,
+            provider,
+            problems,
+            payload,
+            payloadTruncated,
+            firstSeenAt: stored ? stored.firstSeenAt : now,
+            lastSeenAt: now,
+            occurrences: (stored?.occurrences || 0) + 1
+          });
+        });
+
+        await batch.commit();
+      }
+
+      return { success: true, count: entries.size };
+    } catch (error) {
+      logger.error(`Error quarantining ${provider} records:`, error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // List quarantined records, most recently seen first
+  async getQuarantined({ provider, limit = 50 } = {}) {
+    try {
+      let query = this.collection;
+
+      if (provider) {
+        query = query.where('provider', '==', provider);
+      }
+
+      const snapshot = await query.orderBy('lastSeenAt', 'desc').limit(limit).get();
+      const records = snapshot.docs.map(doc => {
+        const data = fromFirestore(doc.data());
+        // Truncated payloads are no longer valid JSON and are returned as text
+        return { ...data, payload: data.payloadTruncated ? data.payload : JSON.parse(data.payload) };
+      });
+
+      return { success: true, data: records, count: records.length };
+    } catch (error) {
+      logger.error('Error listing quarantined records:', error);
+      return { success: false, error: error.message };
+    }
+  }
+}
+
+module.exports = new QuarantineService();
@@ -1,5 +1,6 @@
 const { getFirestore } = require('../config/firebase');
 const geminiService = require('./geminiService');
+const { calculateDistance } = require('../utils/geo');
 const logger = require('../utils/logger');
 
 class V2VService {
@@ -399,14 +400,7 @@ class V2VService {
 
   // Calculate distance between two coordinates
   calculateDistance(lat1, lon1, lat2, lon2) {
-    const R = 6371; // Earth's radius in kilometers
-    const dLat = (lat2 - lat1) * Math.PI / 180;
-    const dLon = (lon2 - lon1) * Math.PI / 180;
-    const a = Math.sin(dLat/2) * Math.sin(dLat/2) +
-              Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) *
-              Math.sin(dLon/2) * Math.sin(dLon/2);
-    const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
-    return R * c;
+    return calculateDistance(lat1, lon1, lat2, lon2);
   }
 
   // Get V2V statistics
@@ -0,0 +1,48 @@
+// Area an event affects, used to find what lies inside it: the event's own
+// polygon when it has one (alert areas, cyclone cones, fire perimeters),
+// otherwise a circle around its coordinates whose radius depends on the type.
+
+const { calculateDistance, isPolygonGeometry, pointInGeometry } = require('./geo');
+const { feltRadiusKm } = require('./intensity');
+
+// Radius (km) around events without a polygon
+const AFFECTED_RADIUS_KM = {
+  weather: 50,
+  flood_risk: 25,
+  landslide_risk: 25,
+  volcanic: 20,
+  wildfire: 5,
+  default: 25
+};
+
+// Earthquakes affect the area estimated to see moderate shaking (MMI V)
+const EARTHQUAKE_MIN_MMI = 5;
+
+// Describe the affected area of an event: { geometry } for polygons,
+// { radiusKm } otherwise
+const affectedArea = (event) => {
+  if (isPolygonGeometry(event.geometry)) {
+    return { geometry: event.geometry, radiusKm: null };
+  }
+  if (event.type === 'earthquake') {
+    return { geometry: null, radiusKm: feltRadiusKm(event, EARTHQUAKE_MIN_MMI) };
+  }
+  if (event.type === 'tsunami' && Number.isFinite(event.threatRadiusKm)) {
+    return { geometry: null, radiusKm: event.threatRadiusKm };
+  }
+  return { geometry: null, radiusKm: AFFECTED_RADIUS_KM[event.type] || AFFECTED_RADIUS_KM.default };
+};
+
+// Check whether a point lies inside the affected area of an event
+const inAffectedArea = (event, area, latitude, longitude) => {
+  if (area.geometry) {
+    return pointInGeometry(longitude, latitude, area.geometry);
+  }
+  return calculateDistance(event.coordinates.latitude, event.coordinates.longitude, latitude, longitude) <= area.radiusKm;
+};
+
+module.exports = {
+  AFFECTED_RADIUS_KM,
+  affectedArea,
+  inAffectedArea
+};
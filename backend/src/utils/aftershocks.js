@@ -0,0 +1,116 @@
+// Earthquake sequences by Gardner-Knopoff space-time windowing.
+//
+// Going from the largest earthquake down, every not yet assigned event inside
+// the space and time window of a mainshock joins its sequence: later events as
+// aftershocks, earlier ones as foreshocks. The windows grow with the mainshock
+// magnitude (Gardner & Knopoff, 1974, as fitted by van Stiphout et al., 2012).
+// Sequences are only as complete as the catalogue they are built from: a
+// mainshock older than the query window leaves its aftershocks to form their
+// own sequence.
+
+const { calculateDistance } = require('./geo');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Space (km) and time (days) window of a mainshock
+const gardnerKnopoffWindow = (magnitude) => ({
+  distanceKm: 10 ** (0.1238 * magnitude + 0.983),
+  days: magnitude >= 6.5 ? 10 ** (0.032 * magnitude + 2.7389) : 10 ** (0.5409 * magnitude - 0.547)
+});
+
+// Id of the sequence led by a mainshock
+const sequenceIdFor = (mainshock) => `seq_${mainshock.id}`;
+
+// Group earthquakes into sequences. Returns copies of the events with
+// sequenceId, sequenceRole (mainshock, foreshock or aftershock) and
+// mainshockId; an event without fore- or aftershocks is its own mainshock.
+const assignSequences = (events) => {
+  const assignments = new Map();
+  const byMagnitude = [...events]
+    .filter(event => Number.isFinite(event.magnitude))
+    .sort((a, b) => b.magnitude - a.magnitude || new Date(a.startTime) - new Date(b.startTime));
+
+  byMagnitude.forEach(mainshock => {
+    if (assignments.has(mainshock.id)) {
+      return;
+    }
+    const sequenceId = sequenceIdFor(mainshock);
+    const mainshockTime = new Date(mainshock.startTime).getTime();
+    const { distanceKm, days } = gardnerKnopoffWindow(mainshock.magnitude);
+    assignments.set(mainshock.id, { sequenceId, sequenceRole: 'mainshock', mainshockId: mainshock.id });
+
+    byMagnitude.forEach(event => {
+      if (assignments.has(event.id)) {
+        return;
+      }
+      const offset = new Date(event.startTime).getTime() - mainshockTime;
+      if (Math.abs(offset) > days * DAY_MS) {
+        return;
+      }
+      const distance = calculateDistance(
+        mainshock.coordinates.latitude, mainshock.coordinates.longitude,
+        event.coordinates.latitude, event.coordinates.longitude
+      );
+      if (distance <= distanceKm) {
+        assignments.set(event.id, {
+          sequenceId,
+          sequenceRole: offset < 0 ? 'foreshock' : 'aftershock',
+          mainshockId: mainshock.id
+        });
+      }
+    });
+  });
+
+  return events.map(event => ({
+    ...event,
+    ...(assignments.get(event.id) || { sequenceId: null, sequenceRole: null, mainshockId: null })
+  }));
+};
+
+// Summarize the events of one sequence: counts, the largest aftershock and
+// the cumulative aftershock count after the mainshock
+const describeSequence = (events) => {
+  const mainshock = events.find(event => event.sequenceRole === 'mainshock');
+  if (!mainshock) {
+    return null;
+  }
+  const byTime = [...events].sort((a, b) => new Date(a.startTime) - new Date(b.startTime));
+  const foreshocks = byTime.filter(event => event.sequenceRole === 'foreshock');
+  const aftershocks = byTime.filter(event => event.sequenceRole === 'aftershock');
+  const largestAftershock = aftershocks.reduce((largest, event) =>
+    (!largest || event.magnitude > largest.magnitude ? event : largest), null);
+  const mainshockTime = new Date(mainshock.startTime).getTime();
+  const { distanceKm, days } = gardnerKnopoffWindow(mainshock.magnitude);
+
+  return {
+    id: mainshock.sequenceId,
+    mainshock,
+    largestAftershock,
+    // Båth's law puts the largest aftershock about 1.2 units below the mainshock
+    magnitudeGap: largestAftershock ? Math.round((mainshock.magnitude - largestAftershock.magnitude) * 10) / 10 : null,
+    counts: {
+      total: events.length,
+      foreshocks: foreshocks.length,
+      aftershocks: aftershocks.length
+    },
+    cumulative: aftershocks.map((event, index) => ({
+      time: event.startTime,
+      hoursAfterMainshock: Math.round((new Date(event.startTime).getTime() - mainshockTime) / (60 * 60 * 1000) * 10) / 10,
+      magnitude: event.magnitude,
+      count: index + 1
+    })),
+    window: {
+      distanceKm: Math.round(distanceKm * 10) / 10,
+      days: Math.round(days * 10) / 10
+    },
+    startTime: byTime[0].startTime,
+    lastEventTime: byTime[byTime.length - 1].startTime,
+    events: byTime
+  };
+};
+
+module.exports = {
+  gardnerKnopoffWindow,
+  assignSequences,
+  describeSequence
+};
@@ -0,0 +1,76 @@
+// Atom and RSS feeds of our alerts for partner agencies and signage systems.
+// The Atom feed indexes the CAP 1.2 alerts built by utils/cap, the RSS feed
+// carries a plain summary of each alert with a GeoRSS point.
+
+const { escapeXml } = require('./exportFormats');
+
+// Publisher named in the feeds and as the sender of our CAP alerts
+const FEED_PUBLISHER = {
+  sender: process.env.CAP_SENDER || 'alerts@nature-asia',
+  senderName: process.env.CAP_SENDER_NAME || 'Nature Asia'
+};
+
+// When an event was last published; forecasts start in the future but are
+// published now
+const publishedAt = (event) => new Date(Math.min(new Date(event.updatedAt || event.startTime).getTime(), Date.now()));
+
+// Most recent change across a set of events
+const feedUpdated = (events, fallback) => events.reduce((latest, event) => {
+  const time = publishedAt(event);
+  return time > latest ? time : latest;
+}, new Date(fallback || 0));
+
+// Atom index with one entry per alert, linking to its CAP document
+const toCapIndex = (events, { title, selfUrl, alertUrl, author, updated }) => [
+  '<?xml version="1.0" encoding="UTF-8"?>',
+  '<feed xmlns="http://www.w3.org/2005/Atom">',
+  `  <id>${escapeXml(selfUrl)}</id>`,
+  `  <title>${escapeXml(title)}</title>`,
+  `  <updated>${feedUpdated(events, updated).toISOString()}</updated>`,
+  `  <author><name>${escapeXml(author)}</name></author>`,
+  `  <link rel="self" type="application/atom+xml" href="${escapeXml(selfUrl)}"/>`,
+  ...events.map(event => [
+    '  <entry>',
+    `    <id>${escapeXml(alertUrl(event.id))}</id>`,
+    `    <title>${escapeXml(event.title || event.id)}</title>`,
+    `    <updated>${publishedAt(event).toISOString()}</updated>`,
+    `    <summary>${escapeXml(event.description || '')}</summary>`,
+    `    <category term="${escapeXml(event.type)}"/>`,
+    `    <category term="${escapeXml(event.severity)}" scheme="severity"/>`,
+    `    <link rel="alternate" type="application/cap+xml" href="${escapeXml(alertUrl(event.id))}"/>`,
+    '  </entry>'
+  ].join('\n')),
+  '</feed>',
+  ''
+].join('\n');
+
+// RSS 2.0 channel with one item per alert
+const toRss = (events, { title, link, description, alertUrl, updated }) => [
+  '<?xml version="1.0" encoding="UTF-8"?>',
+  '<rss version="2.0" xmlns:georss="http://www.georss.org/georss">',
+  '  <channel>',
+  `    <title>${escapeXml(title)}</title>`,
+  `    <link>${escapeXml(link)}</link>`,
+  `    <description>${escapeXml(description)}</description>`,
+  `    <lastBuildDate>${feedUpdated(events, updated).toUTCString()}</lastBuildDate>`,
+  ...events.map(event => [
+    '    <item>',
+    `      <title>${escapeXml(`[${event.severity.toUpperCase()}] ${event.title || event.id}`)}</title>`,
+    `      <link>${escapeXml(alertUrl(event.id))}</link>`,
+    `      <description>${escapeXml(event.description || '')}</description>`,
+    `      <category>${escapeXml(event.type)}</category>`,
+    `      <guid isPermaLink="false">${escapeXml(event.id)}</guid>`,
+    `      <pubDate>${publishedAt(event).toUTCString()}</pubDate>`,
+    `      <georss:point>${event.coordinates.latitude} ${event.coordinates.longitude}</georss:point>`,
+    '    </item>'
+  ].join('\n')),
+  '  </channel>',
+  '</rss>',
+  ''
+].join('\n');
+
+module.exports = {
+  FEED_PUBLISHER,
+  toCapIndex,
+  toRss
+};
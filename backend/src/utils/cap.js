@@ -0,0 +1,372 @@
+// Common Alerting Protocol (CAP 1.2) documents.
+//
+// Parses single <alert> messages as well as the Atom and RSS indexes agencies
+// publish them through (index entries either embed the alert or link to it),
+// and builds CAP alerts from our own events for republishing.
+// See http://docs.oasis-open.org/emergency/cap/v1.2/CAP-v1.2.html
+
+const { XMLParser } = require('fast-xml-parser');
+const { circleRing } = require('./geo');
+const { escapeXml } = require('./exportFormats');
+const { toCapSeverity } = require('./severity');
+const { affectedArea } = require('./affectedArea');
+
+const CAP_NAMESPACE = 'urn:oasis:names:tc:emergency:cap:1.2';
+
+// Elements that may repeat, so that they always parse as arrays
+const REPEATED_ELEMENTS = [
+  'info', 'category', 'responseType', 'eventCode', 'parameter', 'resource',
+  'area', 'polygon', 'circle', 'geocode', 'entry', 'item', 'link'
+];
+
+const parser = new XMLParser({
+  ignoreAttributes: false,
+  attributeNamePrefix: '@_',
+  removeNSPrefix: true,
+  parseTagValue: false,
+  trimValues: true,
+  isArray: name => REPEATED_ELEMENTS.includes(name)
+});
+
+const toArray = (value) => {
+  if (value === undefined || value === null) {
+    return [];
+  }
+  return Array.isArray(value) ? value : [value];
+};
+
+// Text content of an element, whether or not it has attributes
+const text = (value) => {
+  if (value === undefined || value === null) {
+    return null;
+  }
+  if (typeof value === 'object') {
+    return value['#text'] !== undefined ? String(value['#text']) : null;
+  }
+  return String(value);
+};
+
+// Parse a CAP document into the alerts it embeds and the alert URLs it links
+const parseCapDocument = (xml) => {
+  const document = parser.parse(xml);
+
+  if (document.alert) {
+    return { alerts: [document.alert], links: [] };
+  }
+
+  if (document.feed) {
+    const alerts = [];
+    const links = [];
+    toArray(document.feed.entry).forEach(entry => {
+      if (entry.content?.alert) {
+        alerts.push(entry.content.alert);
+        return;
+      }
+      const entryLinks = toArray(entry.link);
+      const link = entryLinks.find(candidate => /cap/i.test(candidate['@_type'] || '')) ||
+        entryLinks.find(candidate => !candidate['@_rel'] || candidate['@_rel'] === 'alternate');
+      if (link?.['@_href']) {
+        links.push(link['@_href']);
+      }
+    });
+    return { alerts, links };
+  }
+
+  if (document.rss) {
+    const links = toArray(document.rss.channel?.item)
+      .map(item => text(toArray(item.link)[0]))
+      .filter(Boolean);
+    return { alerts: [], links };
+  }
+
+  throw new Error('Document is not a CAP alert or an Atom/RSS alert feed');
+};
+
+// "sender,identifier,sent" triples separated by whitespace
+const parseReferences = (value) => (text(value) || '')
+  .split(/\s+/)
+  .filter(Boolean)
+  .map(reference => {
+    const [sender, identifier, sent] = reference.split(',');
+    return { sender, identifier, sent };
+  })
+  .filter(reference => reference.sender && reference.identifier);
+
+// CAP polygons are whitespace-separated "lat,lon" pairs; returns a closed
+// GeoJSON ring, or null when the polygon is unusable
+const parsePolygon = (value) => {
+  const ring = (text(value) || '')
+    .split(/\s+/)
+    .filter(Boolean)
+    .map(pair => pair.split(',').map(Number))
+    .map(([lat, lng]) => [lng, lat]);
+
+  if (ring.length < 3 || !ring.every(([lng, lat]) => Number.isFinite(lng) && Number.isFinite(lat))) {
+    return null;
+  }
+  const [first, last] = [ring[0], ring[ring.length - 1]];
+  if (first[0] !== last[0] || first[1] !== last[1]) {
+    ring.push(first);
+  }
+  return ring.length >= 4 ? ring : null;
+};
+
+// CAP circles are "lat,lon radius" with the radius in kilometers
+const parseCircle = (value) => {
+  const [center, radius] = (text(value) || '').trim().split(/\s+/);
+  const [latitude, longitude] = (center || '').split(',').map(Number);
+  const radiusKm = Number(radius);
+
+  if (![latitude, longitude, radiusKm].every(Number.isFinite)) {
+    return null;
+  }
+  return { latitude, longitude, radiusKm };
+};
+
+// valueName/value pairs (parameters, geocodes, event codes) as an object
+const readPairs = (pairs) => toArray(pairs).reduce((result, pair) => {
+  const name = text(pair.valueName);
+  if (name) {
+    result[name] = text(pair.value);
+  }
+  return result;
+}, {});
+
+const readArea = (area) => ({
+  areaDesc: text(area.areaDesc),
+  polygons: toArray(area.polygon).map(parsePolygon).filter(Boolean),
+  circles: toArray(area.circle).map(parseCircle).filter(Boolean),
+  geocodes: readPairs(area.geocode),
+  altitude: area.altitude !== undefined ? Number(text(area.altitude)) : null,
+  ceiling: area.ceiling !== undefined ? Number(text(area.ceiling)) : null
+});
+
+const readInfo = (info) => ({
+  language: text(info.language) || 'en-US',
+  categories: toArray(info.category).map(text),
+  event: text(info.event),
+  responseTypes: toArray(info.responseType).map(text),
+  urgency: text(info.urgency),
+  severity: text(info.severity),
+  certainty: text(info.certainty),
+  eventCodes: readPairs(info.eventCode),
+  effective: text(info.effective),
+  onset: text(info.onset),
+  expires: text(info.expires),
+  senderName: text(info.senderName),
+  headline: text(info.headline),
+  description: text(info.description),
+  instruction: text(info.instruction),
+  web: text(info.web),
+  contact: text(info.contact),
+  parameters: readPairs(info.parameter),
+  areas: toArray(info.area).map(readArea)
+});
+
+// Read a parsed <alert> element into a plain CAP structure
+const readAlert = (alert) => ({
+  identifier: text(alert.identifier),
+  sender: text(alert.sender),
+  sent: text(alert.sent),
+  status: text(alert.status),
+  msgType: text(alert.msgType),
+  scope: text(alert.scope),
+  note: text(alert.note),
+  references: parseReferences(alert.references),
+  info: toArray(alert.info).map(readInfo)
+});
+
+// GeoJSON geometry covering the polygons and circles of a set of areas, or
+// null when the areas are only described by geocodes
+const areaGeometry = (areas) => {
+  const polygons = [];
+  areas.forEach(area => {
+    area.polygons.forEach(ring => polygons.push([ring]));
+    area.circles.forEach(({ latitude, longitude, radiusKm }) => {
+      polygons.push([circleRing(latitude, longitude, radiusKm)]);
+    });
+  });
+
+  if (polygons.length === 0) {
+    return null;
+  }
+  return polygons.length === 1
+    ? { type: 'Polygon', coordinates: polygons[0] }
+    : { type: 'MultiPolygon', coordinates: polygons };
+};
+
+// Event types alerts are mapped to, `alert` being anything else
+const CAP_TYPES = ['weather', 'flood', 'earthquake', 'tsunami', 'volcanic', 'wildfire', 'alert'];
+
+// Map a CAP info block (event, eventCodes, categories) to one of our event types
+const capEventType = (info) => {
+  const event = `${info.event || ''} ${Object.values(info.eventCodes || {}).join(' ')}`.toLowerCase();
+  const categories = info.categories || [];
+
+  if (/tsunami/.test(event)) {
+    return 'tsunami';
+  }
+  if (/flood|inundation/.test(event)) {
+    return 'flood';
+  }
+  if (/volcan|\bash\b/.test(event)) {
+    return 'volcanic';
+  }
+  if (/earthquake|seismic/.test(event)) {
+    return 'earthquake';
+  }
+  if (categories.includes('Fire') || /wildfire|bushfire|forest fire|red flag|fire weather/.test(event)) {
+    return 'wildfire';
+  }
+  if (categories.includes('Met')) {
+    return 'weather';
+  }
+  return 'alert';
+};
+
+// Keep the latest revision (by `sent`) of events that share an id, such as an
+// alert and its updates
+const latestRevisions = (events) => {
+  const latest = new Map();
+  events.forEach(event => {
+    const current = latest.get(event.id);
+    if (!current || new Date(event.sent) > new Date(current.sent)) {
+      latest.set(event.id, event);
+    }
+  });
+  return [...latest.values()];
+};
+
+// CAP categories and event names of our event types
+const CAP_CATEGORIES = {
+  weather: 'Met',
+  flood: 'Met',
+  earthquake: 'Geo',
+  tsunami: 'Geo',
+  volcanic: 'Geo',
+  wildfire: 'Fire',
+  cyclone: 'Met',
+  flood_risk: 'Met',
+  landslide_risk: 'Geo'
+};
+
+const CAP_EVENT_NAMES = {
+  weather: 'Severe Weather',
+  flood: 'Flood',
+  earthquake: 'Earthquake',
+  tsunami: 'Tsunami Threat',
+  volcanic: 'Volcanic Activity',
+  wildfire: 'Wildfire',
+  cyclone: 'Tropical Cyclone',
+  flood_risk: 'Flood Risk',
+  landslide_risk: 'Landslide Risk'
+};
+
+// Event attributes republished as CAP parameters
+const CAP_PARAMETERS = ['magnitude', 'alertLevel', 'windSpeed', 'temperature', 'weatherCondition', 'classification', 'maxWind', 'pressure', 'frp', 'areaKm2'];
+
+const EXPECTED_WINDOW_MS = 6 * 60 * 60 * 1000;
+
+// CAP dates carry an explicit offset and no fractional seconds; UTC is -00:00
+const capDate = (value) => new Date(value).toISOString().replace(/\.\d{3}Z$/, '-00:00');
+
+// Urgency from the event window unless the source gave one
+const capUrgency = (event, now) => {
+  if (event.urgency) {
+    return event.urgency;
+  }
+  const start = new Date(event.startTime);
+  if (event.endTime && new Date(event.endTime) < now) {
+    return 'Past';
+  }
+  if (start > now) {
+    return start - now <= EXPECTED_WINDOW_MS ? 'Expected' : 'Future';
+  }
+  return 'Immediate';
+};
+
+// CAP <polygon> and <circle> elements for an event geometry. Polygons lose
+// their holes, which CAP cannot express; anything that is not a polygon is
+// published as a circle around the event's representative point with the
+// radius of its affected area (see utils/affectedArea).
+const capAreaShapes = (event) => {
+  const ringText = (ring) => ring.map(([lng, lat]) => `${lat},${lng}`).join(' ');
+  const { geometry } = event;
+
+  if (geometry?.type === 'Polygon') {
+    return [`<polygon>${ringText(geometry.coordinates[0])}</polygon>`];
+  }
+  if (geometry?.type === 'MultiPolygon') {
+    return geometry.coordinates.map(rings => `<polygon>${ringText(rings[0])}</polygon>`);
+  }
+
+  const { latitude, longitude } = event.coordinates;
+  const radiusKm = Math.round((affectedArea(event).radiusKm || 0) * 10) / 10;
+  return [`<circle>${latitude},${longitude} ${radiusKm}</circle>`];
+};
+
+const element = (name, value) => (value === null || value === undefined || value === ''
+  ? null
+  : `<${name}>${escapeXml(value)}</${name}>`);
+
+// Build a CAP 1.2 alert for one of our events. sent, effective and onset come
+// from the event start (sent is never in the future, e.g. for forecasts),
+// expires from its end.
+const buildCapAlert = (event, { sender, senderName, now = new Date() }) => {
+  const categories = event.categories?.length ? event.categories : [CAP_CATEGORIES[event.type] || 'Other'];
+  const parameters = CAP_PARAMETERS
+    .filter(name => event[name] !== undefined && event[name] !== null)
+    .map(name => `<parameter><valueName>${name}</valueName><value>${escapeXml(event[name])}</value></parameter>`);
+  if (event.source?.name) {
+    parameters.push(`<parameter><valueName>source</valueName><value>${escapeXml(event.source.name)}</value></parameter>`);
+  }
+
+  const info = [
+    element('language', 'en-US'),
+    ...categories.map(category => element('category', category)),
+    element('event', event.event || CAP_EVENT_NAMES[event.type] || event.type),
+    element('urgency', capUrgency(event, now)),
+    element('severity', toCapSeverity(event.severity)),
+    element('certainty', event.certainty || (event.isForecast ? 'Likely' : 'Observed')),
+    element('effective', capDate(event.startTime)),
+    element('onset', capDate(event.startTime)),
+    event.endTime ? element('expires', capDate(event.endTime)) : null,
+    element('senderName', senderName),
+    element('headline', event.title),
+    element('description', event.description),
+    element('instruction', event.instruction),
+    element('web', event.source?.url),
+    ...parameters,
+    `<area>${element('areaDesc', event.areaDesc || event.location || event.city || event.title || event.type)}${capAreaShapes(event).join('')}</area>`
+  ].filter(Boolean);
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<alert xmlns="${CAP_NAMESPACE}">`,
+    `  ${element('identifier', event.id)}`,
+    `  ${element('sender', sender)}`,
+    `  ${element('sent', capDate(Math.min(new Date(event.startTime).getTime(), now.getTime())))}`,
+    '  <status>Actual</status>',
+    '  <msgType>Alert</msgType>',
+    '  <scope>Public</scope>',
+    '  <info>',
+    ...info.map(line => `    ${line}`),
+    '  </info>',
+    '</alert>',
+    ''
+  ].join('\n');
+};
+
+module.exports = {
+  CAP_NAMESPACE,
+  CAP_TYPES,
+  parseCapDocument,
+  readAlert,
+  parsePolygon,
+  parseCircle,
+  areaGeometry,
+  capEventType,
+  latestRevisions,
+  capDate,
+  buildCapAlert
+};
@@ -0,0 +1,81 @@
+// Circuit breaker for upstream calls.
+//
+// closed    - calls go through; consecutive failures are counted
+// open      - calls fail fast with a CIRCUIT_OPEN error until resetTimeout passes
+// half_open - one trial call is let through; success closes the circuit,
+//             failure opens it again
+class CircuitBreaker {
+  constructor({ name = 'upstream', failureThreshold = 5, resetTimeout = 60 * 1000 } = {}) {
+    this.name = name;
+    this.failureThreshold = failureThreshold;
+    this.resetTimeout = resetTimeout;
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+  }
+
+  // Run fn through the breaker. isFailure decides which errors count against
+  // the upstream (e.g. a 404 means the upstream is up).
+  async exec(fn, isFailure = () => true) {
+    this.beforeCall();
+
+    try {
+      const result = await fn();
+      this.onSuccess();
+      return result;
+    } catch (error) {
+      if (isFailure(error)) {
+        this.onFailure();
+      } else {
+        this.onSuccess();
+      }
+      throw error;
+    }
+  }
+
+  beforeCall() {
+    if (this.state === 'open' && Date.now() - this.openedAt >= this.resetTimeout) {
+      this.state = 'half_open';
+    }
+
+    if (this.state === 'open' || (this.state === 'half_open' && this.trialInFlight)) {
+      const error = new Error(`Circuit for ${this.name} is open`);
+      error.code = 'CIRCUIT_OPEN';
+      throw error;
+    }
+
+    if (this.state === 'half_open') {
+      this.trialInFlight = true;
+    }
+  }
+
+  onSuccess() {
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+  }
+
+  onFailure() {
+    this.failures += 1;
+    this.trialInFlight = false;
+
+    if (this.state === 'half_open' || this.failures >= this.failureThreshold) {
+      this.state = 'open';
+      this.openedAt = Date.now();
+    }
+  }
+
+  // Current breaker state for health reporting
+  getState() {
+    return {
+      state: this.state,
+      failures: this.failures,
+      openedAt: this.openedAt ? new Date(this.openedAt) : null,
+      nextAttemptAt: this.state === 'open' ? new Date(this.openedAt + this.resetTimeout) : null
+    };
+  }
+}
+
+module.exports = CircuitBreaker;
@@ -0,0 +1,167 @@
+// Cross-source correlation: events that describe the same physical phenomenon
+// are merged into one, which lists its contributing source records in
+// `contributors`.
+//
+// Two events are correlated when
+// - one is a tsunami raised for the other earthquake (earthquakeId), or
+// - they have the same type, lie within the type's distance and their time
+//   windows overlap, or follow each other within the type's gap. Records of the
+//   same provider are only merged for types whose feeds repeat a phenomenon
+//   over time (weather forecast slots); other providers already give each
+//   phenomenon one stable id.
+// Earthquakes are never merged with each other: distinct earthquakes close in
+// space and time form sequences instead (see utils/aftershocks).
+//
+// The merged event is the most severe contributor (official alerts first,
+// then the earliest), spanning the time windows of all of them.
+
+const { calculateDistance } = require('./geo');
+const { compareSeverity } = require('./severity');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const CORRELATION_RULES = {
+  weather: { distanceKm: 50, gapHours: 3, sameProvider: true },
+  flood_risk: { distanceKm: 50, gapHours: 0 },
+  landslide_risk: { distanceKm: 50, gapHours: 0 },
+  cyclone: { distanceKm: 300, gapHours: 0 },
+  tsunami: { distanceKm: 300, gapHours: 0 },
+  volcanic: { distanceKm: 25, gapHours: 0 },
+  wildfire: { distanceKm: 10, gapHours: 0 }
+};
+
+const providerOf = (event) => event.source?.provider || null;
+
+// Time window of an event; open-ended events last until now
+const timeWindow = (event, now) => {
+  const start = new Date(event.startTime || event.time).getTime();
+  const end = event.endTime ? new Date(event.endTime).getTime() : Math.max(start, now);
+  return { start, end };
+};
+
+// Check whether two events of the same type describe the same phenomenon
+const sameTypeMatch = (a, b, rule, now) => {
+  if (providerOf(a) === providerOf(b) && !rule.sameProvider) {
+    return false;
+  }
+
+  const windowA = timeWindow(a, now);
+  const windowB = timeWindow(b, now);
+  const gap = Math.max(windowA.start, windowB.start) - Math.min(windowA.end, windowB.end);
+  if (gap > rule.gapHours * HOUR_MS) {
+    return false;
+  }
+
+  return calculateDistance(a.coordinates.latitude, a.coordinates.longitude,
+    b.coordinates.latitude, b.coordinates.longitude) <= rule.distanceKm;
+};
+
+// Source record link of an event, or the links it already carries when it is
+// itself the result of a merge
+const contributorLinks = (event) => event.contributors || [{
+  id: event.id,
+  type: event.type,
+  provider: providerOf(event),
+  name: event.source?.name || null,
+  url: event.source?.url || null,
+  title: event.title,
+  severity: event.severity,
+  startTime: event.startTime,
+  endTime: event.endTime
+}];
+
+// Order of preference for the event that represents a merged group
+const comparePrimary = (a, b) => compareSeverity(b.severity, a.severity) ||
+  Number(b.official === true) - Number(a.official === true) ||
+  new Date(a.startTime) - new Date(b.startTime);
+
+// Merge a group of correlated events into one
+const mergeGroup = (group) => {
+  const [primary] = [...group].sort(comparePrimary);
+  const contributors = new Map();
+  group.flatMap(contributorLinks).forEach(link => contributors.set(link.id, link));
+
+  const startTime = new Date(Math.min(...group.map(event => new Date(event.startTime).getTime())));
+  const endTime = group.some(event => !event.endTime)
+    ? null
+    : new Date(Math.max(...group.map(event => new Date(event.endTime).getTime())));
+
+  return {
+    ...primary,
+    time: startTime,
+    startTime,
+    endTime,
+    contributors: Array.from(contributors.values())
+      .sort((a, b) => new Date(a.startTime) - new Date(b.startTime))
+  };
+};
+
+// Merge the events describing the same phenomenon. Uncorrelated events are
+// returned unchanged, in their original order; a merged event takes the place
+// of its first contributor.
+const correlateEvents = (events, now = Date.now()) => {
+  const parent = events.map((_, index) => index);
+  const find = (index) => {
+    while (parent[index] !== index) {
+      parent[index] = parent[parent[index]];
+      index = parent[index];
+    }
+    return index;
+  };
+  const union = (a, b) => {
+    parent[find(a)] = find(b);
+  };
+
+  // Tsunamis and the earthquakes they were raised for
+  const indexById = new Map(events.map((event, index) => [event.id, index]));
+  events.forEach((event, index) => {
+    if (event.type === 'tsunami' && indexById.has(event.earthquakeId)) {
+      union(index, indexById.get(event.earthquakeId));
+    }
+  });
+
+  // Same-type events close in space and time
+  const byType = new Map();
+  events.forEach((event, index) => {
+    if (CORRELATION_RULES[event.type]) {
+      byType.set(event.type, [...(byType.get(event.type) || []), index]);
+    }
+  });
+  byType.forEach((indices, type) => {
+    const rule = CORRELATION_RULES[type];
+    indices.forEach((a, position) => {
+      indices.slice(position + 1).forEach(b => {
+        if (find(a) !== find(b) && sameTypeMatch(events[a], events[b], rule, now)) {
+          union(a, b);
+        }
+      });
+    });
+  });
+
+  const groups = new Map();
+  events.forEach((event, index) => {
+    const root = find(index);
+    groups.set(root, [...(groups.get(root) || []), event]);
+  });
+
+  const merged = new Map();
+  return events
+    .map((event, index) => {
+      const root = find(index);
+      const group = groups.get(root);
+      if (group.length === 1) {
+        return event;
+      }
+      if (merged.has(root)) {
+        return null;
+      }
+      merged.set(root, true);
+      return mergeGroup(group);
+    })
+    .filter(Boolean);
+};
+
+module.exports = {
+  CORRELATION_RULES,
+  correlateEvents
+};
@@ -0,0 +1,135 @@
+// Tropical cyclone helpers: intensity classes and the forecast uncertainty
+// cone.
+//
+// The cone follows the NHC convention: circles around each forecast position
+// whose radius grows with lead time (about two thirds of historical track
+// errors fall inside), joined into one outline along the track.
+
+const { calculateDistance, destinationPoint, initialBearing } = require('./geo');
+
+const KM_PER_NAUTICAL_MILE = 1.852;
+
+// Cone radius in nautical miles by forecast lead time in hours
+const CONE_RADII_NM = [
+  [0, 10],
+  [12, 26],
+  [24, 39],
+  [36, 53],
+  [48, 67],
+  [60, 84],
+  [72, 100],
+  [96, 142],
+  [120, 200]
+];
+
+const CAP_STEPS = 16;
+
+// Storm names by basin for typhoon/hurricane strength
+const STRONG_STORM_NAMES = {
+  WP: 'Typhoon',
+  EP: 'Hurricane',
+  CP: 'Hurricane',
+  AL: 'Hurricane'
+};
+
+// Intensity class from maximum sustained wind (knots) and basin
+const classifyCyclone = (maxWind, basin) => {
+  if (!Number.isFinite(maxWind) || maxWind < 34) {
+    return 'Tropical Depression';
+  }
+  if (maxWind < 64) {
+    return 'Tropical Storm';
+  }
+  const name = STRONG_STORM_NAMES[String(basin || '').toUpperCase()] || 'Cyclone';
+  if (name === 'Typhoon' && maxWind >= 130) {
+    return 'Super Typhoon';
+  }
+  return name;
+};
+
+// Cone radius in km for a forecast lead time, interpolated between table rows
+const coneRadiusKm = (hours) => {
+  const last = CONE_RADII_NM[CONE_RADII_NM.length - 1];
+  if (hours >= last[0]) {
+    return last[1] * KM_PER_NAUTICAL_MILE;
+  }
+  const upper = CONE_RADII_NM.findIndex(([rowHours]) => rowHours >= hours);
+  if (upper <= 0) {
+    return CONE_RADII_NM[0][1] * KM_PER_NAUTICAL_MILE;
+  }
+  const [h0, r0] = CONE_RADII_NM[upper - 1];
+  const [h1, r1] = CONE_RADII_NM[upper];
+  return (r0 + (r1 - r0) * (hours - h0) / (h1 - h0)) * KM_PER_NAUTICAL_MILE;
+};
+
+// Mean of two bearings, taking the short way round
+const meanBearing = (a, b) => {
+  const x = Math.cos(a * Math.PI / 180) + Math.cos(b * Math.PI / 180);
+  const y = Math.sin(a * Math.PI / 180) + Math.sin(b * Math.PI / 180);
+  return (Math.atan2(y, x) * 180 / Math.PI + 360) % 360;
+};
+
+// Uncertainty cone around a forecast track. Points are
+// { latitude, longitude, hours } starting with the current position; returns a
+// GeoJSON Polygon, or null without at least one forecast position.
+const forecastCone = (points) => {
+  if (points.length < 2) {
+    return null;
+  }
+
+  const bearings = points.slice(1).map((point, index) =>
+    initialBearing(points[index].latitude, points[index].longitude, point.latitude, point.longitude));
+  const headings = points.map((_point, index) => {
+    if (index === 0) {
+      return bearings[0];
+    }
+    if (index === points.length - 1) {
+      return bearings[bearings.length - 1];
+    }
+    return meanBearing(bearings[index - 1], bearings[index]);
+  });
+
+  const offset = (point, index, side) => {
+    const { latitude, longitude } = destinationPoint(
+      point.latitude, point.longitude, coneRadiusKm(point.hours), headings[index] + side * 90
+    );
+    return [longitude, latitude];
+  };
+
+  // Half circle around an end of the track, from one side to the other
+  const cap = (point, index, from) => {
+    const positions = [];
+    for (let step = 1; step < CAP_STEPS; step++) {
+      const { latitude, longitude } = destinationPoint(
+        point.latitude, point.longitude, coneRadiusKm(point.hours), headings[index] + from + (180 / CAP_STEPS) * step
+      );
+      positions.push([longitude, latitude]);
+    }
+    return positions;
+  };
+
+  const last = points.length - 1;
+  const ring = [
+    ...points.map((point, index) => offset(point, index, -1)),
+    ...cap(points[last], last, -90),
+    ...points.map((point, index) => offset(point, index, 1)).reverse(),
+    ...cap(points[0], 0, 90)
+  ];
+  ring.push(ring[0]);
+
+  return { type: 'Polygon', coordinates: [ring] };
+};
+
+// Closest approach of a forecast track to a point
+const closestApproach = (points, latitude, longitude) => points.reduce((closest, point) => {
+  const distance = calculateDistance(latitude, longitude, point.latitude, point.longitude);
+  return !closest || distance < closest.distance ? { distance, point } : closest;
+}, null);
+
+module.exports = {
+  KM_PER_NAUTICAL_MILE,
+  classifyCyclone,
+  coneRadiusKm,
+  forecastCone,
+  closestApproach
+};
@@ -0,0 +1,101 @@
+const { SEVERITY_LEVELS } = require('./severity');
+
+// Version of the canonical disaster event schema. Bump it whenever a field is
+// renamed or its meaning changes so stored events can be migrated.
+const SCHEMA_VERSION = 1;
+
+const toDate = (value) => {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+  const date = value instanceof Date ? value : new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+// Build a GeoJSON point geometry
+const pointGeometry = (longitude, latitude, depth) => ({
+  type: 'Point',
+  coordinates: Number.isFinite(depth) ? [longitude, latitude, depth] : [longitude, latitude]
+});
+
+// Create a canonical disaster event.
+//
+// Core fields:
+//   id          - stable identifier, unchanged across polls of the same source record
+//   type        - disaster type (earthquake, weather, ...)
+//   severity    - one of low, medium, high, critical
+//   startTime   - start of the event window (also exposed as `time`)
+//   endTime     - end of the event window, null while open-ended
+//   latitude / longitude / depth - representative point of the event
+//   geometry    - GeoJSON geometry, defaults to the representative point
+//   source      - { provider, name, url } of the upstream record
+//   raw         - the untouched upstream record
+// Any other field is kept as a type-specific attribute (magnitude, alertLevel, ...).
+const createEvent = (fields) => {
+  const {
+    id,
+    type,
+    severity,
+    title,
+    description,
+    startTime,
+    endTime,
+    latitude,
+    longitude,
+    depth,
+    geometry,
+    source,
+    raw,
+    ...attributes
+  } = fields;
+
+  if (!id || !type) {
+    throw new Error('Disaster events require an id and a type');
+  }
+
+  if (!SEVERITY_LEVELS.includes(severity)) {
+    throw new Error(`Invalid severity '${severity}' for disaster event ${id}`);
+  }
+
+  const start = toDate(startTime);
+  if (!start) {
+    throw new Error(`Disaster event ${id} has no valid start time`);
+  }
+
+  if (!Number.isFinite(latitude) || !Number.isFinite(longitude)) {
+    throw new Error(`Disaster event ${id} has no valid coordinates`);
+  }
+
+  const coordinates = { latitude, longitude };
+  if (Number.isFinite(depth)) {
+    coordinates.depth = depth;
+  }
+
+  return {
+    schemaVersion: SCHEMA_VERSION,
+    id: String(id),
+    type,
+    severity,
+    title: title || '',
+    description: description || '',
+    time: start,
+    startTime: start,
+    endTime: toDate(endTime),
+    coordinates,
+    geometry: geometry || pointGeometry(longitude, latitude, depth),
+    ...attributes,
+    source: source || null,
+    raw: raw === undefined ? null : raw
+  };
+};
+
+// Check that an object was produced by createEvent with the current schema
+const isEvent = (value) => Boolean(value) && value.schemaVersion === SCHEMA_VERSION;
+
+module.exports = {
+  SCHEMA_VERSION,
+  createEvent,
+  isEvent,
+  pointGeometry,
+  toDate
+};
@@ -0,0 +1,237 @@
+// Export of disaster events as GeoJSON, KML and CSV for GIS tools
+// (QGIS, Google Earth).
+
+const EXPORT_FORMATS = ['json', 'geojson', 'kml', 'csv'];
+
+const CONTENT_TYPES = {
+  json: 'application/json',
+  geojson: 'application/geo+json',
+  kml: 'application/vnd.google-earth.kml+xml',
+  csv: 'text/csv'
+};
+
+// KML colours are aabbggrr
+const SEVERITY_COLORS = {
+  low: 'ff00aa00',
+  medium: 'ff00d7ff',
+  high: 'ff008cff',
+  critical: 'ff0000ff'
+};
+
+// Event fields with a dedicated place in every export
+const CORE_FIELDS = ['id', 'type', 'severity', 'title', 'description', 'time', 'startTime', 'endTime'];
+const SKIPPED_FIELDS = ['schemaVersion', 'coordinates', 'geometry', 'source', 'raw'];
+
+// Pick the export format from ?format= or, failing that, the Accept header
+const negotiateFormat = (req) => {
+  if (req.query.format) {
+    return req.query.format;
+  }
+  const accepted = req.accepts(EXPORT_FORMATS.map(format => CONTENT_TYPES[format]));
+  return EXPORT_FORMATS.find(format => CONTENT_TYPES[format] === accepted) || 'json';
+};
+
+const exportValue = (value) => {
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  return value === undefined ? null : value;
+};
+
+// Flatten an event into scalar columns: core fields, position, source and any
+// scalar type-specific attributes
+const flattenEvent = (event) => {
+  const row = {};
+  CORE_FIELDS.forEach(field => {
+    row[field] = exportValue(event[field]);
+  });
+
+  row.latitude = event.coordinates?.latitude ?? null;
+  row.longitude = event.coordinates?.longitude ?? null;
+  row.depth = event.coordinates?.depth ?? null;
+
+  Object.keys(event)
+    .filter(field => !CORE_FIELDS.includes(field) && !SKIPPED_FIELDS.includes(field))
+    .forEach(field => {
+      const value = exportValue(event[field]);
+      if (value === null || ['string', 'number', 'boolean'].includes(typeof value)) {
+        row[field] = value;
+      }
+    });
+
+  row.sourceName = event.source?.name ?? null;
+  row.sourceUrl = event.source?.url ?? null;
+  return row;
+};
+
+// GeoJSON FeatureCollection with the event geometry and flattened properties
+const toGeoJSON = (events) => ({
+  type: 'FeatureCollection',
+  features: events.map(event => ({
+    type: 'Feature',
+    id: event.id,
+    geometry: event.geometry || {
+      type: 'Point',
+      coordinates: [event.coordinates.longitude, event.coordinates.latitude]
+    },
+    properties: flattenEvent(event)
+  }))
+});
+
+// CSV cells are quoted when needed; text that a spreadsheet would evaluate as
+// a formula is prefixed with a quote
+const csvCell = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  let text = String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Flat CSV with one row per event; columns are the union of all event fields
+const toCsv = (events) => {
+  const rows = events.map(flattenEvent);
+  const columns = [];
+  rows.forEach(row => {
+    Object.keys(row).forEach(column => {
+      if (!columns.includes(column)) {
+        columns.push(column);
+      }
+    });
+  });
+
+  const lines = [columns.join(',')];
+  rows.forEach(row => {
+    lines.push(columns.map(column => csvCell(row[column])).join(','));
+  });
+  return `${lines.join('\r\n')}\r\n`;
+};
+
+const escapeXml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+const kmlCoordinates = (positions) => positions
+  .map(([lng, lat]) => `${lng},${lat},0`)
+  .join(' ');
+
+const kmlPolygon = (rings) => {
+  const [outer, ...holes] = rings;
+  return '<Polygon>' +
+    `<outerBoundaryIs><LinearRing><coordinates>${kmlCoordinates(outer)}</coordinates></LinearRing></outerBoundaryIs>` +
+    holes.map(hole =>
+      `<innerBoundaryIs><LinearRing><coordinates>${kmlCoordinates(hole)}</coordinates></LinearRing></innerBoundaryIs>`
+    ).join('') +
+    '</Polygon>';
+};
+
+// KML geometry for a GeoJSON geometry
+const kmlGeometry = (geometry) => {
+  switch (geometry.type) {
+  case 'Point':
+    return `<Point><coordinates>${kmlCoordinates([geometry.coordinates])}</coordinates></Point>`;
+  case 'LineString':
+    return `<LineString><coordinates>${kmlCoordinates(geometry.coordinates)}</coordinates></LineString>`;
+  case 'Polygon':
+    return kmlPolygon(geometry.coordinates);
+  case 'MultiPoint':
+  case 'MultiLineString':
+  case 'MultiPolygon': {
+    const type = geometry.type.replace('Multi', '');
+    return `<MultiGeometry>${geometry.coordinates.map(coordinates =>
+      kmlGeometry({ type, coordinates })
+    ).join('')}</MultiGeometry>`;
+  }
+  default:
+    return '';
+  }
+};
+
+const kmlStyles = () => Object.entries(SEVERITY_COLORS).map(([severity, color]) =>
+  `<Style id="severity-${severity}">` +
+  `<IconStyle><color>${color}</color><scale>1.1</scale>` +
+  '<Icon><href>http://maps.google.com/mapfiles/kml/shapes/caution.png</href></Icon></IconStyle>' +
+  `<LineStyle><color>${color}</color><width>2</width></LineStyle>` +
+  `<PolyStyle><color>${color.replace(/^ff/, '66')}</color></PolyStyle>` +
+  '</Style>'
+).join('\n    ');
+
+const kmlPlacemark = (event) => {
+  const row = flattenEvent(event);
+  const geometry = event.geometry || {
+    type: 'Point',
+    coordinates: [event.coordinates.longitude, event.coordinates.latitude]
+  };
+  const timeSpan = row.startTime
+    ? `<TimeSpan><begin>${row.startTime}</begin>${row.endTime ? `<end>${row.endTime}</end>` : ''}</TimeSpan>`
+    : '';
+  const data = Object.entries(row)
+    .filter(([, value]) => value !== null)
+    .map(([name, value]) => `<Data name="${escapeXml(name)}"><value>${escapeXml(value)}</value></Data>`)
+    .join('');
+
+  return '<Placemark>' +
+    `<name>${escapeXml(event.title || event.id)}</name>` +
+    `<description>${escapeXml(event.description || '')}</description>` +
+    timeSpan +
+    `<styleUrl>#severity-${escapeXml(event.severity)}</styleUrl>` +
+    `<ExtendedData>${data}</ExtendedData>` +
+    kmlGeometry(geometry) +
+    '</Placemark>';
+};
+
+// KML document with placemarks styled by severity
+const toKml = (events, { name = 'Disasters' } = {}) => [
+  '<?xml version="1.0" encoding="UTF-8"?>',
+  '<kml xmlns="http://www.opengis.net/kml/2.2">',
+  '  <Document>',
+  `    <name>${escapeXml(name)}</name>`,
+  `    ${kmlStyles()}`,
+  ...events.map(event => `    ${kmlPlacemark(event)}`),
+  '  </Document>',
+  '</kml>',
+  ''
+].join('\n');
+
+// Send events in an export format. JSON responses are left to the caller.
+const sendExport = (res, format, events, { name = 'disasters' } = {}) => {
+  const date = new Date().toISOString().split('T')[0];
+  const filename = `${name}-${date}.${format}`;
+  let body;
+
+  switch (format) {
+  case 'geojson':
+    body = JSON.stringify(toGeoJSON(events));
+    break;
+  case 'kml':
+    body = toKml(events, { name });
+    break;
+  case 'csv':
+    body = toCsv(events);
+    break;
+  default:
+    throw new Error(`Unsupported export format '${format}'`);
+  }
+
+  res.set('Vary', 'Accept');
+  res.set('Content-Disposition', `attachment; filename="${filename}"`);
+  res.type(`${CONTENT_TYPES[format]}; charset=utf-8`);
+  res.send(body);
+};
+
+module.exports = {
+  EXPORT_FORMATS,
+  negotiateFormat,
+  flattenEvent,
+  toGeoJSON,
+  toCsv,
+  toKml,
+  escapeXml,
+  sendExport
+};
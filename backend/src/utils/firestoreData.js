@@ -0,0 +1,73 @@
+// Helpers for moving plain objects in and out of Firestore
+
+// Firestore rejects undefined values; store them as null instead
+const toFirestore = (value) => {
+  if (value === undefined) {
+    return null;
+  }
+  if (value === null || value instanceof Date || typeof value !== 'object') {
+    return value;
+  }
+  if (Array.isArray(value)) {
+    return value.map(toFirestore);
+  }
+  return Object.fromEntries(
+    Object.entries(value).map(([key, item]) => [key, toFirestore(item)])
+  );
+};
+
+// Convert Firestore Timestamps back into Dates
+const fromFirestore = (value) => {
+  if (value === null || value === undefined || typeof value !== 'object' || value instanceof Date) {
+    return value;
+  }
+  if (typeof value.toDate === 'function') {
+    return value.toDate();
+  }
+  if (Array.isArray(value)) {
+    return value.map(fromFirestore);
+  }
+  return Object.fromEntries(
+    Object.entries(value).map(([key, item]) => [key, fromFirestore(item)])
+  );
+};
+
+// Build a comparable representation (dates as ISO strings, keys sorted)
+const toComparable = (value) => {
+  const plain = fromFirestore(value);
+  if (plain === undefined || plain === null) {
+    return null;
+  }
+  if (plain instanceof Date) {
+    return plain.toISOString();
+  }
+  if (Array.isArray(plain)) {
+    return plain.map(toComparable);
+  }
+  if (typeof plain === 'object') {
+    return Object.keys(plain).sort().reduce((result, key) => {
+      result[key] = toComparable(plain[key]);
+      return result;
+    }, {});
+  }
+  return plain;
+};
+
+const isEqual = (a, b) => JSON.stringify(toComparable(a)) === JSON.stringify(toComparable(b));
+
+// Split an array into chunks (Firestore batches are limited to 500 writes)
+const chunk = (items, size) => {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) {
+    chunks.push(items.slice(i, i + size));
+  }
+  return chunks;
+};
+
+module.exports = {
+  toFirestore,
+  fromFirestore,
+  toComparable,
+  isEqual,
+  chunk
+};
@@ -0,0 +1,253 @@
+// Geographic helpers shared by the disaster and V2V services.
+// Coordinates follow GeoJSON order ([longitude, latitude]) unless named otherwise.
+
+const EARTH_RADIUS_KM = 6371;
+
+const toRadians = (degrees) => degrees * Math.PI / 180;
+
+// Calculate distance between two coordinates (haversine, in kilometers)
+const calculateDistance = (lat1, lon1, lat2, lon2) => {
+  const dLat = toRadians(lat2 - lat1);
+  const dLon = toRadians(lon2 - lon1);
+  const a = Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+            Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) *
+            Math.sin(dLon / 2) * Math.sin(dLon / 2);
+  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+  return EARTH_RADIUS_KM * c;
+};
+
+// Check whether a point lies inside a linear ring (ray casting)
+const pointInRing = (lng, lat, ring) => {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    const intersects = ((yi > lat) !== (yj > lat)) &&
+      (lng < (xj - xi) * (lat - yi) / (yj - yi) + xi);
+    if (intersects) {
+      inside = !inside;
+    }
+  }
+  return inside;
+};
+
+// Check whether a point lies inside a GeoJSON Polygon's coordinates (holes excluded)
+const pointInPolygon = (lng, lat, rings) => {
+  if (!rings.length || !pointInRing(lng, lat, rings[0])) {
+    return false;
+  }
+  return !rings.slice(1).some(hole => pointInRing(lng, lat, hole));
+};
+
+// Check whether a point lies inside a [minLng, minLat, maxLng, maxLat] box
+const pointInBbox = (lng, lat, bbox) => {
+  const [minLng, minLat, maxLng, maxLat] = bbox;
+  return lat >= minLat && lat <= maxLat && lng >= minLng && lng <= maxLng;
+};
+
+// Check whether a point lies inside a GeoJSON Polygon or MultiPolygon geometry
+const pointInGeometry = (lng, lat, geometry) => {
+  if (!geometry) {
+    return false;
+  }
+  if (geometry.type === 'Polygon') {
+    return pointInPolygon(lng, lat, geometry.coordinates);
+  }
+  if (geometry.type === 'MultiPolygon') {
+    return geometry.coordinates.some(polygon => pointInPolygon(lng, lat, polygon));
+  }
+  return false;
+};
+
+// Convert a bounding box into a GeoJSON Polygon
+const bboxToPolygon = ([minLng, minLat, maxLng, maxLat]) => ({
+  type: 'Polygon',
+  coordinates: [[
+    [minLng, minLat],
+    [maxLng, minLat],
+    [maxLng, maxLat],
+    [minLng, maxLat],
+    [minLng, minLat]
+  ]]
+});
+
+const toDegrees = (radians) => radians * 180 / Math.PI;
+
+// Point reached from a start point after a distance (km) on an initial bearing
+// (degrees clockwise from north)
+const destinationPoint = (lat, lng, distanceKm, bearing) => {
+  const angular = distanceKm / EARTH_RADIUS_KM;
+  const theta = toRadians(bearing);
+  const phi1 = toRadians(lat);
+  const lambda1 = toRadians(lng);
+  const phi2 = Math.asin(Math.sin(phi1) * Math.cos(angular) +
+    Math.cos(phi1) * Math.sin(angular) * Math.cos(theta));
+  const lambda2 = lambda1 + Math.atan2(Math.sin(theta) * Math.sin(angular) * Math.cos(phi1),
+    Math.cos(angular) - Math.sin(phi1) * Math.sin(phi2));
+  return {
+    latitude: toDegrees(phi2),
+    longitude: ((toDegrees(lambda2) + 540) % 360) - 180
+  };
+};
+
+// Initial bearing (degrees clockwise from north) from one point to another
+const initialBearing = (lat1, lng1, lat2, lng2) => {
+  const phi1 = toRadians(lat1);
+  const phi2 = toRadians(lat2);
+  const dLambda = toRadians(lng2 - lng1);
+  const y = Math.sin(dLambda) * Math.cos(phi2);
+  const x = Math.cos(phi1) * Math.sin(phi2) - Math.sin(phi1) * Math.cos(phi2) * Math.cos(dLambda);
+  return (toDegrees(Math.atan2(y, x)) + 360) % 360;
+};
+
+// Approximate a circle (radius in km) as a closed GeoJSON ring
+const circleRing = (lat, lng, radiusKm, steps = 32) => {
+  const ring = [];
+  for (let i = 0; i < steps; i++) {
+    const { latitude, longitude } = destinationPoint(lat, lng, radiusKm, (360 / steps) * i);
+    ring.push([longitude, latitude]);
+  }
+  ring.push(ring[0]);
+  return ring;
+};
+
+// Convex hull of [lng, lat] positions (monotone chain) as a closed ring.
+// Only meant for small areas away from the antimeridian.
+const convexHull = (positions) => {
+  const points = [...positions].sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+  if (points.length < 3) {
+    return null;
+  }
+  const cross = (o, a, b) => (a[0] - o[0]) * (b[1] - o[1]) - (a[1] - o[1]) * (b[0] - o[0]);
+
+  const lower = [];
+  points.forEach(point => {
+    while (lower.length >= 2 && cross(lower[lower.length - 2], lower[lower.length - 1], point) <= 0) {
+      lower.pop();
+    }
+    lower.push(point);
+  });
+  const upper = [];
+  [...points].reverse().forEach(point => {
+    while (upper.length >= 2 && cross(upper[upper.length - 2], upper[upper.length - 1], point) <= 0) {
+      upper.pop();
+    }
+    upper.push(point);
+  });
+
+  const ring = [...lower.slice(0, -1), ...upper.slice(0, -1)];
+  if (ring.length < 3) {
+    return null;
+  }
+  ring.push(ring[0]);
+  return ring;
+};
+
+// Approximate area of a small ring in km² (equirectangular projection)
+const ringAreaKm2 = (ring) => {
+  const meanLat = ring.reduce((sum, position) => sum + position[1], 0) / ring.length;
+  const kmPerDegreeLat = toRadians(1) * EARTH_RADIUS_KM;
+  const kmPerDegreeLng = kmPerDegreeLat * Math.cos(toRadians(meanLat));
+  let area = 0;
+  for (let i = 0; i < ring.length - 1; i++) {
+    area += ring[i][0] * kmPerDegreeLng * ring[i + 1][1] * kmPerDegreeLat -
+      ring[i + 1][0] * kmPerDegreeLng * ring[i][1] * kmPerDegreeLat;
+  }
+  return Math.abs(area) / 2;
+};
+
+// Collect every [lng, lat] position of a geometry
+const geometryPositions = (geometry) => {
+  if (!geometry) {
+    return [];
+  }
+  switch (geometry.type) {
+  case 'Point':
+    return [geometry.coordinates];
+  case 'MultiPoint':
+  case 'LineString':
+    return geometry.coordinates;
+  case 'Polygon':
+  case 'MultiLineString':
+    return geometry.coordinates.flat();
+  case 'MultiPolygon':
+    return geometry.coordinates.flat(2);
+  default:
+    return [];
+  }
+};
+
+// Get the bounding box of a geometry
+const geometryBbox = (geometry) => {
+  const positions = geometryPositions(geometry);
+  if (positions.length === 0) {
+    return null;
+  }
+  const lngs = positions.map(position => position[0]);
+  const lats = positions.map(position => position[1]);
+  return [Math.min(...lngs), Math.min(...lats), Math.max(...lngs), Math.max(...lats)];
+};
+
+// Approximate centre of a geometry (mean of its outer positions)
+const geometryCenter = (geometry) => {
+  let positions = geometryPositions(geometry);
+  if (geometry?.type === 'Polygon') {
+    positions = geometry.coordinates[0].slice(0, -1);
+  }
+  if (positions.length === 0) {
+    return null;
+  }
+  const sum = positions.reduce((acc, [lng, lat]) => [acc[0] + lng, acc[1] + lat], [0, 0]);
+  return {
+    longitude: sum[0] / positions.length,
+    latitude: sum[1] / positions.length
+  };
+};
+
+// Distance from a point to an event: zero inside its area, otherwise to its
+// representative coordinates
+const distanceToEvent = (lat, lng, event) => {
+  if (pointInGeometry(lng, lat, event.geometry)) {
+    return 0;
+  }
+  const { latitude, longitude } = event.coordinates || {};
+  if (!Number.isFinite(latitude) || !Number.isFinite(longitude)) {
+    return null;
+  }
+  return calculateDistance(lat, lng, latitude, longitude);
+};
+
+// Check that a value is a GeoJSON Polygon or MultiPolygon with usable rings
+const isPolygonGeometry = (geometry) => {
+  if (!geometry || !['Polygon', 'MultiPolygon'].includes(geometry.type) || !Array.isArray(geometry.coordinates)) {
+    return false;
+  }
+  const polygons = geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.coordinates;
+  return polygons.length > 0 && polygons.every(rings => Array.isArray(rings) && rings.length > 0 && rings.every(ring =>
+    Array.isArray(ring) && ring.length >= 4 && ring.every(position =>
+      Array.isArray(position) && Number.isFinite(position[0]) && Number.isFinite(position[1])
+    )
+  ));
+};
+
+// Round a distance for API responses
+const roundDistance = (distance) => Math.round(distance * 100) / 100;
+
+module.exports = {
+  EARTH_RADIUS_KM,
+  calculateDistance,
+  pointInPolygon,
+  pointInBbox,
+  pointInGeometry,
+  bboxToPolygon,
+  destinationPoint,
+  initialBearing,
+  circleRing,
+  convexHull,
+  ringAreaKm2,
+  geometryBbox,
+  geometryCenter,
+  distanceToEvent,
+  isPolygonGeometry,
+  roundDistance
+};
@@ -0,0 +1,130 @@
+// Estimated shaking intensity (Modified Mercalli) from earthquake magnitude and
+// distance, using the intensity prediction equation of Atkinson & Wald (2007)
+// with its California coefficients (active crustal regions). The rupture is
+// taken as a point at the hypocentre, which underestimates shaking close to
+// long ruptures of large earthquakes.
+
+const { calculateDistance } = require('./geo');
+
+const IPE_MODEL = 'Atkinson & Wald (2007)';
+
+const COEFFICIENTS = {
+  c1: 12.27,
+  c2: 2.270,
+  c3: 0.1304,
+  c4: -1.30,
+  c5: -0.0007070,
+  c6: 1.95,
+  c7: -0.577,
+  h: 14.0,
+  rt: 30.0
+};
+
+// The equation is fitted to intensities within 500 km; below II nothing is felt
+const MAX_DISTANCE_KM = 500;
+const MIN_FELT_MMI = 2;
+
+const ROMAN = ['I', 'II', 'III', 'IV', 'V', 'VI', 'VII', 'VIII', 'IX', 'X', 'XI', 'XII'];
+
+// Perceived shaking and potential damage by intensity (USGS ShakeMap scale)
+const SHAKING = [
+  { min: 10, shaking: 'Extreme', damage: 'Very heavy' },
+  { min: 9, shaking: 'Violent', damage: 'Heavy' },
+  { min: 8, shaking: 'Severe', damage: 'Moderate/heavy' },
+  { min: 7, shaking: 'Very strong', damage: 'Moderate' },
+  { min: 6, shaking: 'Strong', damage: 'Light' },
+  { min: 5, shaking: 'Moderate', damage: 'Very light' },
+  { min: 4, shaking: 'Light', damage: 'None' },
+  { min: 2, shaking: 'Weak', damage: 'None' },
+  { min: 0, shaking: 'Not felt', damage: 'None' }
+];
+
+// Estimated MMI at a hypocentral distance (km), between 1 and 12
+const estimateMmi = (magnitude, hypocentralKm) => {
+  const { c1, c2, c3, c4, c5, c6, c7, h, rt } = COEFFICIENTS;
+  const r = Math.sqrt(hypocentralKm ** 2 + h ** 2);
+  const b = Math.max(0, Math.log10(r / rt));
+  const mmi = c1 + c2 * (magnitude - 6) + c3 * (magnitude - 6) ** 2 + c4 * Math.log10(r) + c5 * r + c6 * b +
+    c7 * magnitude * Math.log10(r);
+  return Math.min(12, Math.max(1, mmi));
+};
+
+// Roman numeral, perceived shaking and potential damage of an intensity,
+// rounded to its level
+const describeMmi = (mmi) => {
+  const rounded = Math.min(12, Math.max(1, Math.round(mmi)));
+  const { shaking, damage } = SHAKING.find(level => rounded >= level.min);
+  return { intensity: ROMAN[rounded - 1], shaking, damage };
+};
+
+// Estimated intensity of an earthquake event at a point, or null when the
+// point is out of range or would not feel it
+const estimateAt = (earthquake, latitude, longitude) => {
+  const { magnitude, coordinates } = earthquake;
+  if (!Number.isFinite(magnitude) || !Number.isFinite(latitude) || !Number.isFinite(longitude)) {
+    return null;
+  }
+
+  const distanceKm = calculateDistance(coordinates.latitude, coordinates.longitude, latitude, longitude);
+  if (distanceKm > MAX_DISTANCE_KM) {
+    return null;
+  }
+  const depth = Number.isFinite(coordinates.depth) ? Math.max(0, coordinates.depth) : 10;
+  const mmi = estimateMmi(magnitude, Math.sqrt(distanceKm ** 2 + depth ** 2));
+  if (Math.round(mmi) < MIN_FELT_MMI) {
+    return null;
+  }
+
+  return {
+    distanceKm: Math.round(distanceKm * 10) / 10,
+    mmi: Math.round(mmi * 10) / 10,
+    ...describeMmi(mmi)
+  };
+};
+
+// Estimate intensities at a list of places ({ latitude, longitude, ... }),
+// keeping the ones that feel the earthquake, strongest first
+const estimateImpact = (earthquake, places) => places
+  .map(place => {
+    const estimate = estimateAt(earthquake, Number(place.latitude), Number(place.longitude));
+    return estimate ? { ...place, ...estimate } : null;
+  })
+  .filter(Boolean)
+  .sort((a, b) => b.mmi - a.mmi);
+
+// Epicentral distance (km) out to which an earthquake is estimated to reach an
+// intensity level, 0 when not even the epicentre does. Intensity falls with
+// distance, so the distance is found by bisection.
+const feltRadiusKm = (earthquake, level) => {
+  const { magnitude, coordinates } = earthquake;
+  if (!Number.isFinite(magnitude)) {
+    return 0;
+  }
+  const depth = Number.isFinite(coordinates?.depth) ? Math.max(0, coordinates.depth) : 10;
+  const minMmi = level - 0.5;
+  const mmiAt = (distanceKm) => estimateMmi(magnitude, Math.sqrt(distanceKm ** 2 + depth ** 2));
+
+  if (mmiAt(0) < minMmi) {
+    return 0;
+  }
+  if (mmiAt(MAX_DISTANCE_KM) >= minMmi) {
+    return MAX_DISTANCE_KM;
+  }
+
+  let [near, far] = [0, MAX_DISTANCE_KM];
+  while (far - near > 0.5) {
+    const middle = (near + far) / 2;
+    [near, far] = mmiAt(middle) >= minMmi ? [middle, far] : [near, middle];
+  }
+  return Math.round(near);
+};
+
+module.exports = {
+  IPE_MODEL,
+  MAX_DISTANCE_KM,
+  estimateMmi,
+  describeMmi,
+  estimateAt,
+  estimateImpact,
+  feltRadiusKm
+};
@@ -0,0 +1,94 @@
+// Keyset pagination, sorting and field selection for event listings.
+//
+// Each sort turns an event into a key (an array compared element by element,
+// ascending) that ends with the event id, so the order is total. A cursor is
+// the opaque, base64url-encoded key of the last event of a page; the next page
+// starts after it, which keeps pages stable while events are added or removed.
+
+const { distanceToEvent, roundDistance } = require('./geo');
+const { SEVERITY_LEVELS } = require('./severity');
+
+const SORT_FIELDS = ['time', 'severity', 'magnitude', 'distance'];
+
+const timeOf = (event) => new Date(event.startTime || event.time).getTime();
+
+// Sort key of an event: newest first, most severe first, largest magnitude
+// first (events without one last) or nearest to the origin first
+const sortKey = (event, sort, origin) => {
+  if (sort === 'severity') {
+    return [-SEVERITY_LEVELS.indexOf(event.severity), -timeOf(event), event.id];
+  }
+  if (sort === 'magnitude') {
+    return Number.isFinite(event.magnitude)
+      ? [0, -event.magnitude, -timeOf(event), event.id]
+      : [1, 0, -timeOf(event), event.id];
+  }
+  if (sort === 'distance') {
+    return [distanceToEvent(origin.latitude, origin.longitude, event) ?? Number.MAX_VALUE, -timeOf(event), event.id];
+  }
+  return [-timeOf(event), event.id];
+};
+
+const compareKeys = (a, b) => {
+  for (let i = 0; i < Math.max(a.length, b.length); i++) {
+    if (a[i] !== b[i]) {
+      return a[i] < b[i] ? -1 : 1;
+    }
+  }
+  return 0;
+};
+
+const encodeCursor = (sort, key) => Buffer.from(JSON.stringify({ sort, key })).toString('base64url');
+
+// Decode a cursor, or return null when it is malformed
+const decodeCursor = (cursor) => {
+  try {
+    const { sort, key } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    return SORT_FIELDS.includes(sort) && Array.isArray(key) ? { sort, key } : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Sort events and return the page after the cursor with the cursor of the
+// next page (null on the last page). Distance sorts need an origin
+// ({ latitude, longitude }) and add each event's distance in km.
+const paginate = (events, { sort = 'time', origin = null, cursor = null, limit = 50 } = {}) => {
+  const after = cursor ? decodeCursor(cursor) : null;
+  if (cursor && (!after || after.sort !== sort)) {
+    throw new Error('Invalid cursor');
+  }
+
+  const sorted = events
+    .map(event => ({ event, key: sortKey(event, sort, origin) }))
+    .sort((a, b) => compareKeys(a.key, b.key));
+  const remaining = after ? sorted.filter(({ key }) => compareKeys(key, after.key) > 0) : sorted;
+
+  const page = remaining.slice(0, limit);
+  const data = page.map(({ event, key }) => (sort === 'distance'
+    ? { ...event, distance: key[0] === Number.MAX_VALUE ? null : roundDistance(key[0]) }
+    : event));
+
+  return {
+    data,
+    total: sorted.length,
+    nextCursor: remaining.length > limit ? encodeCursor(sort, page[page.length - 1].key) : null
+  };
+};
+
+// Keep only the requested top-level fields of an event; the id is always kept
+const selectFields = (event, fields) => {
+  if (!fields || fields.length === 0) {
+    return event;
+  }
+  return Object.fromEntries(['id', ...fields]
+    .filter((field, index, all) => all.indexOf(field) === index && field in event)
+    .map(field => [field, event[field]]));
+};
+
+module.exports = {
+  SORT_FIELDS,
+  decodeCursor,
+  paginate,
+  selectFields
+};
@@ -0,0 +1,106 @@
+// Rainfall accumulation over OpenWeatherMap 3-hourly forecasts.
+//
+// Floods and landslides follow from rain accumulated over a day or several,
+// not from a single heavy shower, so forecast rain is summed over trailing
+// 24 and 72 hour windows and compared with per-location thresholds. The
+// forecast starts now, so early windows only hold the rain still to come.
+
+const SLOT_MS = 3 * 60 * 60 * 1000;
+
+// Accumulation windows, in hours, and their threshold keys
+const RAINFALL_WINDOWS = [
+  { hours: 24, key: 'rain24h' },
+  { hours: 72, key: 'rain72h' }
+];
+
+const round = (value) => Math.round(value * 10) / 10;
+
+// Forecast slots with their start time and rain in mm (OpenWeatherMap omits
+// `rain` when dry)
+const rainSlots = (list) => (list || [])
+  .filter(item => Number.isFinite(item.dt))
+  .map(item => ({ start: item.dt * 1000, rain: item.rain?.['3h'] || 0 }))
+  .sort((a, b) => a.start - b.start);
+
+// Trailing rain totals over `hours` ending at each slot: the wettest window
+// and, given a threshold, the first and last windows reaching it
+const accumulate = (slots, hours, threshold) => {
+  const windowMs = hours * 60 * 60 * 1000;
+  let wettest = null;
+  let firstExceeded = null;
+  let lastExceeded = null;
+
+  slots.forEach((slot, index) => {
+    const end = slot.start + SLOT_MS;
+    const inWindow = slots.slice(0, index + 1).filter(other => other.start >= end - windowMs);
+    const amount = inWindow.reduce((sum, other) => sum + other.rain, 0);
+    const window = { amount, start: new Date(inWindow[0].start), end: new Date(end) };
+
+    if (!wettest || amount > wettest.amount) {
+      wettest = window;
+    }
+    if (Number.isFinite(threshold) && amount >= threshold) {
+      firstExceeded = firstExceeded || window;
+      lastExceeded = window;
+    }
+  });
+
+  return { wettest, firstExceeded, lastExceeded };
+};
+
+// Assess one hazard against its thresholds ({ rain24h, rain72h } in mm).
+// Returns null unless a forecast window reaches a threshold.
+const assessRainfall = (list, thresholds) => {
+  const slots = rainSlots(list);
+  if (!thresholds || slots.length === 0) {
+    return null;
+  }
+
+  const windows = {};
+  const exceededUntil = [];
+  let trigger = null;
+
+  RAINFALL_WINDOWS.forEach(({ hours, key }) => {
+    const threshold = thresholds[key];
+    if (!Number.isFinite(threshold) || threshold <= 0) {
+      return;
+    }
+    const { wettest, firstExceeded, lastExceeded } = accumulate(slots, hours, threshold);
+    const ratio = wettest.amount / threshold;
+    windows[key] = {
+      hours,
+      amount: round(wettest.amount),
+      threshold,
+      start: wettest.start,
+      end: wettest.end,
+      exceededAt: firstExceeded ? firstExceeded.end : null
+    };
+
+    if (firstExceeded) {
+      exceededUntil.push(lastExceeded.end);
+      if (!trigger || ratio > trigger.ratio) {
+        trigger = { key, ratio };
+      }
+    }
+  });
+
+  if (!trigger) {
+    return null;
+  }
+
+  // The risk lasts from the first to the last window over any threshold
+  const exceeded = Object.values(windows).filter(window => window.exceededAt);
+  return {
+    windows,
+    trigger: trigger.key,
+    ratio: trigger.ratio,
+    startTime: new Date(Math.min(...exceeded.map(window => window.exceededAt))),
+    endTime: new Date(Math.max(...exceededUntil)),
+    peakRain3h: round(Math.max(...slots.map(slot => slot.rain)))
+  };
+};
+
+module.exports = {
+  RAINFALL_WINDOWS,
+  assessRainfall
+};
@@ -0,0 +1,65 @@
+// Validation of raw upstream records against the shape a provider's
+// normalizer expects, so format drift is caught per record instead of
+// failing a whole feed.
+//
+// A schema maps dotted paths (array indices are path segments, e.g.
+// 'weather.0.main') to the expected kind of value:
+//   string    - non-empty string
+//   id        - non-empty string or finite number
+//   number    - finite number
+//   timestamp - epoch milliseconds, a parseable date string or a valid Date
+//   position  - GeoJSON position: [longitude, latitude, ...] in range
+//   array     - any array
+//   object    - any non-array object
+// A trailing '?' makes the value optional (null or missing is accepted).
+
+const isPresent = (value) => value !== undefined && value !== null;
+
+const CHECKS = {
+  string: value => typeof value === 'string' && value.length > 0,
+  number: value => typeof value === 'number' && Number.isFinite(value),
+  id: value => CHECKS.string(value) || CHECKS.number(value),
+  timestamp: value => (typeof value === 'number' || typeof value === 'string' || value instanceof Date) &&
+    !Number.isNaN(new Date(value).getTime()),
+  position: value => Array.isArray(value) && value.length >= 2 &&
+    value.every(coordinate => typeof coordinate === 'number' && Number.isFinite(coordinate)) &&
+    Math.abs(value[0]) <= 180 && Math.abs(value[1]) <= 90,
+  array: value => Array.isArray(value),
+  object: value => typeof value === 'object' && !Array.isArray(value)
+};
+
+const DESCRIPTIONS = {
+  string: 'a non-empty string',
+  number: 'a number',
+  id: 'a string or number identifier',
+  timestamp: 'a timestamp',
+  position: 'a [longitude, latitude] position',
+  array: 'an array',
+  object: 'an object'
+};
+
+// Read a dotted path from a value, undefined when any step is missing
+const readPath = (value, path) => path.split('.')
+  .reduce((current, key) => (isPresent(current) ? current[key] : undefined), value);
+
+// Problems with a record, empty when it matches the schema
+const checkRecord = (record, schema) => {
+  if (!record || typeof record !== 'object') {
+    return ['record is not an object'];
+  }
+
+  return Object.entries(schema).flatMap(([path, rule]) => {
+    const optional = rule.endsWith('?');
+    const kind = optional ? rule.slice(0, -1) : rule;
+    const value = readPath(record, path);
+
+    if (!isPresent(value)) {
+      return optional ? [] : [`${path} is missing`];
+    }
+    return CHECKS[kind](value) ? [] : [`${path} must be ${DESCRIPTIONS[kind]}`];
+  });
+};
+
+module.exports = {
+  checkRecord
+};
@@ -0,0 +1,152 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+
+// Record/replay of external API calls.
+//
+// UPSTREAM_MODE selects the mode:
+// - live (default): calls go to the real APIs
+// - record: calls go to the real APIs and their responses are saved as fixtures
+// - replay: calls are answered from fixtures only, without network or API keys
+//
+// Fixtures are JSON files under UPSTREAM_FIXTURES_DIR (default backend/fixtures),
+// grouped by namespace and endpoint: <namespace>/<group>/<hash>.json. The hash
+// covers the request minus volatile parameters (API keys and query time
+// windows), so a recorded poll matches later polls of the same query. When no
+// exact fixture exists, replay falls back to the first fixture of the same
+// group so that requests with varying inputs (e.g. AI prompts) still get a
+// realistic, deterministic answer.
+
+const MODES = ['live', 'record', 'replay'];
+
+const VOLATILE_PARAMS = ['appid', 'apikey', 'api_key', 'key', 'token', 'starttime', 'endtime'];
+
+const getMode = () => {
+  const mode = (process.env.UPSTREAM_MODE || 'live').toLowerCase();
+  return MODES.includes(mode) ? mode : 'live';
+};
+
+const isReplaying = () => getMode() === 'replay';
+
+const fixturesDir = () => process.env.UPSTREAM_FIXTURES_DIR ||
+  path.join(__dirname, '../../fixtures');
+
+// JSON with object keys sorted, so equal requests hash equally
+const stableStringify = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value);
+};
+
+// Drop API keys and time windows from request parameters
+const stripVolatile = (params = {}) => Object.fromEntries(
+  Object.entries(params).filter(([key]) => !VOLATILE_PARAMS.includes(key.toLowerCase()))
+);
+
+const slug = (value) => value.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+
+const fixturePath = (namespace, group, request) => {
+  const hash = crypto.createHash('sha1').update(stableStringify(request)).digest('hex').slice(0, 16);
+  return path.join(fixturesDir(), namespace, slug(group), `${hash}.json`);
+};
+
+const readFixture = (file) => JSON.parse(fs.readFileSync(file, 'utf8'));
+
+// Find the fixture for a request, falling back to the first one of its group
+const findFixture = (namespace, group, request) => {
+  const file = fixturePath(namespace, group, request);
+  if (fs.existsSync(file)) {
+    return readFixture(file);
+  }
+
+  const groupDir = path.dirname(file);
+  const candidates = fs.existsSync(groupDir)
+    ? fs.readdirSync(groupDir).filter(name => name.endsWith('.json')).sort()
+    : [];
+
+  if (candidates.length === 0) {
+    return null;
+  }
+
+  logger.debug(`No exact ${namespace} fixture for ${group}, replaying ${candidates[0]}`);
+  return readFixture(path.join(groupDir, candidates[0]));
+};
+
+const saveFixture = (namespace, group, request, response) => {
+  const file = fixturePath(namespace, group, request);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, `${JSON.stringify({
+    namespace,
+    group,
+    request,
+    recordedAt: new Date().toISOString(),
+    response
+  }, null, 2)}\n`);
+};
+
+// Run `perform` according to the current mode. `serialize` turns its result
+// into JSON for the fixture and `deserialize` turns a fixture back into the
+// shape callers expect.
+const withRecording = async ({ namespace, group, request, perform, serialize = value => value, deserialize = value => value }) => {
+  const mode = getMode();
+
+  if (mode === 'replay') {
+    const fixture = findFixture(namespace, group, request);
+    if (!fixture) {
+      const error = new Error(`No ${namespace} fixture recorded for ${group}`);
+      error.code = 'FIXTURE_MISSING';
+      throw error;
+    }
+    return deserialize(fixture.response);
+  }
+
+  const result = await perform();
+
+  if (mode === 'record') {
+    try {
+      saveFixture(namespace, group, request, serialize(result));
+    } catch (error) {
+      logger.warn(`Failed to record ${namespace} fixture for ${group}:`, error.message);
+    }
+  }
+
+  return result;
+};
+
+// Record/replay an HTTP request made with axios
+const recordHttp = (config, perform) => {
+  const url = new URL(config.url);
+  const params = { ...Object.fromEntries(url.searchParams), ...config.params };
+
+  return withRecording({
+    namespace: 'http',
+    group: `${url.host}${url.pathname}`,
+    request: {
+      method: (config.method || 'get').toUpperCase(),
+      url: `${url.origin}${url.pathname}`,
+      params: stripVolatile(params)
+    },
+    perform,
+    serialize: response => ({
+      status: response.status,
+      headers: { 'content-type': response.headers?.['content-type'] || null },
+      data: response.data
+    }),
+    deserialize: fixture => ({ ...fixture, config, replayed: true })
+  });
+};
+
+module.exports = {
+  getMode,
+  isReplaying,
+  withRecording,
+  recordHttp
+};
@@ -0,0 +1,91 @@
+// Request budget for an upstream with per-minute and per-day quotas.
+//
+// Every request is counted; a request over either quota fails fast with a
+// BUDGET_EXHAUSTED error instead of reaching the upstream. A quota left unset
+// (null) is unlimited. The minute quota is a sliding window, the day quota
+// resets at midnight UTC like most API plans. Counters live in memory, so each
+// server instance has its own budget.
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Share of the daily quota the scheduled polls leave for on-demand requests
+const RESERVED_SHARE = 0.2;
+
+const startOfDay = (now) => Math.floor(now / DAY_MS) * DAY_MS;
+
+class RequestBudget {
+  constructor({ name = 'upstream', perMinute = null, perDay = null } = {}) {
+    this.name = name;
+    this.perMinute = perMinute;
+    this.perDay = perDay;
+    this.recent = [];
+    this.day = startOfDay(Date.now());
+    this.dayUsed = 0;
+    this.total = 0;
+  }
+
+  // Drop requests older than a minute and reset the day count at midnight
+  prune(now = Date.now()) {
+    this.recent = this.recent.filter(time => now - time < MINUTE_MS);
+    if (startOfDay(now) !== this.day) {
+      this.day = startOfDay(now);
+      this.dayUsed = 0;
+    }
+  }
+
+  // Check whether `count` more requests fit in both quotas now
+  allows(count = 1, now = Date.now()) {
+    this.prune(now);
+    return (this.perMinute === null || this.recent.length + count <= this.perMinute) &&
+      (this.perDay === null || this.dayUsed + count <= this.perDay);
+  }
+
+  // Count one request, or throw when a quota is used up
+  take(now = Date.now()) {
+    if (!this.allows(1, now)) {
+      const error = new Error(`Request budget for ${this.name} is exhausted`);
+      error.code = 'BUDGET_EXHAUSTED';
+      throw error;
+    }
+    if (this.perMinute !== null) {
+      this.recent.push(now);
+    }
+    this.dayUsed += 1;
+    this.total += 1;
+  }
+
+  // Interval between scheduled polls making `requestsPerPoll` requests each,
+  // stretched beyond `interval` when polling that often would use up the daily
+  // quota (less a reserve for on-demand requests) before it resets
+  pacedInterval(interval, requestsPerPoll, now = Date.now()) {
+    this.prune(now);
+    if (this.perDay === null || !requestsPerPoll) {
+      return interval;
+    }
+
+    const untilReset = this.day + DAY_MS - now;
+    const available = this.perDay * (1 - RESERVED_SHARE) - this.dayUsed;
+    if (available < requestsPerPoll) {
+      return Math.max(interval, untilReset);
+    }
+    return Math.max(interval, Math.ceil(untilReset / Math.floor(available / requestsPerPoll)));
+  }
+
+  // Usage for health reporting
+  getUsage(now = Date.now()) {
+    this.prune(now);
+    return {
+      minute: { used: this.recent.length, limit: this.perMinute },
+      day: {
+        used: this.dayUsed,
+        limit: this.perDay,
+        remaining: this.perDay === null ? null : Math.max(0, this.perDay - this.dayUsed),
+        resetsAt: new Date(this.day + DAY_MS)
+      },
+      total: this.total
+    };
+  }
+}
+
+module.exports = RequestBudget;
@@ -0,0 +1,195 @@
+// Severity levels shared by every disaster type, lowest first
+const SEVERITY_LEVELS = ['low', 'medium', 'high', 'critical'];
+
+const SEVERITY_RANK = {
+  low: 1,
+  medium: 2,
+  high: 3,
+  critical: 4
+};
+
+// Compare two severity levels (positive when a is more severe than b)
+const compareSeverity = (a, b) => (SEVERITY_RANK[a] || 0) - (SEVERITY_RANK[b] || 0);
+
+// Get the most severe of the given levels
+const maxSeverity = (...levels) => levels
+  .filter(level => SEVERITY_RANK[level])
+  .reduce((max, level) => (compareSeverity(level, max) > 0 ? level : max), 'low');
+
+// Raise a severity level by a number of steps, clamped to the known levels
+const shiftSeverity = (level, steps) => {
+  const index = SEVERITY_LEVELS.indexOf(level);
+  const shifted = Math.min(SEVERITY_LEVELS.length - 1, Math.max(0, index + steps));
+  return SEVERITY_LEVELS[shifted];
+};
+
+// Map tag-based severities (CAP, NWS and similar feeds)
+const mapSeverity = (tag) => {
+  const severityMap = {
+    minor: 'low',
+    moderate: 'medium',
+    severe: 'high',
+    extreme: 'critical'
+  };
+  return severityMap[String(tag || '').trim().toLowerCase()] || 'medium';
+};
+
+// Derive severity from a CAP 1.2 alert. Severity sets the level; alerts that
+// are unlikely to happen or already over are taken one level down.
+const capSeverity = ({ severity, urgency, certainty }) => {
+  let level = mapSeverity(severity);
+  if (String(certainty || '').toLowerCase() === 'unlikely') {
+    level = shiftSeverity(level, -1);
+  }
+  if (String(urgency || '').toLowerCase() === 'past') {
+    level = shiftSeverity(level, -1);
+  }
+  return level;
+};
+
+// CAP 1.2 severity for one of our levels
+const CAP_SEVERITY = {
+  low: 'Minor',
+  medium: 'Moderate',
+  high: 'Severe',
+  critical: 'Extreme'
+};
+
+const toCapSeverity = (level) => CAP_SEVERITY[level] || 'Unknown';
+
+// USGS PAGER alert colours
+const PAGER_SEVERITY = {
+  green: 'low',
+  yellow: 'medium',
+  orange: 'high',
+  red: 'critical'
+};
+
+// Severity of estimated shaking (MMI, rounded to its intensity level): light
+// shaking is low, damaging shaking (VI and up) high, severe shaking (VIII and
+// up) critical
+const intensitySeverity = (mmi) => {
+  const level = Math.round(mmi);
+  if (level >= 8) {
+    return 'critical';
+  }
+  if (level >= 6) {
+    return 'high';
+  }
+  return level >= 4 ? 'medium' : 'low';
+};
+
+// Derive earthquake severity from magnitude and depth. The strongest shaking
+// estimated at a monitored place and the PAGER alert can only raise it, so a
+// large earthquake far from any monitored place keeps its severity.
+const earthquakeSeverity = ({ magnitude, depth, alert, mmi }) => {
+  let severity = 'low';
+  if (magnitude >= 7) {
+    severity = 'critical';
+  } else if (magnitude >= 6) {
+    severity = 'high';
+  } else if (magnitude >= 5) {
+    severity = 'medium';
+  }
+
+  // Shallow events are felt more strongly, deep ones much less
+  if (Number.isFinite(depth)) {
+    if (depth < 30 && magnitude >= 5.5) {
+      severity = shiftSeverity(severity, 1);
+    } else if (depth > 300) {
+      severity = shiftSeverity(severity, -1);
+    }
+  }
+
+  return maxSeverity(severity, Number.isFinite(mmi) ? intensitySeverity(mmi) : null, PAGER_SEVERITY[alert]);
+};
+
+// USGS volcano alert levels and aviation colour codes
+const VOLCANIC_SEVERITY = {
+  normal: 'low',
+  green: 'low',
+  advisory: 'medium',
+  yellow: 'medium',
+  watch: 'high',
+  orange: 'high',
+  warning: 'critical',
+  red: 'critical'
+};
+
+// Derive volcanic severity from the alert level
+const volcanicSeverity = (alertLevel) => VOLCANIC_SEVERITY[String(alertLevel || '').trim().toLowerCase()] || 'medium';
+
+// Tsunami-capable earthquakes are at least high severity, and critical when
+// they threaten a registered coast
+const tsunamiSeverity = ({ threatened = false, ...earthquake }) =>
+  maxSeverity(threatened ? 'critical' : 'high', earthquakeSeverity(earthquake));
+
+// Derive tropical cyclone severity from maximum sustained wind (knots):
+// depressions, tropical storms, typhoons/hurricanes and major (category 3+)
+// storms
+const cycloneSeverity = (maxWind) => {
+  if (maxWind >= 96) {
+    return 'critical';
+  }
+  if (maxWind >= 64) {
+    return 'high';
+  }
+  if (maxWind >= 34) {
+    return 'medium';
+  }
+  return 'low';
+};
+
+// Derive wildfire severity from the fire radiative power (MW) of the last day
+// of detections and the burning area (km²)
+const wildfireSeverity = ({ frp, areaKm2 }) => {
+  let byPower = 'low';
+  if (frp >= 1000) {
+    byPower = 'critical';
+  } else if (frp >= 250) {
+    byPower = 'high';
+  } else if (frp >= 50) {
+    byPower = 'medium';
+  }
+
+  let byArea = 'low';
+  if (areaKm2 >= 200) {
+    byArea = 'critical';
+  } else if (areaKm2 >= 50) {
+    byArea = 'high';
+  } else if (areaKm2 >= 10) {
+    byArea = 'medium';
+  }
+
+  return maxSeverity(byPower, byArea);
+};
+
+// Derive rainfall hazard severity from how far the forecast accumulation
+// exceeds its threshold (1 = at the threshold)
+const rainfallSeverity = (ratio) => {
+  if (ratio >= 2) {
+    return 'critical';
+  }
+  if (ratio >= 1.5) {
+    return 'high';
+  }
+  return ratio >= 1 ? 'medium' : 'low';
+};
+
+module.exports = {
+  SEVERITY_LEVELS,
+  SEVERITY_RANK,
+  compareSeverity,
+  maxSeverity,
+  shiftSeverity,
+  mapSeverity,
+  capSeverity,
+  toCapSeverity,
+  intensitySeverity,
+  earthquakeSeverity,
+  volcanicSeverity,
+  tsunamiSeverity,
+  cycloneSeverity,
+  wildfireSeverity,
+  rainfallSeverity
+};
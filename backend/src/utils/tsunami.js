@@ -0,0 +1,75 @@
+// Tsunami threat assessment: which coastal locations an earthquake may send
+// hazardous waves to, and when the first wave arrives.
+//
+// Waves travel at the long-wave speed sqrt(g * depth). Travel times use the
+// great-circle distance from the epicentre at an average ocean depth, so they
+// ignore land in the way and the slowing over the continental shelf: treat them
+// as the earliest likely arrival. The threat radius follows the Pacific
+// Tsunami Warning Center's distance criteria by magnitude.
+
+const { calculateDistance } = require('./geo');
+
+const GRAVITY = 9.81;
+const DEFAULT_OCEAN_DEPTH_M = 4000;
+
+// Deeper earthquakes do not displace the sea floor enough
+const MAX_SOURCE_DEPTH_KM = 100;
+
+// Hazardous waves are possible within this distance (or travel time) of the
+// epicentre, largest magnitudes first
+const THREAT_CRITERIA = [
+  { minMagnitude: 7.9, hours: 3 },
+  { minMagnitude: 7.6, radiusKm: 1000 },
+  { minMagnitude: 7.1, radiusKm: 300 },
+  { minMagnitude: 6.5, radiusKm: 100 }
+];
+
+// Long-wave speed in km/h over a given depth (m)
+const waveSpeedKmh = (depth = DEFAULT_OCEAN_DEPTH_M) => Math.sqrt(GRAVITY * depth) * 3.6;
+
+// Distance from the epicentre within which coasts are threatened, 0 when the
+// earthquake is too small or too deep to cause a hazardous tsunami
+const threatRadiusKm = ({ magnitude, depth }, oceanDepth = DEFAULT_OCEAN_DEPTH_M) => {
+  if (!Number.isFinite(magnitude) || (Number.isFinite(depth) && depth > MAX_SOURCE_DEPTH_KM)) {
+    return 0;
+  }
+  const criterion = THREAT_CRITERIA.find(({ minMagnitude }) => magnitude >= minMagnitude);
+  if (!criterion) {
+    return 0;
+  }
+  return criterion.radiusKm || Math.round(criterion.hours * waveSpeedKmh(oceanDepth));
+};
+
+// Threatened coastal locations ({ id, name, latitude, longitude, ... }) with
+// the estimated first-wave arrival, soonest first
+const assessThreats = (earthquake, coasts, { oceanDepth = DEFAULT_OCEAN_DEPTH_M } = {}) => {
+  const { latitude, longitude, depth } = earthquake.coordinates;
+  const radius = threatRadiusKm({ magnitude: earthquake.magnitude, depth }, oceanDepth);
+  const origin = new Date(earthquake.startTime).getTime();
+  const speed = waveSpeedKmh(oceanDepth);
+
+  return coasts
+    .map(coast => ({ coast, distanceKm: calculateDistance(latitude, longitude, coast.latitude, coast.longitude) }))
+    .filter(({ distanceKm }) => distanceKm <= radius)
+    .map(({ coast, distanceKm }) => {
+      const travelMinutes = Math.round(distanceKm / speed * 60);
+      return {
+        locationId: coast.id,
+        name: coast.name,
+        country: coast.country || null,
+        latitude: coast.latitude,
+        longitude: coast.longitude,
+        distanceKm: Math.round(distanceKm * 10) / 10,
+        travelMinutes,
+        eta: new Date(origin + travelMinutes * 60 * 1000)
+      };
+    })
+    .sort((a, b) => a.travelMinutes - b.travelMinutes);
+};
+
+module.exports = {
+  DEFAULT_OCEAN_DEPTH_M,
+  waveSpeedKmh,
+  threatRadiusKm,
+  assessThreats
+};
@@ -0,0 +1,70 @@
+const logger = require('./logger');
+
+// In-memory cache with a freshness TTL, a stale-while-revalidate window and
+// single-flight loading.
+//
+// - Within `ttl` an entry is served as fresh.
+// - Within `ttl + staleTtl` it is served as stale while one background refresh runs.
+// - After that callers wait for a refresh. Concurrent callers share the same
+//   in-flight load instead of each hitting the upstream.
+class TtlCache {
+  constructor({ ttl = 60 * 1000, staleTtl = 5 * 60 * 1000, name = 'cache' } = {}) {
+    this.ttl = ttl;
+    this.staleTtl = staleTtl;
+    this.name = name;
+    this.entries = new Map();
+    this.inflight = new Map();
+  }
+
+  // Get a value, loading it with `loader` when missing or expired (or when
+  // `force` is set). Resolves to { value, stale, storedAt }.
+  async get(key, loader, { force = false } = {}) {
+    const entry = force ? null : this.entries.get(key);
+    const now = Date.now();
+
+    if (entry && now - entry.storedAt < this.ttl) {
+      return { value: entry.value, stale: false, storedAt: new Date(entry.storedAt) };
+    }
+
+    if (entry && now - entry.storedAt < this.ttl + this.staleTtl) {
+      this.refresh(key, loader).catch(error => {
+        logger.warn(`Background refresh of ${this.name} failed:`, error.message);
+      });
+      return { value: entry.value, stale: true, storedAt: new Date(entry.storedAt) };
+    }
+
+    await this.refresh(key, loader);
+    const refreshed = this.entries.get(key);
+    return { value: refreshed.value, stale: false, storedAt: new Date(refreshed.storedAt) };
+  }
+
+  // Load a value, sharing the load between concurrent callers
+  refresh(key, loader) {
+    if (this.inflight.has(key)) {
+      return this.inflight.get(key);
+    }
+
+    const load = Promise.resolve()
+      .then(() => loader())
+      .then(value => {
+        this.entries.set(key, { value, storedAt: Date.now() });
+        return value;
+      })
+      .finally(() => {
+        this.inflight.delete(key);
+      });
+
+    this.inflight.set(key, load);
+    return load;
+  }
+
+  delete(key) {
+    this.entries.delete(key);
+  }
+
+  clear() {
+    this.entries.clear();
+  }
+}
+
+module.exports = TtlCache;
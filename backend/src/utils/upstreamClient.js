@@ -0,0 +1,117 @@
+const axios = require('axios');
+const CircuitBreaker = require('./circuitBreaker');
+const { recordHttp } = require('./recorder');
+const logger = require('./logger');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Network errors, timeouts, rate limiting and server errors are worth retrying;
+// other 4xx responses will not change on a second attempt
+const isRetryable = (error) => {
+  if (['CIRCUIT_OPEN', 'BUDGET_EXHAUSTED', 'FIXTURE_MISSING'].includes(error.code)) {
+    return false;
+  }
+  const status = error.response?.status;
+  return !status || status === 429 || status >= 500;
+};
+
+// HTTP client for upstream data sources with a per-client timeout (which a
+// request may override), retries
+// with jittered exponential backoff and a circuit breaker around each request.
+// With a request budget (see utils/requestBudget) every attempt, retries
+// included, counts against its quotas and none is sent once they are used up.
+// Requests are recorded or replayed from fixtures when UPSTREAM_MODE is set
+// (see utils/recorder).
+class UpstreamClient {
+  constructor({
+    name = 'upstream',
+    timeout = 10000,
+    retries = 2,
+    retryDelay = 500,
+    maxRetryDelay = 5000,
+    failureThreshold = 5,
+    resetTimeout = 60 * 1000,
+    headers = {},
+    budget = null
+  } = {}) {
+    this.name = name;
+    this.timeout = timeout;
+    this.retries = retries;
+    this.retryDelay = retryDelay;
+    this.maxRetryDelay = maxRetryDelay;
+    this.headers = headers;
+    this.breaker = new CircuitBreaker({ name, failureThreshold, resetTimeout });
+    this.budget = budget;
+    this.lastLatency = null;
+  }
+
+  // Delay before the given retry attempt (1-based), honouring Retry-After
+  backoff(attempt, error) {
+    const retryAfter = parseInt(error.response?.headers?.['retry-after'], 10);
+    if (Number.isFinite(retryAfter)) {
+      return Math.min(retryAfter * 1000, this.maxRetryDelay);
+    }
+    const delay = Math.min(this.retryDelay * 2 ** (attempt - 1), this.maxRetryDelay);
+    return delay / 2 + Math.random() * delay / 2;
+  }
+
+  // GET a URL, resolving to the axios response
+  async get(url, config = {}) {
+    return this.request({ ...config, method: 'get', url });
+  }
+
+  async request(config) {
+    let attempt = 0;
+    let lastError = null;
+
+    for (;;) {
+      const startedAt = Date.now();
+
+      try {
+        if (this.budget) {
+          this.budget.take();
+        }
+        const requestConfig = {
+          ...config,
+          timeout: config.timeout || this.timeout,
+          headers: { ...this.headers, ...config.headers }
+        };
+        const response = await this.breaker.exec(
+          () => recordHttp(requestConfig, () => axios.request(requestConfig)),
+          isRetryable
+        );
+        this.lastLatency = Date.now() - startedAt;
+        return response;
+      } catch (error) {
+        this.lastLatency = Date.now() - startedAt;
+        attempt += 1;
+
+        // Report the upstream error that opened the circuit, not the fast failure
+        if (error.code === 'CIRCUIT_OPEN' && lastError) {
+          throw lastError;
+        }
+        if (attempt > this.retries || !isRetryable(error)) {
+          throw error;
+        }
+
+        lastError = error;
+        const delay = this.backoff(attempt, error);
+        logger.warn(`${this.name} request failed (${error.message}), retry ${attempt}/${this.retries} in ${Math.round(delay)}ms`);
+        await sleep(delay);
+      }
+    }
+  }
+
+  // Client settings and breaker state for health reporting
+  getState() {
+    return {
+      timeout: this.timeout,
+      retries: this.retries,
+      lastLatency: this.lastLatency,
+      breaker: this.breaker.getState(),
+      budget: this.budget ? this.budget.getUsage() : null
+    };
+  }
+}
+
+module.exports = UpstreamClient;
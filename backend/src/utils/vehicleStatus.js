@@ -0,0 +1,25 @@
+// Liveness of a registered vehicle from the time it last reported: active
+// within 10 minutes, warning within 30, inactive after that.
+
+const WARNING_AFTER_MINUTES = 10;
+const INACTIVE_AFTER_MINUTES = 30;
+
+// Status of a vehicle last seen at `lastSeen` (a Date), inactive when it never
+// reported
+const vehicleStatus = (lastSeen, now = new Date()) => {
+  if (!(lastSeen instanceof Date) || Number.isNaN(lastSeen.getTime())) {
+    return 'inactive';
+  }
+
+  const minutes = (now - lastSeen) / 1000 / 60;
+  if (minutes > INACTIVE_AFTER_MINUTES) {
+    return 'inactive';
+  }
+  return minutes > WARNING_AFTER_MINUTES ? 'warning' : 'active';
+};
+
+module.exports = {
+  WARNING_AFTER_MINUTES,
+  INACTIVE_AFTER_MINUTES,
+  vehicleStatus
+};
@@ -0,0 +1,233 @@
+// Satellite active-fire helpers: FIRMS CSV parsing and clustering of hotspot
+// detections into fires.
+//
+// NASA FIRMS publishes one row per fire pixel (MODIS at 1 km, VIIRS at 375 m).
+// Detections closer than a few kilometres are taken to belong to the same fire,
+// and a fire stays the same event while it keeps producing detections, so its
+// perimeter (the hull of its pixel footprints) grows as it spreads.
+
+const crypto = require('crypto');
+const { calculateDistance, convexHull, ringAreaKm2 } = require('./geo');
+
+const KM_PER_DEGREE = 111.32;
+const GRID_DEGREES = 0.05;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Nadir pixel size in km when a row carries no scan/track
+const PIXEL_KM = {
+  MODIS: 1,
+  VIIRS: 0.375
+};
+
+const CONFIDENCE_RANK = { low: 1, nominal: 2, high: 3 };
+
+const toNumber = (value) => {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+};
+
+// MODIS reports confidence as 0-100, VIIRS as l/n/h
+const readConfidence = (value) => {
+  const text = String(value || '').trim().toLowerCase();
+  if (/^\d+(\.\d+)?$/.test(text)) {
+    const percent = Number(text);
+    if (percent >= 80) {
+      return 'high';
+    }
+    return percent >= 30 ? 'nominal' : 'low';
+  }
+  return { l: 'low', low: 'low', n: 'nominal', nominal: 'nominal', h: 'high', high: 'high' }[text] || 'nominal';
+};
+
+// acq_date is YYYY-MM-DD and acq_time HHMM in UTC, without leading zeros
+const readAcquisitionTime = (date, time) => {
+  const hhmm = String(time || '0').trim().padStart(4, '0');
+  const parsed = new Date(`${String(date).trim()}T${hhmm.slice(0, 2)}:${hhmm.slice(2, 4)}:00Z`);
+  return Number.isNaN(parsed.getTime()) ? null : parsed;
+};
+
+// Parse a FIRMS active fire CSV (MODIS or VIIRS, NRT or archive). FIRMS CSVs
+// have a header row and no quoted fields. Rows whose position or acquisition
+// time cannot be read are kept with nulls, for the provider to quarantine.
+const parseFirmsCsv = (text) => {
+  const lines = String(text || '').split(/\r?\n/).filter(line => line.trim() !== '');
+  if (lines.length === 0) {
+    return [];
+  }
+  const columns = lines[0].split(',').map(column => column.trim().toLowerCase());
+
+  return lines.slice(1).map(line => {
+    const values = line.split(',');
+    const row = Object.fromEntries(columns.map((column, index) => [column, (values[index] || '').trim()]));
+    const instrument = String(row.instrument || (row.bright_ti4 !== undefined ? 'VIIRS' : 'MODIS')).toUpperCase();
+    const pixelKm = PIXEL_KM[instrument] || PIXEL_KM.MODIS;
+
+    return {
+      latitude: toNumber(row.latitude ?? row.lat),
+      longitude: toNumber(row.longitude ?? row.lon),
+      brightness: toNumber(row.bright_ti4 ?? row.brightness),
+      frp: toNumber(row.frp) || 0,
+      confidence: readConfidence(row.confidence),
+      time: readAcquisitionTime(row.acq_date, row.acq_time),
+      scan: toNumber(row.scan) || pixelKm,
+      track: toNumber(row.track) || pixelKm,
+      satellite: row.satellite || null,
+      instrument,
+      daynight: row.daynight || null,
+      raw: row
+    };
+  });
+};
+
+// Check a detection against a minimum confidence (low, nominal or high)
+const meetsConfidence = (detection, minConfidence = 'low') =>
+  CONFIDENCE_RANK[detection.confidence] >= (CONFIDENCE_RANK[minConfidence] || 1);
+
+// Same pixel seen in the same overpass, e.g. in overlapping feeds
+const detectionKey = ({ latitude, longitude, time, satellite }) =>
+  `${latitude.toFixed(4)},${longitude.toFixed(4)},${time.toISOString()},${satellite || ''}`;
+
+const gridCell = (latitude, longitude) =>
+  [Math.floor(latitude / GRID_DEGREES), Math.floor(longitude / GRID_DEGREES)];
+
+// Merge detections into the tracked fires, in place. `fires` maps fire ids to
+// { id, detections (Map by detection key), firstDetected, lastDetected }. A
+// detection joins the fires it lies within distanceKm of that were active in
+// the gapHours before it; fires it bridges are merged into the oldest one.
+const mergeDetections = (fires, detections, { distanceKm = 2, gapHours = 48 } = {}) => {
+  const gapMs = gapHours * 60 * 60 * 1000;
+  const grid = new Map();
+  const owner = new Map();
+
+  const index = (fireId, detection) => {
+    const cell = gridCell(detection.latitude, detection.longitude).join(':');
+    if (!grid.has(cell)) {
+      grid.set(cell, []);
+    }
+    grid.get(cell).push(detection);
+    owner.set(detectionKey(detection), fireId);
+  };
+
+  fires.forEach(fire => fire.detections.forEach(detection => index(fire.id, detection)));
+
+  // Fires with a detection near a point
+  const nearbyFires = (detection) => {
+    const [row, column] = gridCell(detection.latitude, detection.longitude);
+    const rowSpan = Math.ceil(distanceKm / (KM_PER_DEGREE * GRID_DEGREES));
+    const cosLat = Math.max(Math.cos(detection.latitude * Math.PI / 180), 0.01);
+    const columnSpan = Math.ceil(distanceKm / (KM_PER_DEGREE * GRID_DEGREES * cosLat));
+    const found = new Set();
+
+    for (let r = row - rowSpan; r <= row + rowSpan; r++) {
+      for (let c = column - columnSpan; c <= column + columnSpan; c++) {
+        (grid.get(`${r}:${c}`) || []).forEach(other => {
+          const fireId = owner.get(detectionKey(other));
+          if (!found.has(fireId) &&
+            calculateDistance(detection.latitude, detection.longitude, other.latitude, other.longitude) <= distanceKm) {
+            found.add(fireId);
+          }
+        });
+      }
+    }
+    return [...found].map(fireId => fires.get(fireId))
+      .filter(fire => fire.lastDetected.getTime() >= detection.time.getTime() - gapMs);
+  };
+
+  const added = [...detections]
+    .filter(detection => !owner.has(detectionKey(detection)))
+    .sort((a, b) => a.time - b.time);
+
+  added.forEach(detection => {
+    const key = detectionKey(detection);
+    if (owner.has(key)) {
+      return;
+    }
+
+    const [target, ...merged] = nearbyFires(detection).sort((a, b) => a.firstDetected - b.firstDetected);
+    let fire = target;
+    if (!fire) {
+      fire = {
+        id: `wildfire_${crypto.createHash('sha1').update(key).digest('hex').slice(0, 12)}`,
+        detections: new Map(),
+        firstDetected: detection.time,
+        lastDetected: detection.time
+      };
+      fires.set(fire.id, fire);
+    }
+
+    merged.forEach(other => {
+      other.detections.forEach((otherDetection, otherKey) => {
+        fire.detections.set(otherKey, otherDetection);
+        owner.set(otherKey, fire.id);
+      });
+      fire.firstDetected = new Date(Math.min(fire.firstDetected, other.firstDetected));
+      fire.lastDetected = new Date(Math.max(fire.lastDetected, other.lastDetected));
+      fires.delete(other.id);
+    });
+
+    fire.detections.set(key, detection);
+    fire.firstDetected = new Date(Math.min(fire.firstDetected, detection.time));
+    fire.lastDetected = new Date(Math.max(fire.lastDetected, detection.time));
+    index(fire.id, detection);
+  });
+
+  return fires;
+};
+
+// Drop fires without a detection in the last gapHours
+const pruneFires = (fires, { gapHours = 48, now = new Date() } = {}) => {
+  const cutoff = now.getTime() - gapHours * 60 * 60 * 1000;
+  fires.forEach((fire, id) => {
+    if (fire.lastDetected.getTime() < cutoff) {
+      fires.delete(id);
+    }
+  });
+  return fires;
+};
+
+// Corners of a detection's pixel footprint as [lng, lat] positions
+const footprint = ({ latitude, longitude, scan, track }) => {
+  const dLat = (track / 2) / KM_PER_DEGREE;
+  const dLng = (scan / 2) / (KM_PER_DEGREE * Math.max(Math.cos(latitude * Math.PI / 180), 0.01));
+  return [
+    [longitude - dLng, latitude - dLat],
+    [longitude + dLng, latitude - dLat],
+    [longitude + dLng, latitude + dLat],
+    [longitude - dLng, latitude + dLat]
+  ];
+};
+
+// Perimeter, size and intensity of a fire
+const describeFire = (fire) => {
+  const detections = [...fire.detections.values()];
+  const ring = convexHull(detections.flatMap(footprint));
+  const recentFrom = fire.lastDetected.getTime() - DAY_MS;
+  const recent = detections.filter(detection => detection.time.getTime() > recentFrom);
+
+  return {
+    detections,
+    perimeter: ring ? { type: 'Polygon', coordinates: [ring] } : null,
+    areaKm2: ring ? ringAreaKm2(ring) : 0,
+    latitude: detections.reduce((sum, detection) => sum + detection.latitude, 0) / detections.length,
+    longitude: detections.reduce((sum, detection) => sum + detection.longitude, 0) / detections.length,
+    frp: recent.reduce((sum, detection) => sum + detection.frp, 0),
+    maxFrp: Math.max(...detections.map(detection => detection.frp)),
+    maxBrightness: Math.max(...detections.map(detection => detection.brightness || 0)) || null,
+    confidence: detections.reduce((best, detection) =>
+      (CONFIDENCE_RANK[detection.confidence] > CONFIDENCE_RANK[best] ? detection.confidence : best), 'low'),
+    instruments: [...new Set(detections.map(detection => detection.instrument))],
+    satellites: [...new Set(detections.map(detection => detection.satellite).filter(Boolean))]
+  };
+};
+
+module.exports = {
+  parseFirmsCsv,
+  meetsConfidence,
+  detectionKey,
+  mergeDetections,
+  pruneFires,
+  describeFire
+};
@@ -99,8 +99,8 @@ async function testTextSystem() {
     }
 
     console.log('\n🎉 Text-to-text AI system test completed!');
-    console.log('\nNote: These tests require a valid GEMINI_API_KEY in your environment variables.');
-    console.log('Make sure to set up your Gemini API key before running these tests.');
+    console.log('\nNote: These tests require a valid GEMINI_API_KEY in your environment variables,');
+    console.log('or recorded fixtures when run with UPSTREAM_MODE=replay (npm run test:text:offline).');
 
   } catch (error) {
     console.error('❌ Test failed with error:', error.message);
@@ -0,0 +1,208 @@
+const fs = require('fs');
+const path = require('path');
+const CapProvider = require('../../src/services/providers/capProvider');
+const quarantineService = require('../../src/services/quarantineService');
+const { parseCapDocument } = require('../../src/utils/cap');
+
+jest.mock('../../src/services/quarantineService', () => ({ quarantine: jest.fn() }));
+
+const SAMPLES = path.join(__dirname, '../../samples/cap');
+const sample = (name) => path.join(SAMPLES, name);
+
+// All sample alerts are current on this date; the last ones expire on April 7
+const DURING_FLOOD = new Date('2026-04-04T00:00:00Z');
+const AFTER_ALL_EXPIRED = new Date('2026-12-01T00:00:00Z');
+
+// Fetch a feed, then normalize it as of a date
+const loadFeed = async (feed, now, options = {}) => {
+  const provider = new CapProvider({ feeds: [feed] });
+  const raw = await provider.fetch();
+  jest.useFakeTimers({ now });
+  return provider.normalize(raw, options);
+};
+
+const byIdentifier = (events) => Object.fromEntries(events.map(event => [event.identifier, event]));
+
+const cancelFor = (reference) => parseCapDocument(`<?xml version="1.0" encoding="UTF-8"?>
+<alert xmlns="urn:oasis:names:tc:emergency:cap:1.2">
+  <identifier>KZ-SAMPLE-2026-04-04-0120</identifier>
+  <sender>cap@kazhydromet.kz</sender>
+  <sent>2026-04-04T09:00:00+05:00</sent>
+  <status>Actual</status>
+  <msgType>Cancel</msgType>
+  <scope>Public</scope>
+  <references>${reference}</references>
+</alert>`).alerts[0];
+
+describe('CapProvider', () => {
+  afterEach(() => {
+    jest.useRealTimers();
+    quarantineService.quarantine.mockClear();
+  });
+
+  describe('sample alerts', () => {
+    const files = fs.readdirSync(SAMPLES)
+      .filter(file => file.endsWith('.xml') && !file.startsWith('exercise'));
+
+    test.each(files)('%s normalizes into a canonical event', async (file) => {
+      const events = await loadFeed(sample(file), DURING_FLOOD);
+
+      expect(events).toHaveLength(1);
+      events.forEach(event => {
+        expect(event.id).toMatch(/^cap_[0-9a-f]{16}$/);
+        expect(event.official).toBe(true);
+        expect(['Polygon', 'MultiPolygon']).toContain(event.geometry.type);
+        expect(event.source).toMatchObject({ provider: 'cap' });
+      });
+    });
+
+    test('maps the event type and severity of each alert', async () => {
+      const events = byIdentifier(await loadFeed(sample('index.atom'), DURING_FLOOD));
+
+      expect(events['PTWC-SAMPLE-20260820T0312Z']).toMatchObject({ type: 'tsunami', severity: 'critical' });
+      expect(events['KZ-SAMPLE-2026-04-03-0112']).toMatchObject({ type: 'flood', severity: 'high' });
+      expect(events['PHIVOLCS-SAMPLE-2026-0611-MAYON']).toMatchObject({ type: 'volcanic', severity: 'high' });
+      // The English info block is preferred over the Japanese one
+      expect(events['JMA-SAMPLE-20260915-TY14-001']).toMatchObject({
+        type: 'weather',
+        severity: 'high',
+        event: 'Storm Warning'
+      });
+    });
+
+    test('skips alerts whose status is not Actual', async () => {
+      expect(await loadFeed(sample('exercise-earthquake.xml'), DURING_FLOOD)).toEqual([]);
+    });
+  });
+
+  describe('geometry', () => {
+    test('turns circles into polygons around their centre', async () => {
+      const [tsunami] = await loadFeed(sample('ptwc-tsunami-threat.xml'), DURING_FLOOD);
+
+      expect(tsunami.geometry.type).toBe('Polygon');
+      expect(tsunami.coordinates.latitude).toBeCloseTo(8.5, 0);
+      expect(tsunami.coordinates.longitude).toBeCloseTo(127.2, 0);
+    });
+
+    test('merges the polygons of several areas', async () => {
+      const [warning] = await loadFeed(sample('kazhydromet-flood-warning.xml'), DURING_FLOOD);
+
+      expect(warning.geometry.type).toBe('MultiPolygon');
+      expect(warning.geometry.coordinates).toHaveLength(2);
+      expect(warning.geometry.coordinates[0][0][0]).toEqual([70.8, 50.9]);
+    });
+  });
+
+  describe('expiry', () => {
+    test('ends events at the alert expiry', async () => {
+      const [tsunami] = await loadFeed(sample('ptwc-tsunami-threat.xml'), DURING_FLOOD);
+
+      expect(tsunami.endTime).toEqual(new Date('2026-08-20T09:00:00Z'));
+    });
+
+    test('drops expired alerts and keeps alerts without an expiry', async () => {
+      const events = await loadFeed(sample('index.atom'), AFTER_ALL_EXPIRED);
+
+      expect(events.map(event => event.identifier)).toEqual(['PHIVOLCS-SAMPLE-2026-0611-MAYON']);
+    });
+
+    test('keeps expired alerts with includeExpired', async () => {
+      const events = await loadFeed(sample('index.rss'), AFTER_ALL_EXPIRED, { includeExpired: true });
+
+      expect(events.map(event => event.identifier).sort())
+        .toEqual(['JMA-SAMPLE-20260915-TY14-001', 'PTWC-SAMPLE-20260820T0312Z']);
+    });
+  });
+
+  describe('feed indexes', () => {
+    test('reads linked and embedded alerts from an Atom index', async () => {
+      const events = await loadFeed(sample('index.atom'), DURING_FLOOD);
+
+      expect(events.map(event => event.identifier).sort()).toEqual([
+        'JMA-SAMPLE-20260915-TY14-001',
+        'KZ-SAMPLE-2026-04-03-0112',
+        'PHIVOLCS-SAMPLE-2026-0611-MAYON',
+        'PTWC-SAMPLE-20260820T0312Z'
+      ]);
+    });
+
+    test('reads linked alerts from an RSS index', async () => {
+      const events = await loadFeed(sample('index.rss'), DURING_FLOOD);
+
+      expect(events.map(event => event.type).sort()).toEqual(['tsunami', 'weather']);
+    });
+
+    test('only follows http(s) links from remote indexes', async () => {
+      const provider = new CapProvider({ feeds: ['https://alerts.example/cap/index.atom'] });
+      const read = jest.spyOn(provider, 'read').mockImplementation(async (location) => (
+        location.endsWith('index.atom')
+          ? `<feed xmlns="http://www.w3.org/2005/Atom">
+              <entry><link href="file:///etc/passwd"/></entry>
+              <entry><link href="ptwc-tsunami-threat.xml"/></entry>
+            </feed>`
+          : fs.readFileSync(sample('ptwc-tsunami-threat.xml'), 'utf8')
+      ));
+
+      await provider.fetch();
+
+      expect(read.mock.calls.map(([location]) => location)).toEqual([
+        'https://alerts.example/cap/index.atom',
+        'https://alerts.example/cap/ptwc-tsunami-threat.xml'
+      ]);
+    });
+  });
+
+  describe('msgType', () => {
+    test('an Update takes the id of the alert it references and replaces it', async () => {
+      const warning = await loadFeed(sample('kazhydromet-flood-warning.xml'), DURING_FLOOD);
+      const events = (await loadFeed(sample('index.atom'), DURING_FLOOD)).filter(event => event.type === 'flood');
+
+      expect(events).toHaveLength(1);
+      expect(events[0]).toMatchObject({
+        id: warning[0].id,
+        msgType: 'Update',
+        identifier: 'KZ-SAMPLE-2026-04-03-0112',
+        severity: 'high'
+      });
+      expect(events[0].endTime).toEqual(new Date('2026-04-06T19:00:00Z'));
+    });
+
+    test('a Cancel withdraws the alert it references and its updates', async () => {
+      const provider = new CapProvider({ feeds: [sample('index.atom')] });
+      const raw = await provider.fetch();
+      raw.push({
+        alert: cancelFor('cap@kazhydromet.kz,KZ-SAMPLE-2026-04-02-0107,2026-04-02T09:00:00+05:00'),
+        feed: 'inline'
+      });
+      jest.useFakeTimers({ now: DURING_FLOOD });
+
+      const events = provider.normalize(raw);
+
+      expect(events.filter(event => event.type === 'flood')).toEqual([]);
+      expect(events).toHaveLength(3);
+    });
+  });
+
+  describe('validation', () => {
+    test('quarantines alerts missing required header fields', async () => {
+      const provider = new CapProvider({ feeds: [sample('ptwc-tsunami-threat.xml')] });
+      const raw = await provider.fetch();
+      const [malformed] = parseCapDocument(`<alert xmlns="urn:oasis:names:tc:emergency:cap:1.2">
+        <identifier>BROKEN-1</identifier>
+        <status>Actual</status>
+        <msgType>Alert</msgType>
+      </alert>`).alerts;
+      raw.push({ alert: malformed, feed: 'inline' });
+      jest.useFakeTimers({ now: DURING_FLOOD });
+
+      const events = provider.normalize(raw);
+
+      expect(events.map(event => event.identifier)).toEqual(['PTWC-SAMPLE-20260820T0312Z']);
+      expect(quarantineService.quarantine).toHaveBeenCalledWith('cap', [{
+        payload: malformed,
+        problems: ['cap.sender is missing', 'cap.sent is missing']
+      }]);
+      expect(provider.health.quarantined).toBe(1);
+    });
+  });
+});
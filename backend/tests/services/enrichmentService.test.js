@@ -0,0 +1,82 @@
+const enrichmentService = require('../../src/services/enrichmentService');
+const { affectedArea } = require('../../src/utils/affectedArea');
+
+// Registered vehicles, served through the parts of Firestore impactService
+// uses (jest only lets mock factories reach variables named mock*)
+const mockVehicles = new Map();
+const mockQuery = (filter) => ({
+  where: (field, op, value) => mockQuery(data => filter(data) && data[field] === value),
+  get: async () => ({
+    docs: [...mockVehicles]
+      .filter(([, data]) => filter(data))
+      .map(([id, data]) => ({ id, data: () => data }))
+  })
+});
+
+jest.mock('../../src/config/firebase', () => ({
+  getFirestore: () => ({
+    collection: () => mockQuery(() => true)
+  })
+}));
+
+const NOW = new Date('2026-10-18T12:00:00Z');
+const minutesAgo = (minutes) => {
+  const date = new Date(NOW.getTime() - minutes * 60 * 1000);
+  return { toDate: () => date };
+};
+
+// Flooding in Almaty, affecting 25 km around the city centre
+const EVENT = {
+  id: 'flood_almaty',
+  type: 'flood_risk',
+  coordinates: { latitude: 43.24, longitude: 76.95 }
+};
+const ADMIN = { uid: 'admin', admin: true };
+
+describe('enrichmentService', () => {
+  beforeEach(() => {
+    jest.useFakeTimers({ now: NOW });
+    mockVehicles.clear();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  describe('vehicles in the affected area', () => {
+    test('only lists vehicles that reported recently', async () => {
+      mockVehicles.set('fresh', {
+        userId: 'u1', make: 'Toyota', model: 'Camry', status: 'active', lastSeen: minutesAgo(5),
+        location: { latitude: 43.25, longitude: 76.93 }
+      });
+      mockVehicles.set('warning', {
+        userId: 'u1', make: 'Lada', model: 'Niva', status: 'warning', lastSeen: minutesAgo(20),
+        location: { latitude: 43.3, longitude: 76.9 }
+      });
+      // Still stored as active, but it stopped reporting hours ago
+      mockVehicles.set('stale', {
+        userId: 'u2', make: 'Kia', model: 'Rio', status: 'active', lastSeen: minutesAgo(180),
+        location: { latitude: 43.24, longitude: 76.95 }
+      });
+      mockVehicles.set('distant', {
+        userId: 'u2', make: 'Hyundai', model: 'Tucson', status: 'active', lastSeen: minutesAgo(1),
+        location: { latitude: 51.17, longitude: 71.45 }
+      });
+
+      const vehicles = await enrichmentService.getVehiclesInArea(EVENT, affectedArea(EVENT), ADMIN);
+
+      expect(vehicles.map(vehicle => vehicle.vehicleId)).toEqual(['fresh', 'warning']);
+    });
+
+    test('skips vehicles that never reported', async () => {
+      mockVehicles.set('unseen', {
+        userId: 'u1', make: 'Toyota', model: 'Camry', status: 'active',
+        location: { latitude: 43.24, longitude: 76.95 }
+      });
+
+      const vehicles = await enrichmentService.getVehiclesInArea(EVENT, affectedArea(EVENT), { uid: 'u1' });
+
+      expect(vehicles).toEqual([]);
+    });
+  });
+});
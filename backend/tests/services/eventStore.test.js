@@ -0,0 +1,81 @@
+const WeatherProvider = require('../../src/services/providers/weatherProvider');
+const eventStore = require('../../src/services/eventStore');
+
+// In-memory stand-in for the parts of Firestore the event store uses (jest
+// only lets mock factories reach variables named mock*)
+const mockDocuments = new Map();
+const mockDocRef = (path) => ({
+  id: path.split('/').pop(),
+  path,
+  collection: (name) => ({ doc: (id) => mockDocRef(`${path}/${name}/${id}`) })
+});
+const mockSnapshot = (ref) => ({
+  exists: mockDocuments.has(ref.path),
+  data: () => mockDocuments.get(ref.path)
+});
+
+jest.mock('../../src/config/firebase', () => ({
+  getFirestore: () => ({
+    collection: (name) => ({ doc: (id) => mockDocRef(`${name}/${id}`) }),
+    getAll: async (...refs) => refs.map(mockSnapshot),
+    batch: () => {
+      const writes = [];
+      return {
+        set: (ref, data) => writes.push(() => mockDocuments.set(ref.path, data)),
+        update: (ref, data) => writes.push(() => mockDocuments.set(ref.path, { ...mockDocuments.get(ref.path), ...data })),
+        commit: async () => writes.forEach(write => write())
+      };
+    }
+  })
+}));
+
+const CITY = { id: 'almaty', name: 'Almaty', country: 'KZ', latitude: 43.24, longitude: 76.95 };
+
+// A poll of a thunderstorm over the city with the given readings
+const pollConditions = ({ dt, temp, humidity, wind }) => new WeatherProvider({ apiKey: 'test' }).normalize([{
+  city: CITY,
+  current: {
+    dt,
+    weather: [{ main: 'Thunderstorm', description: 'heavy thunderstorm' }],
+    main: { temp, humidity },
+    wind: { speed: wind }
+  },
+  forecast: { list: [] }
+}]);
+
+const revisions = () => [...mockDocuments.keys()].filter(path => path.includes('/revisions/'));
+
+describe('eventStore', () => {
+  beforeEach(() => {
+    mockDocuments.clear();
+  });
+
+  describe('observed weather conditions', () => {
+    test('new readings alone do not record a revision', async () => {
+      const first = pollConditions({ dt: 1790000000, temp: 24.1, humidity: 71, wind: 15.2 });
+      const second = pollConditions({ dt: 1790000600, temp: 23.4, humidity: 76, wind: 16.8 });
+      expect(second[0].id).toBe(first[0].id);
+
+      expect((await eventStore.upsertEvents(first)).created).toHaveLength(1);
+      const result = await eventStore.upsertEvents(second);
+
+      expect(result.updated).toEqual([]);
+      expect(result.unchanged).toHaveLength(1);
+      expect(revisions()).toEqual([`disaster_events/${first[0].id}/revisions/1`]);
+
+      // The stored event still shows the latest readings
+      const stored = mockDocuments.get(`disaster_events/${first[0].id}`);
+      expect(stored).toMatchObject({ revision: 1, temperature: 23.4, humidity: 76, windSpeed: 16.8 });
+      expect(stored.startTime).toEqual(first[0].startTime);
+    });
+
+    test('a change of severity records a revision', async () => {
+      await eventStore.upsertEvents(pollConditions({ dt: 1790000000, temp: 24.1, humidity: 71, wind: 15.2 }));
+      const result = await eventStore.upsertEvents(pollConditions({ dt: 1790000600, temp: 24.1, humidity: 71, wind: 22.5 }));
+
+      expect(result.updated).toHaveLength(1);
+      expect(Object.keys(result.updated[0].changes)).toEqual(['severity']);
+      expect(revisions()).toHaveLength(2);
+    });
+  });
+});
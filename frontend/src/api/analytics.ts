@@ -33,7 +33,7 @@ export class AnalyticsAPI {
 
   // Get trend analysis
   static async getTrends(
-    type: 'disasters' | 'earthquakes' | 'weather' | 'volcanic' = 'disasters',
+    type: 'disasters' | 'earthquakes' | 'weather' | 'volcanic' | 'wildfires' = 'disasters',
     period: '7d' | '30d' | '90d' = '30d'
   ): Promise<TrendsResponse> {
     return ApiClient.get<TrendsResponse>('/analytics/trends', {
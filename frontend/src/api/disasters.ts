@@ -5,7 +5,8 @@ import type {
   EarthquakesResponse, 
   WeatherAlertsResponse, 
   TsunamiWarningsResponse, 
-  VolcanicActivityResponse 
+  VolcanicActivityResponse,
+  DisasterDetailResponse
 } from '../types/disasters';
 
 export class DisastersAPI {
@@ -15,6 +16,12 @@ export class DisastersAPI {
     severity?: 'low' | 'medium' | 'high' | 'critical';
     limit?: number;
     days?: number;
+    cursor?: string;
+    sort?: 'time' | 'severity' | 'magnitude' | 'distance';
+    lat?: number;
+    lng?: number;
+    fields?: string;
+    since?: string;
   }): Promise<DisastersResponse> {
     return ApiClient.get<DisastersResponse>('/disasters', { params });
   }
@@ -46,4 +53,10 @@ export class DisastersAPI {
   static async getVolcanicActivity(): Promise<VolcanicActivityResponse> {
     return ApiClient.get<VolcanicActivityResponse>('/disasters/volcanic');
   }
+
+  // Get one event with its revisions and enrichment (nearest cities, vehicles
+  // in its area, related events, AI analyses)
+  static async getDisaster(id: string): Promise<DisasterDetailResponse> {
+    return ApiClient.get<DisasterDetailResponse>(`/disasters/${encodeURIComponent(id)}`);
+  }
 }
@@ -1,5 +1,5 @@
 // Disaster types
-export type DisasterType = 'earthquake' | 'weather' | 'tsunami' | 'volcanic';
+export type DisasterType = 'earthquake' | 'weather' | 'tsunami' | 'volcanic' | 'cyclone' | 'wildfire' | 'flood_risk' | 'landslide_risk';
 export type SeverityLevel = 'low' | 'medium' | 'high' | 'critical';
 
 export interface DisasterLocation {
@@ -10,6 +10,47 @@ export interface DisasterLocation {
   country?: string;
 }
 
+export interface IntensityEstimate {
+  name: string;
+  latitude: number;
+  longitude: number;
+  distanceKm: number;
+  mmi: number;
+  intensity: string; // Roman numeral
+  shaking: string;
+  damage: string;
+}
+
+export interface EarthquakeIntensity {
+  model: string;
+  epicentralMmi: number | null;
+  maxMmi: number | null;
+  cities: IntensityEstimate[];
+}
+
+export interface TsunamiThreat {
+  locationId: string;
+  name: string;
+  country: string | null;
+  latitude: number;
+  longitude: number;
+  distanceKm: number;
+  travelMinutes: number;
+  eta: string;
+}
+
+export interface EventContributor {
+  id: string;
+  type: DisasterType;
+  provider: string | null;
+  name: string | null;
+  url: string | null;
+  title: string;
+  severity: SeverityLevel;
+  startTime: string;
+  endTime: string | null;
+}
+
 export interface Disaster {
   id: string;
   type: DisasterType;
@@ -18,10 +59,19 @@ export interface Disaster {
   description: string;
   location: DisasterLocation;
   magnitude?: number; // For earthquakes
-  intensity?: string; // For earthquakes
+  intensity?: EarthquakeIntensity | null; // For earthquakes: estimated shaking at monitored cities
+  sequenceId?: string | null; // For earthquakes: aftershock sequence
+  sequenceRole?: 'mainshock' | 'foreshock' | 'aftershock' | null; // For earthquakes
+  mainshockId?: string | null; // For earthquakes
   windSpeed?: number; // For weather
   waveHeight?: number; // For tsunamis
+  threatRadiusKm?: number; // For tsunamis
+  threats?: TsunamiThreat[]; // For tsunamis: threatened coasts, soonest arrival first
   ashCloudHeight?: number; // For volcanic
+  classification?: string; // For cyclones: e.g. Tropical Storm, Typhoon
+  stormStatus?: 'active' | 'dissipated'; // For cyclones
+  contributors?: EventContributor[]; // Source records merged into this event
+  official?: boolean; // Issued by an agency (NWS, CAP feeds) rather than inferred from observations
   timestamp: string;
   source: string;
   url?: string;
@@ -69,6 +119,8 @@ export interface DisastersResponse {
   success: boolean;
   data: Disaster[];
   count: number;
+  total: number; // Matching events across all pages
+  nextCursor: string | null; // Pass as cursor to get the next page
   filters: DisasterFilters;
   lastUpdated: string;
 }
@@ -110,3 +162,51 @@ export interface VolcanicActivityResponse {
   count: number;
   lastUpdated: string;
 }
+
+export interface EventEnrichment {
+  affectedArea: { type: 'polygon' } | { type: 'radius'; radiusKm: number };
+  nearestCities: Array<{
+    id: string;
+    name: string;
+    country: string | null;
+    latitude: number;
+    longitude: number;
+    distance: number;
+  }>;
+  vehicles: Array<{
+    vehicleId: string;
+    userId: string;
+    make?: string;
+    model?: string;
+    latitude: number;
+    longitude: number;
+    distance: number;
+  }>;
+  relatedEvents: Array<{
+    id: string;
+    type: DisasterType;
+    severity: SeverityLevel;
+    title: string;
+    startTime: string;
+    distance: number;
+  }>;
+  analyses: Array<{
+    id: string;
+    userId: string;
+    analysis: string;
+    timestamp: string;
+  }>;
+}
+
+export interface DisasterDetailResponse {
+  success: boolean;
+  data: Disaster & {
+    revisions: Array<{
+      revision: number;
+      changeType: 'created' | 'updated' | 'resolved';
+      changes: Record<string, unknown>;
+      timestamp: string;
+    }>;
+    enrichment: EventEnrichment;
+  };
+}